@@ -13,7 +13,7 @@ function main() {
     let openaiClient = null;
 
     if (config.hasGeminiKeys()) {
-      const geminiKeyRotator = new KeyRotator(config.getGeminiApiKeys(), 'gemini');
+      const geminiKeyRotator = new KeyRotator(config.getGeminiApiKeys(), 'gemini', config.getKeyRotatorOptions('gemini'));
       geminiClient = new GeminiClient(geminiKeyRotator, config.getGeminiBaseUrl());
       console.log('[INIT] Legacy Gemini client initialized');
     } else if (config.hasAdminPassword()) {
@@ -21,7 +21,7 @@ function main() {
     }
 
     if (config.hasOpenaiKeys()) {
-      const openaiKeyRotator = new KeyRotator(config.getOpenaiApiKeys(), 'openai');
+      const openaiKeyRotator = new KeyRotator(config.getOpenaiApiKeys(), 'openai', config.getKeyRotatorOptions('openai'));
       openaiClient = new OpenAIClient(openaiKeyRotator, config.getOpenaiBaseUrl());
       console.log('[INIT] Legacy OpenAI client initialized');
     } else if (config.hasAdminPassword()) {
@@ -31,11 +31,12 @@ function main() {
     const server = new ProxyServer(config, geminiClient, openaiClient);
     server.start();
 
-    process.on('SIGINT', () => {
+    const shutdown = () => {
       console.log('\nShutting down server...');
-      server.stop();
-      process.exit(0);
-    });
+      server.stop().finally(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
 
   } catch (error) {
     console.error('Failed to start server:', error.message);
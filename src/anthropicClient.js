@@ -0,0 +1,35 @@
+const BaseClient = require('./baseClient');
+
+const DEFAULT_ANTHROPIC_VERSION = '2023-06-01';
+
+class AnthropicClient extends BaseClient {
+  constructor(keyRotator, baseUrl = 'https://api.anthropic.com/v1', options = {}) {
+    super(keyRotator, baseUrl, options);
+    this.logTag = 'ANTHROPIC';
+    this.authHeader = 'x-api-key';
+    this.rotationStatusCodes = [429, 529]; // 529 is Anthropic's "overloaded"
+  }
+
+  /**
+   * Builds a response body in the Anthropic Messages API error format
+   */
+  errorBody(statusCode, message) {
+    return JSON.stringify({
+      type: 'error',
+      error: {
+        type: statusCode === 429 ? 'rate_limit_error' : 'api_error',
+        message: message
+      }
+    });
+  }
+
+  buildRequest(path, headers, apiKey) {
+    const request = super.buildRequest(path, headers, apiKey);
+    if (!headers || !headers['anthropic-version']) {
+      request.headers['anthropic-version'] = DEFAULT_ANTHROPIC_VERSION;
+    }
+    return request;
+  }
+}
+
+module.exports = AnthropicClient;
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+const MAX_REASON_LENGTH = 200;
+
+// Error codes upstreams use for a key that is invalid, revoked or whose account can't be billed:
+// OpenAI-style invalid_api_key, billing_not_active and account_deactivated, and Gemini's
+// API_KEY_INVALID and CONSUMER_SUSPENDED (a 403 PERMISSION_DENIED for a suspended project)
+const INVALID_KEY_PATTERN = /\b(invalid_api_key|billing_not_active|account_deactivated|API_KEY_INVALID|CONSUMER_SUSPENDED)\b/;
+
+/**
+ * Reads the upstream's error message from a response body
+ * @param {string} data Response body
+ * @returns {string|null} The error message, if the body has one
+ */
+function readErrorMessage(data) {
+  if (!data) return null;
+
+  try {
+    const parsed = JSON.parse(data);
+    const error = parsed && (Array.isArray(parsed) ? parsed[0] && parsed[0].error : parsed.error);
+    if (!error) return null;
+    return typeof error === 'string' ? error : error.message || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Recognises responses that mean the API key itself is unusable: any 401, or an error naming the
+ * key as invalid or its account as unbilled or suspended (see INVALID_KEY_PATTERN). Other 403s are
+ * usually about the request (a file the key can't access, a region block, moderation) and don't count.
+ * @param {object} response Upstream response ({ statusCode, data })
+ * @returns {string|null} A short reason for quarantining the key, or null if the key is fine
+ */
+function getAuthFailureReason(response) {
+  const isInvalidKey = response.statusCode >= 400 && typeof response.data === 'string' && INVALID_KEY_PATTERN.test(response.data);
+  if (response.statusCode !== 401 && !isInvalidKey) return null;
+
+  const message = readErrorMessage(response.data);
+  const reason = message ? `HTTP ${response.statusCode}: ${message}` : `HTTP ${response.statusCode}`;
+  return reason.length > MAX_REASON_LENGTH ? reason.substring(0, MAX_REASON_LENGTH - 3) + '...' : reason;
+}
+
+/**
+ * @param {string} secret A client access key
+ * @returns {string} SHA-256 hex digest, which is what gets stored and compared
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Compares two secrets in constant time, whatever their lengths
+ * @returns {boolean} True if they are equal
+ */
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(hashSecret(a), 'hex'), Buffer.from(hashSecret(b), 'hex'));
+}
+
+module.exports = { getAuthFailureReason, hashSecret, safeEqual };
@@ -0,0 +1,315 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { primeEventStream } = require('./streamUtils');
+const { getRetryDelayMs } = require('./rateLimitUtils');
+const { extractTokenUsage } = require('./usageUtils');
+const { getAuthFailureReason } = require('./authUtils');
+const { DEFAULT_TIMEOUTS, DEFAULT_NETWORK_RETRIES, applyTimeouts, toUpstreamError, getBackoffDelayMs, sleep } = require('./networkUtils');
+
+/**
+ * The request path every upstream client shares: rotating through the provider's keys, resting
+ * and quarantining keys the upstream rejects, failing over dead streams and retrying network
+ * failures. Subclasses describe their API type:
+ * - logTag, authHeader (the header a caller's own key comes in) and rotationStatusCodes
+ * - errorBody(statusCode, message) for answers the proxy gives itself
+ * - buildRequest(path, headers, apiKey, ...) for the URL and headers sent upstream
+ * - isEventStream(res) for responses handed back as streams
+ */
+class BaseClient {
+  constructor(keyRotator, baseUrl, options = {}) {
+    this.keyRotator = keyRotator;
+    this.baseUrl = baseUrl;
+    this.providerName = options.providerName || null; // Named in the errors the proxy answers with
+    this.streamStallTimeout = 30000; // How long a stream may stay silent before failing over
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts }; // Connect, first byte and total upstream timeouts
+    this.networkRetries = options.networkRetries ?? DEFAULT_NETWORK_RETRIES; // Retries after network failures
+    this.logTag = 'UPSTREAM';
+    this.authHeader = 'authorization';
+    this.rotationStatusCodes = [429];
+  }
+
+  /**
+   * Builds a response body in the API type's error format
+   */
+  errorBody(statusCode, message) {
+    return JSON.stringify({ error: { code: statusCode, message } });
+  }
+
+  /**
+   * @returns {string} The provider's keys, for the errors the proxy answers with
+   */
+  describeKeys() {
+    return this.providerName ? `API keys for provider '${this.providerName}'` : 'API keys for this provider';
+  }
+
+  localError(statusCode, message, headers = {}) {
+    return {
+      statusCode,
+      local: true, // Answered without contacting the upstream
+      headers: { 'content-type': 'application/json', ...headers },
+      data: this.errorBody(statusCode, message)
+    };
+  }
+
+  async makeRequest(method, path, body, headers = {}, customStatusCodes = null) {
+    const tag = this.logTag;
+    const callerSuppliedKey = Boolean(headers[this.authHeader]);
+
+    // Revoked keys stay out of rotation until restored from the admin panel
+    if (!callerSuppliedKey && this.keyRotator.allKeysQuarantined()) {
+      console.log(`[${tag}] All keys quarantined - returning 503`);
+      return this.localError(503, `All ${this.describeKeys()} are quarantined`);
+    }
+
+    // Create a new request context for this specific request
+    const requestContext = this.keyRotator.createRequestContext();
+    let lastError = null;
+    let lastResponse = null;
+
+    // Answer locally when every key has used up its budget instead of provoking upstream 429s
+    if (requestContext.allKeysOverBudget()) {
+      const retryAfter = Math.max(1, Math.ceil(requestContext.getBudgetRetryMs() / 1000));
+      console.log(`[${tag}] All keys over budget - returning 429 (retry after ${retryAfter}s)`);
+      return this.localError(429, `All ${this.describeKeys()} are over their configured budgets, retry after ${retryAfter}s`, { 'retry-after': String(retryAfter) });
+    }
+
+    // Determine which status codes should trigger rotation - the type's default unless overridden
+    const rotationStatusCodes = customStatusCodes || new Set(this.rotationStatusCodes);
+
+    // Try each available key for this request
+    let apiKey;
+    let networkFailures = 0;
+    let retryKey = null;
+    while ((apiKey = retryKey || requestContext.getNextKey()) !== null) {
+      retryKey = null;
+      const maskedKey = this.maskApiKey(apiKey);
+
+      console.log(`[${tag}::${maskedKey}] Attempting ${method} ${path}`);
+
+      try {
+        const response = await this.trackedSendRequest(method, path, body, headers, apiKey);
+
+        // Rest a rate-limited key for as long as the upstream asks, whether or not 429 rotates
+        if (response.statusCode === 429) {
+          this.keyRotator.setCooldown(apiKey, getRetryDelayMs(response));
+        }
+
+        // A revoked or invalid key won't recover by itself - take it out of rotation and move on
+        // (only when our key was sent - a key the caller supplied is the caller's problem)
+        const authFailure = !callerSuppliedKey && getAuthFailureReason(response);
+        if (authFailure) {
+          this.keyRotator.recordFailure(apiKey, response.statusCode);
+          this.keyRotator.quarantineKey(apiKey, authFailure);
+          requestContext.markKeyAsRateLimited(apiKey);
+          lastResponse = response;
+          continue;
+        }
+
+        // Check if this status code should trigger rotation
+        if (rotationStatusCodes.has(response.statusCode)) {
+          console.log(`[${tag}::${maskedKey}] Status ${response.statusCode} triggers rotation - trying next key`);
+          this.keyRotator.recordFailure(apiKey, response.statusCode);
+          requestContext.markKeyAsRateLimited(apiKey);
+          lastResponse = response; // Keep the response in case all keys fail
+          continue;
+        }
+
+        // Hold streams until their first event so a dead or silent stream still fails over. The next
+        // key is tried right away: a stalled stream doesn't use up the network retries.
+        if (response.stream) {
+          try {
+            response.initialChunks = await primeEventStream(response.stream, this.streamStallTimeout);
+          } catch (error) {
+            lastError = toUpstreamError(error);
+            console.log(`[${tag}::${maskedKey}] ${lastError.message} - trying next key`);
+            this.keyRotator.recordFailure(apiKey, lastError.timeout ? 'timeout' : 'connection');
+            continue;
+          }
+        }
+
+        if (response.statusCode < 400) {
+          this.keyRotator.clearCooldown(apiKey);
+
+          // Count reported tokens against the key's budget; streams report theirs once they finish
+          if (response.stream) {
+            response.onStreamEnd = (tail) => this.keyRotator.recordTokenUsage(apiKey, extractTokenUsage(tail));
+          } else {
+            this.keyRotator.recordTokenUsage(apiKey, extractTokenUsage(response.data));
+          }
+        }
+
+        response.keyMask = maskedKey; // Which key answered, for usage accounting
+        console.log(`[${tag}::${maskedKey}] Success (${response.statusCode})`);
+        return response;
+      } catch (error) {
+        lastError = toUpstreamError(error);
+        console.log(`[${tag}::${maskedKey}] Request failed: ${lastError.message}`);
+        this.keyRotator.recordFailure(apiKey, lastError.timeout ? 'timeout' : 'connection');
+
+        // Untried keys are always tried; only going back to a key that already failed uses up a retry
+        if (!requestContext.allKeysTried()) continue;
+        networkFailures++;
+        if (networkFailures > this.networkRetries) break;
+        const delay = getBackoffDelayMs(networkFailures);
+        console.log(`[${tag}] Network retry ${networkFailures}/${this.networkRetries} in ${delay}ms`);
+        await sleep(delay);
+        retryKey = apiKey;
+        continue;
+      }
+    }
+
+    // All keys have been tried for this request
+    const stats = requestContext.getStats();
+    console.log(`[${tag}] All ${stats.totalKeys} keys tried for this request. ${stats.rateLimitedKeys} were rate limited.`);
+
+    // Update the KeyRotator with the last failed key from this request
+    const lastFailedKey = requestContext.getLastFailedKey();
+    this.keyRotator.updateLastFailedKey(lastFailedKey);
+
+    // If all tried keys were rate limited, return 429
+    if (requestContext.allTriedKeysRateLimited()) {
+      console.log(`[${tag}] All keys rate limited for this request - returning 429`);
+      return lastResponse || {
+        statusCode: 429,
+        headers: { 'content-type': 'application/json' },
+        data: this.errorBody(429, `All ${this.describeKeys()} have been rate limited for this request`)
+      };
+    }
+
+    // If we had other types of errors, throw the last one
+    if (lastError) {
+      throw lastError;
+    }
+
+    // Fallback error
+    throw new Error('All API keys exhausted without clear error');
+  }
+
+  /**
+   * Sends a request while the key rotator counts the key as in flight.
+   * Streams keep their key in flight until the stream closes.
+   */
+  async trackedSendRequest(method, path, body, headers, apiKey) {
+    this.keyRotator.acquireKey(apiKey);
+    try {
+      const response = await this.sendRequest(method, path, body, headers, apiKey);
+      if (response.stream) {
+        response.stream.once('close', () => this.keyRotator.releaseKey(apiKey));
+      } else {
+        this.keyRotator.releaseKey(apiKey);
+      }
+      return response;
+    } catch (error) {
+      this.keyRotator.releaseKey(apiKey);
+      throw error;
+    }
+  }
+
+  /**
+   * Joins the base URL and a request path - handles paths that are empty or just "/"
+   */
+  joinUrl(path) {
+    if (!path || path === '/') {
+      return this.baseUrl;
+    }
+    if (path.startsWith('/')) {
+      return this.baseUrl.endsWith('/') ? this.baseUrl + path.substring(1) : this.baseUrl + path;
+    }
+    return this.baseUrl.endsWith('/') ? this.baseUrl + path : this.baseUrl + '/' + path;
+  }
+
+  /**
+   * @returns {object} { url, headers } - the URL object and headers to send upstream
+   */
+  buildRequest(path, headers, apiKey) {
+    const finalHeaders = {
+      'Content-Type': 'application/json',
+      ...headers
+    };
+    if (!headers || !headers[this.authHeader]) {
+      finalHeaders[this.authHeader] = apiKey;
+    }
+    return { url: new URL(this.joinUrl(path)), headers: finalHeaders };
+  }
+
+  sendRequest(method, path, body, headers, apiKey, ...buildOptions) {
+    return new Promise((resolve, reject) => {
+      const { url, headers: finalHeaders } = this.buildRequest(path, headers, apiKey, ...buildOptions);
+
+      // Take the transport from the base URL so plain-HTTP local model servers work too
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        reject(new Error(`Unsupported upstream protocol: ${url.protocol}`));
+        return;
+      }
+      const transport = url.protocol === 'http:' ? http : https;
+
+      const options = {
+        hostname: url.hostname.replace(/^\[(.*)\]$/, '$1'), // Strip brackets from IPv6 literals
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
+        path: url.pathname + url.search,
+        method: method,
+        headers: finalHeaders
+      };
+
+      if (body && method !== 'GET') {
+        const bodyData = typeof body === 'string' ? body : JSON.stringify(body);
+        options.headers['Content-Length'] = Buffer.byteLength(bodyData);
+      }
+
+      const req = transport.request(options, (res) => {
+        // Hand successful event streams back unbuffered so the proxy can pipe them through
+        if (this.isEventStream(res)) {
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            stream: res
+          });
+          return;
+        }
+
+        let data = '';
+
+        res.on('error', reject); // Timed out or lost mid-response
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            data: data
+          });
+        });
+      });
+
+      applyTimeouts(req, this.timeouts, (res) => this.isEventStream(res));
+
+      req.on('error', (error) => {
+        const maskedKey = this.maskApiKey(apiKey);
+        console.log(`[${this.logTag}::${maskedKey}] HTTP request error: ${error.message}`);
+        reject(error);
+      });
+
+      if (body && method !== 'GET') {
+        const bodyData = typeof body === 'string' ? body : JSON.stringify(body);
+        req.write(bodyData);
+      }
+
+      req.end();
+    });
+  }
+
+  isEventStream(res) {
+    const contentType = res.headers['content-type'] || '';
+    return res.statusCode >= 200 && res.statusCode < 300 && contentType.includes('text/event-stream');
+  }
+
+  maskApiKey(key) {
+    if (!key || key.length < 8) return '***';
+    return key.substring(0, 4) + '...' + key.substring(key.length - 4);
+  }
+}
+
+module.exports = BaseClient;
@@ -0,0 +1,111 @@
+const STATES = {
+  CLOSED: 'closed', // Requests go through
+  OPEN: 'open', // Requests fail fast until the cool-off is over
+  HALF_OPEN: 'half-open' // One probe request goes through to test recovery
+};
+
+/**
+ * Stops sending requests to an upstream that keeps failing. Opens after a number of consecutive
+ * failures (5xx responses or network errors), fails fast while open, and after a cool-off lets a
+ * single probe through: success closes it again, failure reopens it for another cool-off.
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold !== undefined ? options.failureThreshold : 5; // 0 = never open
+    this.cooldownMs = (options.cooldownSeconds !== undefined ? options.cooldownSeconds : 30) * 1000;
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null; // When the breaker last opened (ms)
+    this.lastFailure = null; // { reason, at } of the most recent failure
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Whether a request may go upstream now. Moves an open breaker whose cool-off is over to
+   * half-open and lets exactly one probe through.
+   * @returns {boolean} False if the request should fail fast
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN && this.getRetryInMs() === 0) {
+      this.state = STATES.HALF_OPEN;
+      console.log(`[CIRCUIT] ${this.name} half-open - probing recovery`);
+    }
+
+    if (this.state === STATES.CLOSED) return true;
+    if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      console.log(`[CIRCUIT] ${this.name} closed - upstream recovered`);
+    }
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Counts a 5xx response or network failure, opening the breaker at the threshold
+   * (or straight away when the half-open probe failed)
+   * @param {string} reason What went wrong, shown in the admin panel
+   */
+  recordFailure(reason) {
+    this.consecutiveFailures++;
+    this.lastFailure = { reason, at: Date.now() };
+    this.probeInFlight = false;
+
+    const shouldOpen = this.state === STATES.HALF_OPEN ||
+      (this.failureThreshold > 0 && this.consecutiveFailures >= this.failureThreshold);
+    if (shouldOpen) {
+      if (this.state !== STATES.OPEN) {
+        console.log(`[CIRCUIT] ${this.name} open after ${this.consecutiveFailures} consecutive failures (${reason})`);
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Ends a request that says nothing about the upstream's health, freeing the probe slot if it was the probe
+   */
+  release() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Applies changed settings without losing the current state
+   */
+  configure(options = {}) {
+    if (options.failureThreshold !== undefined) this.failureThreshold = options.failureThreshold;
+    if (options.cooldownSeconds !== undefined) this.cooldownMs = options.cooldownSeconds * 1000;
+  }
+
+  /**
+   * Milliseconds until an open breaker lets a probe through (0 if it isn't open or the cool-off is over)
+   */
+  getRetryInMs() {
+    if (this.state !== STATES.OPEN) return 0;
+    return Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt,
+      retryInMs: this.getRetryInMs(),
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
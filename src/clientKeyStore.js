@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hashSecret } = require('./authUtils');
+const { LIMIT_NAMES } = require('./clientLimiter');
+const { normalizePolicy } = require('./modelPolicy');
+
+const KEY_PREFIX = 'ck-';
+
+/**
+ * Named access keys that clients use to call the proxy, kept in a local JSON file. A key is
+ * valid for the providers it lists, or for every provider when it lists none. Only a hash of
+ * each key is stored - the key itself is shown once, when it is created.
+ */
+class ClientKeyStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.keys = []; // [{ id, label, hash, hint, providers, limits, policy, createdAt, expiresAt, enabled }]
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.keys = Array.isArray(parsed && parsed.keys) ? parsed.keys : [];
+      console.log(`[CLIENT-KEYS] Loaded ${this.keys.length} client keys from ${this.filePath}`);
+    } catch (error) {
+      console.warn(`[CLIENT-KEYS] Ignoring unreadable client key file ${this.filePath}: ${error.message}`);
+      this.keys = [];
+    }
+  }
+
+  /**
+   * Writes the key file, replacing it atomically so a crash mid-write can't corrupt it
+   */
+  save() {
+    if (!this.filePath) return;
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ savedAt: new Date().toISOString(), keys: this.keys }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * @returns {object[]} Every key without its hash, for the admin panel
+   */
+  list() {
+    return this.keys.map(key => this.toPublic(key));
+  }
+
+  toPublic(key) {
+    const { hash, ...rest } = key;
+    return { ...rest, limits: key.limits || {}, policy: key.policy || normalizePolicy(), expired: this.isExpired(key) };
+  }
+
+  get(id) {
+    return this.keys.find(key => key.id === id) || null;
+  }
+
+  /**
+   * Creates a key
+   * @param {object} options { label, providers, limits, policy, expiresAt }
+   * @returns {object} { key, entry } - the key in the clear (only available now) and its public entry
+   */
+  create(options = {}) {
+    const fields = this.validate(options);
+    if (!fields.label) {
+      throw new Error('A label is required');
+    }
+
+    const secret = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const entry = {
+      id: crypto.randomBytes(6).toString('hex'),
+      label: fields.label,
+      hash: hashSecret(secret),
+      hint: `${secret.substring(0, KEY_PREFIX.length + 4)}...${secret.substring(secret.length - 4)}`,
+      providers: fields.providers || [],
+      limits: fields.limits || {},
+      policy: fields.policy || normalizePolicy(),
+      createdAt: new Date().toISOString(),
+      expiresAt: fields.expiresAt || null,
+      enabled: true
+    };
+
+    this.keys.push(entry);
+    this.save();
+    console.log(`[CLIENT-KEYS] Created client key '${entry.label}'`);
+    return { key: secret, entry: this.toPublic(entry) };
+  }
+
+  /**
+   * Changes a key's label, providers, limits, policy, expiry or enabled flag
+   * @returns {object|null} The updated public entry, or null if there is no such key
+   */
+  update(id, changes = {}) {
+    const entry = this.get(id);
+    if (!entry) return null;
+
+    const fields = this.validate(changes, id);
+    Object.assign(entry, fields);
+    this.save();
+    console.log(`[CLIENT-KEYS] Updated client key '${entry.label}'`);
+    return this.toPublic(entry);
+  }
+
+  delete(id) {
+    const entry = this.get(id);
+    if (!entry) return false;
+
+    this.keys = this.keys.filter(key => key !== entry);
+    this.save();
+    console.log(`[CLIENT-KEYS] Deleted client key '${entry.label}'`);
+    return true;
+  }
+
+  /**
+   * Checks and normalizes the editable fields present in a create or update request
+   * @throws {Error} If a field has the wrong shape
+   */
+  validate(changes, id = null) {
+    const fields = {};
+
+    if (changes.label !== undefined) {
+      fields.label = String(changes.label).trim();
+      if (!fields.label) throw new Error('A label is required');
+      if (this.keys.some(key => key.label === fields.label && key.id !== id)) {
+        throw new Error(`A client key labelled '${fields.label}' already exists`);
+      }
+    }
+
+    if (changes.providers !== undefined) {
+      const providers = Array.isArray(changes.providers) ? changes.providers : String(changes.providers || '').split(',');
+      fields.providers = [...new Set(providers.map(name => String(name).trim().toLowerCase()).filter(name => name))];
+    }
+
+    // Limits left empty or 0 are unlimited. The spend cap is an amount, the others are counts.
+    if (changes.limits !== undefined) {
+      fields.limits = {};
+      for (const [name, value] of Object.entries(changes.limits || {})) {
+        if (!LIMIT_NAMES.includes(name)) throw new Error(`Unknown limit '${name}'`);
+        if (value === null || value === '' || Number(value) === 0) continue;
+        if (name === 'spend') {
+          if (!/^\d+(\.\d+)?$/.test(String(value))) throw new Error('Limit spend must be a non-negative amount');
+        } else if (!/^\d+$/.test(String(value))) {
+          throw new Error(`Limit ${name} must be a whole number`);
+        }
+        fields.limits[name] = Number(value);
+      }
+    }
+
+    if (changes.policy !== undefined) {
+      fields.policy = normalizePolicy(changes.policy || {});
+    }
+
+    if (changes.expiresAt !== undefined) {
+      if (!changes.expiresAt) {
+        fields.expiresAt = null;
+      } else {
+        const expiresAt = new Date(changes.expiresAt);
+        if (isNaN(expiresAt.getTime())) throw new Error('Expiry must be a date');
+        fields.expiresAt = expiresAt.toISOString();
+      }
+    }
+
+    if (changes.enabled !== undefined) {
+      fields.enabled = Boolean(changes.enabled);
+    }
+
+    return fields;
+  }
+
+  isExpired(key) {
+    return Boolean(key.expiresAt) && Date.parse(key.expiresAt) <= Date.now();
+  }
+
+  appliesTo(key, providerName) {
+    return key.providers.length === 0 || key.providers.includes(providerName);
+  }
+
+  /**
+   * Whether any client key - usable or not - covers the provider. A provider covered by a
+   * disabled or expired key stays locked rather than opening up.
+   */
+  hasKeysFor(providerName) {
+    return this.keys.some(key => this.appliesTo(key, providerName));
+  }
+
+  /**
+   * Finds the enabled, unexpired key matching a secret that is valid for the provider. Every
+   * stored hash is compared in constant time, so timing says nothing about which keys exist.
+   * @param {string} providerName Provider being called
+   * @param {string} secret Key the client sent
+   * @returns {object|null} The matching public entry, or null
+   */
+  authenticate(providerName, secret) {
+    if (!secret) return null;
+
+    const hash = Buffer.from(hashSecret(secret), 'hex');
+    let match = null;
+    for (const key of this.keys) {
+      if (crypto.timingSafeEqual(hash, Buffer.from(key.hash, 'hex')) && !match) {
+        match = key;
+      }
+    }
+
+    if (!match || !match.enabled || this.isExpired(match) || !this.appliesTo(match, providerName)) {
+      return null;
+    }
+    return this.toPublic(match);
+  }
+}
+
+module.exports = ClientKeyStore;
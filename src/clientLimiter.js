@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rolling window length per client limit (concurrent requests have no window)
+const LIMIT_WINDOWS = {
+  rpm: 60 * 1000,
+  tpd: 24 * 60 * 60 * 1000,
+  spend: 24 * 60 * 60 * 1000
+};
+
+// Event field each windowed limit counts
+const LIMIT_FIELDS = {
+  rpm: 'requests',
+  tpd: 'tokens',
+  spend: 'cost'
+};
+
+const LIMIT_NAMES = ['rpm', 'tpd', 'spend', 'concurrent'];
+
+// Requests turned away for concurrency are told to retry after this long
+const CONCURRENT_RETRY_MS = 1000;
+
+// Saved events are merged per minute, so a busy client's day stays at most 1440 events on disk
+const SAVED_EVENT_MS = 60 * 1000;
+
+/**
+ * Enforces per-client limits - requests per minute, tokens per day, estimated spend per day and
+ * concurrent requests - so one client can't use up the upstream keys everyone shares. Usage is kept per
+ * client key ID, in events merged per second so a day of traffic stays small, and saved to a local JSON
+ * file so the daily quotas survive restarts.
+ */
+class ClientLimiter {
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.clients = new Map(); // Map of client key ID -> { events: [{ time, requests, tokens, cost }], inFlight }
+    this.dirty = false;
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [id, events] of Object.entries((parsed && parsed.clients) || {})) {
+        if (!Array.isArray(events)) continue;
+        const kept = events
+          .filter(event => event && typeof event.time === 'number')
+          .map(event => ({ time: event.time, requests: event.requests || 0, tokens: event.tokens || 0, cost: event.cost || 0 }));
+        this.clients.set(id, { events: kept, inFlight: 0 });
+      }
+      console.log(`[CLIENT-LIMITS] Loaded usage for ${this.clients.size} client keys from ${this.filePath}`);
+    } catch (error) {
+      console.warn(`[CLIENT-LIMITS] Ignoring unreadable client usage file ${this.filePath}: ${error.message}`);
+      this.clients = new Map();
+    }
+  }
+
+  /**
+   * Writes the last day of events if anything changed since the last write, replacing the file atomically.
+   * Events are saved merged per minute, stamped with the last one's time so none leaves its window early.
+   */
+  save() {
+    if (!this.filePath || !this.dirty) return;
+
+    const since = Date.now() - LIMIT_WINDOWS.tpd;
+    const clients = {};
+    for (const [id, client] of this.clients.entries()) {
+      const saved = [];
+      for (const event of client.events) {
+        if (event.time <= since) continue;
+
+        const last = saved[saved.length - 1];
+        if (last && Math.floor(last.time / SAVED_EVENT_MS) === Math.floor(event.time / SAVED_EVENT_MS)) {
+          last.time = event.time;
+          last.requests += event.requests;
+          last.tokens += event.tokens;
+          last.cost += event.cost;
+        } else {
+          saved.push({ ...event });
+        }
+      }
+      if (saved.length > 0) clients[id] = saved;
+    }
+
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ savedAt: new Date().toISOString(), clients }));
+      fs.renameSync(tempPath, this.filePath);
+      this.dirty = false;
+    } catch (error) {
+      console.error(`[CLIENT-LIMITS] Failed to save client usage to ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  getClient(id) {
+    if (!this.clients.has(id)) {
+      this.clients.set(id, { events: [], inFlight: 0 });
+    }
+    return this.clients.get(id);
+  }
+
+  recordEvent(id, requests, tokens, cost = 0) {
+    const events = this.getClient(id).events;
+    const now = Date.now();
+    const last = events[events.length - 1];
+    if (last && now - last.time < 1000) {
+      last.requests += requests;
+      last.tokens += tokens;
+      last.cost += cost;
+    } else {
+      events.push({ time: now, requests, tokens, cost });
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Starts a request for a client if its limits allow it
+   * @param {string} id Client key ID
+   * @param {object} limits { rpm, tpd, spend, concurrent } - missing or 0 means unlimited
+   * @returns {object|null} null if the request may go ahead (and was counted), otherwise
+   *   { limit, message, retryAfterMs } for the limit it would break
+   */
+  tryAcquire(id, limits) {
+    const usage = this.getUsage(id, limits);
+    for (const name of LIMIT_NAMES) {
+      const budget = usage[name];
+      if (!budget.limit || budget.used < budget.limit) continue;
+
+      const retryAfterMs = name === 'concurrent' ? CONCURRENT_RETRY_MS : budget.waitMs;
+      const messages = {
+        rpm: `Client request limit reached (${budget.limit} requests per minute)`,
+        tpd: `Client token quota reached (${budget.limit} tokens per day)`,
+        spend: `Client spend cap reached ($${budget.limit} per day)`,
+        concurrent: `Client concurrency limit reached (${budget.limit} requests at a time)`
+      };
+      return { limit: name, message: messages[name], retryAfterMs };
+    }
+
+    this.getClient(id).inFlight++;
+    this.recordEvent(id, 1, 0);
+    return null;
+  }
+
+  /**
+   * Ends a request started with tryAcquire
+   */
+  release(id) {
+    const client = this.clients.get(id);
+    if (client && client.inFlight > 0) {
+      client.inFlight--;
+    }
+  }
+
+  /**
+   * Counts the tokens a response reported, and what they cost, against the client's daily quotas
+   * @param {string} id Client key ID
+   * @param {object|null} usage Token usage ({ totalTokens }), or null if the response had none
+   * @param {number|null} cost Estimated cost, or null if the model has no price
+   */
+  recordTokenUsage(id, usage, cost = null) {
+    const tokens = usage ? usage.totalTokens || 0 : 0;
+    if (!tokens && !cost) return;
+    this.recordEvent(id, 0, tokens, cost || 0);
+  }
+
+  /**
+   * Gets how much of each limit a client has used
+   * @param {string} id Client key ID
+   * @param {object} limits { rpm, tpd, spend, concurrent }
+   * @returns {object} Map of limit name -> { used, limit, waitMs } (limit 0 = unlimited)
+   */
+  getUsage(id, limits = {}) {
+    const client = this.getClient(id);
+    const now = Date.now();
+
+    // Nothing is counted for longer than a day
+    const firstKept = client.events.findIndex(event => event.time > now - LIMIT_WINDOWS.tpd);
+    client.events.splice(0, firstKept === -1 ? client.events.length : firstKept);
+
+    const usage = {};
+    for (const [name, windowMs] of Object.entries(LIMIT_WINDOWS)) {
+      const field = LIMIT_FIELDS[name];
+      const limit = limits[name] || 0;
+      const inWindow = client.events.filter(event => event.time > now - windowMs && event[field] > 0);
+      let used = inWindow.reduce((sum, event) => sum + event[field], 0);
+      const total = used;
+
+      // The client is within the limit again once enough of the oldest events have left the window
+      let waitMs = 0;
+      for (const event of inWindow) {
+        if (!limit || used < limit) break;
+        used -= event[field];
+        waitMs = event.time + windowMs - now;
+      }
+
+      usage[name] = { used: total, limit, waitMs };
+    }
+    usage.concurrent = { used: client.inFlight, limit: limits.concurrent || 0, waitMs: 0 };
+
+    return usage;
+  }
+}
+
+ClientLimiter.LIMIT_NAMES = LIMIT_NAMES;
+
+module.exports = ClientLimiter;
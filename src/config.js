@@ -1,10 +1,41 @@
 const fs = require('fs');
 const path = require('path');
+const KeyRotator = require('./keyRotator');
+const { providerRegistry } = require('./providerRegistry');
+
+// Per-provider settings read from {API_TYPE}_{PROVIDER}_{SUFFIX} variables, in the order they are written back to .env
+const PROVIDER_SETTINGS = [
+  { suffix: 'API_KEYS', field: 'keys' },
+  { suffix: 'BASE_URL', field: 'baseUrl' },
+  { suffix: 'ACCESS_KEY', field: 'accessKey' },
+  { suffix: 'DEFAULT_MODEL', field: 'defaultModel' },
+  { suffix: 'MODEL_HISTORY', field: null }, // Only used by the admin panel
+  { suffix: 'MODEL_ALIASES', field: 'modelAliases' },
+  { suffix: 'ROTATION_STRATEGY', field: 'rotationStrategy' },
+  { suffix: 'KEY_WEIGHTS', field: 'keyWeights' },
+  { suffix: 'KEY_LIMITS', field: 'keyLimits' },
+  { suffix: 'FALLBACK', field: 'fallback' },
+  { suffix: 'FALLBACK_MODELS', field: 'fallbackModels' },
+  { suffix: 'TIMEOUTS', field: 'timeouts' },
+  { suffix: 'NETWORK_RETRIES', field: 'networkRetries' },
+  { suffix: 'COALESCE', field: 'coalesce' }
+];
+
+// Names used in {API_TYPE}_{PROVIDER}_TIMEOUTS -> client timeout fields
+const TIMEOUT_NAMES = {
+  connect: 'connect',
+  first_byte: 'firstByte',
+  total: 'total'
+};
+
+const ROTATION_STRATEGIES = KeyRotator.STRATEGIES;
+const DEFAULT_ROTATION_STRATEGY = ROTATION_STRATEGIES[0];
 
 class Config {
   constructor() {
     this.port = null;
     this.providers = new Map(); // Map of provider_name -> { apiType, keys, baseUrl }
+    this.modelAliases = new Map(); // Map of alias -> { providerName, model }
     this.geminiApiKeys = [];
     this.openaiApiKeys = [];
     this.baseUrl = null;
@@ -51,6 +82,57 @@ class Config {
     this.port = parseInt(envVars.PORT);
     this.adminPassword = envVars.ADMIN_PASSWORD;
 
+    // Fallback cooldown for rate-limited keys when the upstream gives no retry hint
+    const cooldownSeconds = parseInt(envVars.KEY_COOLDOWN_SECONDS);
+    this.keyCooldownSeconds = isNaN(cooldownSeconds) || cooldownSeconds < 0 ? 60 : cooldownSeconds;
+
+    // Circuit breakers open after this many consecutive upstream failures (0 = never) and probe again after the cool-off
+    const breakerThreshold = parseInt(envVars.CIRCUIT_BREAKER_THRESHOLD);
+    this.circuitBreakerThreshold = isNaN(breakerThreshold) || breakerThreshold < 0 ? 5 : breakerThreshold;
+    const breakerCooldown = parseInt(envVars.CIRCUIT_BREAKER_COOLDOWN_SECONDS);
+    this.circuitBreakerCooldownSeconds = isNaN(breakerCooldown) || breakerCooldown < 0 ? 30 : breakerCooldown;
+
+    // Opt-in cache for deterministic requests (temperature 0 completions, embeddings)
+    this.responseCache = {
+      enabled: /^(true|1|yes|on)$/i.test((envVars.RESPONSE_CACHE || '').trim()),
+      ttlSeconds: this.parseNonNegativeInt(envVars.RESPONSE_CACHE_TTL_SECONDS, 3600),
+      maxEntries: this.parseNonNegativeInt(envVars.RESPONSE_CACHE_MAX_ENTRIES, 1000),
+      maxBytes: this.parseNonNegativeInt(envVars.RESPONSE_CACHE_MAX_MB, 50) * 1024 * 1024,
+      directory: envVars.RESPONSE_CACHE_DIR ? path.resolve(process.cwd(), envVars.RESPONSE_CACHE_DIR) : null,
+      maxDiskBytes: this.parseNonNegativeInt(envVars.RESPONSE_CACHE_DISK_MAX_MB, 500) * 1024 * 1024
+    };
+
+    // Finished requests and their response details, appended to rotating JSONL files
+    const requestLogEnabled = !/^(false|0|no|off)$/i.test((envVars.REQUEST_LOG || '').trim());
+    this.requestLog = {
+      directory: requestLogEnabled ? path.resolve(process.cwd(), envVars.REQUEST_LOG_DIR || 'logs') : null,
+      maxFileBytes: (this.parseNonNegativeInt(envVars.REQUEST_LOG_MAX_FILE_MB, 10) || 10) * 1024 * 1024,
+      maxTotalBytes: this.parseNonNegativeInt(envVars.REQUEST_LOG_MAX_TOTAL_MB, 500) * 1024 * 1024,
+      retentionDays: this.parseNonNegativeInt(envVars.REQUEST_LOG_RETENTION_DAYS, 14)
+    };
+
+    // Where key cooldowns, budgets and rotation state are kept across restarts
+    this.keyStateFile = path.resolve(process.cwd(), envVars.KEY_STATE_FILE || 'key-state.json');
+
+    // Where hourly and daily token usage totals are kept
+    this.usageFile = path.resolve(process.cwd(), envVars.USAGE_FILE || 'usage.json');
+
+    // Where client keys' recent requests, tokens and spend are kept so their daily limits survive restarts
+    this.clientUsageFile = path.resolve(process.cwd(), envVars.CLIENT_USAGE_FILE || 'client-usage.json');
+
+    // Where the per-model price table used for spend estimates is kept (managed in the admin panel)
+    this.pricesFile = path.resolve(process.cwd(), envVars.PRICES_FILE || 'prices.json');
+
+    // Bearer token Prometheus must send to scrape /metrics (unset = open)
+    this.metricsToken = envVars.METRICS_TOKEN || null;
+
+    // Where named client access keys are kept (managed in the admin panel)
+    this.clientKeysFile = path.resolve(process.cwd(), envVars.CLIENT_KEYS_FILE || 'client-keys.json');
+
+    // Extra API types come from provider plugins, which must load before providers are parsed
+    this.providerPluginDir = path.resolve(process.cwd(), envVars.PROVIDER_PLUGIN_DIR || 'plugins');
+    providerRegistry.loadPlugins(this.providerPluginDir);
+
     console.log(`[CONFIG] Port: ${this.port}`);
     console.log(`[CONFIG] Admin panel enabled with password authentication`);
 
@@ -60,6 +142,7 @@ class Config {
     // Parse new provider format and maintain backward compatibility
     this.parseProviders(envVars);
     this.parseBackwardCompatibility(envVars);
+    this.buildModelAliases();
 
     console.log(`[CONFIG] Found ${this.providers.size} providers configured`);
 
@@ -67,6 +150,18 @@ class Config {
     for (const [providerName, config] of this.providers.entries()) {
       const maskedKeys = config.keys.map(key => this.maskApiKey(key));
       console.log(`[CONFIG] Provider '${providerName}' (${config.apiType}): ${config.keys.length} keys [${maskedKeys.join(', ')}] → ${config.baseUrl}`);
+
+      for (const fallbackName of config.fallback || []) {
+        const fallback = this.providers.get(fallbackName);
+        if (!fallback) {
+          console.warn(`[CONFIG] Provider '${providerName}': fallback provider '${fallbackName}' is not configured`);
+        } else if (fallback.apiType !== config.apiType) {
+          console.warn(`[CONFIG] Provider '${providerName}': fallback provider '${fallbackName}' is ${fallback.apiType}, not ${config.apiType} - skipping it`);
+        }
+      }
+      if (config.fallback && config.fallback.length > 0) {
+        console.log(`[CONFIG] Provider '${providerName}' falls back to: ${config.fallback.join(' → ')}`);
+      }
     }
 
     if (this.providers.size === 0) {
@@ -110,67 +205,31 @@ class Config {
   }
 
   parseProviders(envVars) {
-    // Parse {API_TYPE}_{PROVIDER}_API_KEYS, {API_TYPE}_{PROVIDER}_BASE_URL, and {API_TYPE}_{PROVIDER}_ACCESS_KEY format
+    // Parse {API_TYPE}_{PROVIDER}_{SETTING} variables, e.g. OPENAI_GROQ_API_KEYS or GEMINI_BASE_URL
     const providerConfigs = new Map();
 
     for (const [key, value] of Object.entries(envVars)) {
-      if (key.endsWith('_API_KEYS') && value) {
-        // Extract API_TYPE and PROVIDER from key
-        const parts = key.replace('_API_KEYS', '').split('_');
-        if (parts.length >= 1) {
-          const apiType = parts[0].toLowerCase();
-          // If no provider name specified, use the API type as provider name (default)
-          const provider = parts.length === 1 ? apiType : parts.slice(1).join('_').toLowerCase();
-          
-          if (!providerConfigs.has(provider)) {
-            providerConfigs.set(provider, { apiType, keys: [], baseUrl: null, accessKey: null, defaultModel: null });
-          }
-          
-          providerConfigs.get(provider).keys = this.parseApiKeys(value);
-          providerConfigs.get(provider).apiType = apiType;
-        }
-      } else if (key.endsWith('_BASE_URL') && value) {
-        // Extract API_TYPE and PROVIDER from key
-        const parts = key.replace('_BASE_URL', '').split('_');
-        if (parts.length >= 1) {
-          const apiType = parts[0].toLowerCase();
-          // If no provider name specified, use the API type as provider name (default)
-          const provider = parts.length === 1 ? apiType : parts.slice(1).join('_').toLowerCase();
-          
-          if (!providerConfigs.has(provider)) {
-            providerConfigs.set(provider, { apiType, keys: [], baseUrl: null, accessKey: null, defaultModel: null });
-          }
-          
-          providerConfigs.get(provider).baseUrl = value.trim();
-        }
-      } else if (key.endsWith('_ACCESS_KEY') && value) {
-        // Extract API_TYPE and PROVIDER from key
-        const parts = key.replace('_ACCESS_KEY', '').split('_');
-        if (parts.length >= 1) {
-          const apiType = parts[0].toLowerCase();
-          // If no provider name specified, use the API type as provider name (default)
-          const provider = parts.length === 1 ? apiType : parts.slice(1).join('_').toLowerCase();
-          
-          if (!providerConfigs.has(provider)) {
-            providerConfigs.set(provider, { apiType, keys: [], baseUrl: null, accessKey: null, defaultModel: null });
-          }
-          
-          providerConfigs.get(provider).accessKey = value.trim();
-        }
-      } else if (key.endsWith('_DEFAULT_MODEL') && value) {
-        // Extract API_TYPE and PROVIDER from key
-        const parts = key.replace('_DEFAULT_MODEL', '').split('_');
-        if (parts.length >= 1) {
-          const apiType = parts[0].toLowerCase();
-          // If no provider name specified, use the API type as provider name (default)
-          const provider = parts.length === 1 ? apiType : parts.slice(1).join('_').toLowerCase();
-
-          if (!providerConfigs.has(provider)) {
-            providerConfigs.set(provider, { apiType, keys: [], baseUrl: null, accessKey: null, defaultModel: null });
-          }
-
-          providerConfigs.get(provider).defaultModel = value.trim();
-        }
+      if (!value) continue;
+
+      const setting = PROVIDER_SETTINGS.find(s => s.field && key.endsWith(`_${s.suffix}`));
+      if (!setting) continue;
+
+      // Extract API_TYPE and PROVIDER from key
+      const parts = key.slice(0, -(setting.suffix.length + 1)).split('_');
+      const apiType = parts[0].toLowerCase();
+      // If no provider name specified, use the API type as provider name (default)
+      const provider = parts.length === 1 ? apiType : parts.slice(1).join('_').toLowerCase();
+
+      if (!providerConfigs.has(provider)) {
+        providerConfigs.set(provider, { apiType, keys: [], baseUrl: null, accessKey: null, defaultModel: null });
+      }
+
+      const providerConfig = providerConfigs.get(provider);
+      if (setting.field === 'keys') {
+        providerConfig.keys = this.parseApiKeys(value);
+        providerConfig.apiType = apiType;
+      } else {
+        providerConfig[setting.field] = value.trim();
       }
     }
 
@@ -178,19 +237,44 @@ class Config {
     for (const [provider, config] of providerConfigs.entries()) {
       if (config.keys.length > 0) {
         // Set default base URLs if not specified
-        if (!config.baseUrl) {
-          if (config.apiType === 'openai') {
-            config.baseUrl = 'https://api.openai.com/v1';
-          } else if (config.apiType === 'gemini') {
-            config.baseUrl = 'https://generativelanguage.googleapis.com/v1';
-          }
+        const definition = providerRegistry.get(config.apiType);
+        if (!definition) {
+          console.warn(`[CONFIG] Provider '${provider}': unknown API type '${config.apiType}' - register it with a provider plugin`);
+        } else if (!config.baseUrl) {
+          config.baseUrl = definition.defaultBaseUrl || null;
         }
+
+        this.parseRotationSettings(provider, config);
+        config.keyLimits = this.parseKeyLimits(provider, config.keyLimits, config.keys.length);
+        config.fallback = (config.fallback || '').split(',').map(name => name.trim().toLowerCase()).filter(name => name);
+        config.fallbackModels = this.parseFallbackModels(config.fallbackModels);
+        config.modelAliases = this.parseModelAliases(config.modelAliases);
+        config.timeouts = this.parseTimeouts(provider, config.timeouts);
+        config.networkRetries = this.parseNetworkRetries(provider, config.networkRetries);
+        config.coalesce = /^(true|1|yes|on)$/i.test(config.coalesce || '');
         
         this.providers.set(provider, config);
       }
     }
   }
 
+  parseRotationSettings(providerName, config) {
+    const strategy = (config.rotationStrategy || DEFAULT_ROTATION_STRATEGY).toLowerCase();
+    if (!ROTATION_STRATEGIES.includes(strategy)) {
+      console.warn(`[CONFIG] Provider '${providerName}': unknown rotation strategy '${config.rotationStrategy}', using '${DEFAULT_ROTATION_STRATEGY}'`);
+      config.rotationStrategy = DEFAULT_ROTATION_STRATEGY;
+    } else {
+      config.rotationStrategy = strategy;
+    }
+
+    // Weights line up with the keys by position; missing or invalid weights count as 1
+    const weights = (config.keyWeights || '').split(',').map(w => parseFloat(w.trim()));
+    config.keyWeights = config.keys.map((key, index) => {
+      const weight = weights[index];
+      return isNaN(weight) || weight < 0 ? 1 : weight;
+    });
+  }
+
   parseBackwardCompatibility(envVars) {
     // Maintain backward compatibility with old format
     this.geminiApiKeys = this.parseApiKeys(envVars.GEMINI_API_KEYS);
@@ -249,6 +333,267 @@ class Config {
     return this.openaiApiKeys.length > 0;
   }
 
+  /**
+   * Parses per-key budgets like "rpm:15,rpd:1500". A single entry applies to every key;
+   * several entries separated by ";" line up with the keys by position (empty = no budget).
+   * @param {string} providerName The provider name, for warnings
+   * @param {string|undefined} value Raw {API_TYPE}_{PROVIDER}_KEY_LIMITS value
+   * @param {number} keyCount Number of keys the provider has
+   * @returns {Array<object|null>} One { rpm, tpm, rpd } object (or null) per key
+   */
+  parseKeyLimits(providerName, value, keyCount) {
+    const entries = (value || '').split(';').map(entry => {
+      const limits = {};
+      for (const part of entry.split(',')) {
+        if (!part.trim()) continue;
+
+        const [name, amount] = part.split(':').map(item => item.trim().toLowerCase());
+        const number = parseInt(amount);
+        if (!KeyRotator.BUDGET_NAMES.includes(name) || isNaN(number) || number <= 0) {
+          console.warn(`[CONFIG] Provider '${providerName}': ignoring invalid key limit '${part.trim()}'`);
+          continue;
+        }
+        limits[name] = number;
+      }
+      return Object.keys(limits).length > 0 ? limits : null;
+    });
+
+    const limits = [];
+    for (let i = 0; i < keyCount; i++) {
+      limits.push(entries.length === 1 ? entries[0] : (entries[i] || null));
+    }
+    return limits;
+  }
+
+  /**
+   * Parses upstream timeouts like "connect:5,first_byte:60,total:300" (seconds, 0 = no limit).
+   * Timeouts that aren't set keep the client's defaults.
+   * @param {string} providerName The provider name, for warnings
+   * @param {string|undefined} value Raw {API_TYPE}_{PROVIDER}_TIMEOUTS value
+   * @returns {object} { connect, firstByte, total } in milliseconds, only for the timeouts that are set
+   */
+  parseTimeouts(providerName, value) {
+    const timeouts = {};
+
+    for (const part of (value || '').split(',')) {
+      if (!part.trim()) continue;
+
+      const [name, amount] = part.split(':').map(item => item.trim().toLowerCase());
+      const seconds = parseFloat(amount);
+      if (!TIMEOUT_NAMES[name] || isNaN(seconds) || seconds < 0) {
+        console.warn(`[CONFIG] Provider '${providerName}': ignoring invalid timeout '${part.trim()}'`);
+        continue;
+      }
+      timeouts[TIMEOUT_NAMES[name]] = Math.round(seconds * 1000);
+    }
+
+    return timeouts;
+  }
+
+  parseNetworkRetries(providerName, value) {
+    if (value === undefined || value === '') return null;
+
+    const retries = parseInt(value);
+    if (isNaN(retries) || retries < 0) {
+      console.warn(`[CONFIG] Provider '${providerName}': ignoring invalid network retry count '${value}'`);
+      return null;
+    }
+    return retries;
+  }
+
+  /**
+   * Parses fallback model mappings like "openrouter:meta-llama/llama-3.1-8b-instruct,openai:gpt-4o=gpt-4o-mini".
+   * "provider:model" sends any model as that model; "provider:from=to" maps a single model.
+   * @param {string|undefined} value Raw {API_TYPE}_{PROVIDER}_FALLBACK_MODELS value
+   * @returns {object} Map of fallback provider -> { original model or '*' -> fallback model }
+   */
+  parseFallbackModels(value) {
+    const mappings = {};
+
+    for (const entry of (value || '').split(',')) {
+      const separator = entry.indexOf(':');
+      if (separator === -1) continue;
+
+      const providerName = entry.substring(0, separator).trim().toLowerCase();
+      const mapping = entry.substring(separator + 1).trim();
+      const equals = mapping.indexOf('=');
+      const from = equals === -1 ? '*' : mapping.substring(0, equals).trim();
+      const to = equals === -1 ? mapping : mapping.substring(equals + 1).trim();
+      if (!providerName || !from || !to) continue;
+
+      mappings[providerName] = mappings[providerName] || {};
+      mappings[providerName][from] = to;
+    }
+
+    return mappings;
+  }
+
+  /**
+   * Parses a provider's model aliases like "fast-chat=llama-3.1-8b-instant,smart=llama-3.3-70b"
+   * @param {string|undefined} value Raw {API_TYPE}_{PROVIDER}_MODEL_ALIASES value
+   * @returns {object} Map of alias -> the provider's model
+   */
+  parseModelAliases(value) {
+    const aliases = {};
+
+    for (const entry of (value || '').split(',')) {
+      const equals = entry.indexOf('=');
+      if (equals === -1) continue;
+
+      const alias = entry.substring(0, equals).trim();
+      const model = entry.substring(equals + 1).trim();
+      if (alias && model) {
+        aliases[alias] = model;
+      }
+    }
+
+    return aliases;
+  }
+
+  /**
+   * Collects every provider's aliases into one table for the unified endpoints
+   */
+  buildModelAliases() {
+    this.modelAliases = new Map();
+
+    for (const [providerName, config] of this.providers.entries()) {
+      for (const [alias, model] of Object.entries(config.modelAliases || {})) {
+        const existing = this.modelAliases.get(alias);
+        if (existing) {
+          console.warn(`[CONFIG] Model alias '${alias}' is defined by both '${existing.providerName}' and '${providerName}' - using '${existing.providerName}'`);
+          continue;
+        }
+        this.modelAliases.set(alias, { providerName, model });
+      }
+    }
+
+    if (this.modelAliases.size > 0) {
+      const summary = [...this.modelAliases.entries()].map(([alias, target]) => `${alias} → ${target.providerName}:${target.model}`);
+      console.log(`[CONFIG] Model aliases: ${summary.join(', ')}`);
+    }
+  }
+
+  getModelAliases() {
+    return new Map(this.modelAliases);
+  }
+
+  getModelAlias(alias) {
+    return this.modelAliases.get(alias) || null;
+  }
+
+  /**
+   * Gets the providers a request falls back to, in order. Providers that don't exist or
+   * speak a different API type are left out.
+   * @param {string} providerName The provider name
+   * @returns {Array<object>} [{ providerName, provider, modelMap }]
+   */
+  getFallbackChain(providerName) {
+    const provider = this.providers.get(providerName);
+    if (!provider || !provider.fallback) return [];
+
+    return provider.fallback
+      .filter(name => name !== providerName)
+      .map(name => ({ providerName: name, provider: this.providers.get(name), modelMap: provider.fallbackModels[name] || null }))
+      .filter(entry => entry.provider && entry.provider.apiType === provider.apiType);
+  }
+
+  getKeyStateFile() {
+    return this.keyStateFile;
+  }
+
+  getUsageFile() {
+    return this.usageFile;
+  }
+
+  getClientUsageFile() {
+    return this.clientUsageFile;
+  }
+
+  getPricesFile() {
+    return this.pricesFile;
+  }
+
+  getClientKeysFile() {
+    return this.clientKeysFile;
+  }
+
+  getMetricsToken() {
+    return this.metricsToken;
+  }
+
+  getKeyCooldownSeconds() {
+    return this.keyCooldownSeconds;
+  }
+
+  /**
+   * Gets the options a provider's KeyRotator should be created with
+   * @param {string} providerName The provider name
+   * @returns {object} KeyRotator options
+   */
+  getKeyRotatorOptions(providerName) {
+    const provider = this.providers.get(providerName);
+    return {
+      cooldownSeconds: this.keyCooldownSeconds,
+      strategy: (provider && provider.rotationStrategy) || DEFAULT_ROTATION_STRATEGY,
+      weights: (provider && provider.keyWeights) || null,
+      limits: (provider && provider.keyLimits) || null
+    };
+  }
+
+  parseNonNegativeInt(value, fallback) {
+    const number = parseInt(value);
+    return isNaN(number) || number < 0 ? fallback : number;
+  }
+
+  /**
+   * Gets the ResponseCache settings
+   * @returns {object} { enabled, ttlSeconds, maxEntries, maxBytes, directory, maxDiskBytes }
+   */
+  getResponseCacheOptions() {
+    return { ...this.responseCache };
+  }
+
+  /**
+   * Gets the RequestLog settings
+   * @returns {object} { directory, maxFileBytes, maxTotalBytes, retentionDays } - directory is null when disabled
+   */
+  getRequestLogOptions() {
+    return { ...this.requestLog };
+  }
+
+  /**
+   * Gets the options every upstream's CircuitBreaker uses
+   * @returns {object} CircuitBreaker options
+   */
+  getCircuitBreakerOptions() {
+    return {
+      failureThreshold: this.circuitBreakerThreshold,
+      cooldownSeconds: this.circuitBreakerCooldownSeconds
+    };
+  }
+
+  /**
+   * Gets the options a provider's client should be created with
+   * @param {string} providerName The provider name
+   * @returns {object} { providerName, timeouts, networkRetries } - unset options are left to the client's defaults
+   */
+  getClientOptions(providerName) {
+    const provider = this.providers.get(providerName);
+    const options = { providerName, timeouts: (provider && provider.timeouts) || {} };
+    if (provider && provider.networkRetries !== null && provider.networkRetries !== undefined) {
+      options.networkRetries = provider.networkRetries;
+    }
+    return options;
+  }
+
+  getProviderEnvSuffixes() {
+    return PROVIDER_SETTINGS.map(setting => setting.suffix);
+  }
+
+  getRotationStrategies() {
+    return [...ROTATION_STRATEGIES];
+  }
+
   getAdminPassword() {
     return this.adminPassword;
   }
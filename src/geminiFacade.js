@@ -0,0 +1,603 @@
+const { Transform, pipeline } = require('stream');
+
+/**
+ * Translates Gemini-format requests (generateContent, streamGenerateContent, embeddings, models)
+ * into OpenAI API calls and the responses back, so Gemini clients can use OpenAI-type providers.
+ */
+
+const FINISH_REASONS = {
+  stop: 'STOP',
+  length: 'MAX_TOKENS',
+  content_filter: 'SAFETY',
+  tool_calls: 'STOP',
+  function_call: 'STOP'
+};
+
+const ERROR_STATUSES = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  503: 'UNAVAILABLE',
+  504: 'DEADLINE_EXCEEDED'
+};
+
+class FacadeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Gemini schemas may spell types in upper case (STRING, OBJECT); JSON Schema wants lower case
+ */
+function toJsonSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toJsonSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    converted[key] = key === 'type' && typeof value === 'string' ? value.toLowerCase() : toJsonSchema(value);
+  }
+  return converted;
+}
+
+function textOf(content) {
+  if (!content) return '';
+  if (typeof content === 'string') return content;
+  return (content.parts || []).map(part => part.text || '').join('');
+}
+
+/**
+ * Converts Gemini parts to OpenAI message content
+ * Plain text stays a string; images and audio turn the content into an array of content parts.
+ * File URIs are rejected, since an OpenAI-type provider has no way to read them.
+ */
+function toOpenAIContent(parts) {
+  const contentParts = [];
+
+  for (const part of parts) {
+    if (typeof part.text === 'string') {
+      contentParts.push({ type: 'text', text: part.text });
+    } else if (part.inlineData) {
+      const { mimeType, data } = part.inlineData;
+      const audioFormat = mimeType && mimeType.match(/^audio\/(?:x-)?(wav|mp3|mpeg)$/);
+      if (audioFormat) {
+        contentParts.push({ type: 'input_audio', input_audio: { data, format: audioFormat[1] === 'mpeg' ? 'mp3' : audioFormat[1] } });
+      } else {
+        contentParts.push({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } });
+      }
+    } else if (part.fileData) {
+      // OpenAI-type providers can't fetch Files API or Cloud Storage URIs
+      throw new FacadeError(`File URIs are not supported, send the file as inlineData instead (${part.fileData.fileUri})`);
+    } else if (!part.functionCall && !part.functionResponse && !part.thought) {
+      throw new FacadeError(`Unsupported part: ${Object.keys(part).join(', ')}`);
+    }
+  }
+
+  if (contentParts.length === 0) return null;
+  if (contentParts.every(part => part.type === 'text')) {
+    return contentParts.map(part => part.text).join('');
+  }
+  return contentParts;
+}
+
+/**
+ * Builds OpenAI chat messages from Gemini `contents` and `systemInstruction`
+ * Gemini matches function responses to calls by name, so each response answers the
+ * oldest open call of that name.
+ */
+function toOpenAIMessages(contents, systemInstruction) {
+  const messages = [];
+  const openCalls = new Map(); // function name -> ids of calls still waiting for a response
+  let callCount = 0;
+
+  const systemText = textOf(systemInstruction);
+  if (systemText) {
+    messages.push({ role: 'system', content: systemText });
+  }
+
+  for (const content of contents) {
+    if (!content || !Array.isArray(content.parts)) {
+      throw new FacadeError('Each entry in "contents" needs a "parts" array');
+    }
+
+    const parts = content.parts;
+    const text = toOpenAIContent(parts);
+
+    if (content.role === 'model') {
+      const toolCalls = parts.filter(part => part.functionCall).map(part => {
+        const id = part.functionCall.id || `call_${callCount++}`;
+        if (!openCalls.has(part.functionCall.name)) openCalls.set(part.functionCall.name, []);
+        openCalls.get(part.functionCall.name).push(id);
+        return {
+          id,
+          type: 'function',
+          function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+        };
+      });
+
+      const message = { role: 'assistant', content: text };
+      if (toolCalls.length > 0) message.tool_calls = toolCalls;
+      if (text !== null || toolCalls.length > 0) messages.push(message);
+      continue;
+    }
+
+    // User (and legacy "function") turns: tool results first, since they answer the previous model turn
+    for (const part of parts.filter(part => part.functionResponse)) {
+      const { name, response } = part.functionResponse;
+      const pending = openCalls.get(name) || [];
+      const id = part.functionResponse.id || pending.shift();
+      if (!id) {
+        throw new FacadeError(`Function response for '${name}' doesn't follow a call to it`);
+      }
+      messages.push({ role: 'tool', tool_call_id: id, content: JSON.stringify(response === undefined ? {} : response) });
+    }
+    if (text !== null) {
+      messages.push({ role: 'user', content: text });
+    }
+  }
+
+  return messages;
+}
+
+function toOpenAITools(tools) {
+  const functions = [];
+
+  for (const tool of tools || []) {
+    for (const declaration of tool.functionDeclarations || []) {
+      const fn = { name: declaration.name };
+      if (declaration.description) fn.description = declaration.description;
+      const parameters = declaration.parametersJsonSchema || declaration.parameters;
+      if (parameters) fn.parameters = toJsonSchema(parameters);
+      functions.push({ type: 'function', function: fn });
+    }
+  }
+
+  return functions;
+}
+
+function toOpenAIToolChoice(toolConfig) {
+  const config = toolConfig && toolConfig.functionCallingConfig;
+  if (!config || !config.mode) return undefined;
+
+  switch (config.mode) {
+    case 'NONE':
+      return 'none';
+    case 'ANY':
+      if (Array.isArray(config.allowedFunctionNames) && config.allowedFunctionNames.length === 1) {
+        return { type: 'function', function: { name: config.allowedFunctionNames[0] } };
+      }
+      return 'required';
+    default:
+      return 'auto';
+  }
+}
+
+function applyGenerationConfig(request, config) {
+  if (!config) return;
+
+  if (config.temperature !== undefined) request.temperature = config.temperature;
+  if (config.topP !== undefined) request.top_p = config.topP;
+  if (config.maxOutputTokens !== undefined) request.max_tokens = config.maxOutputTokens;
+  if (config.candidateCount !== undefined) request.n = config.candidateCount;
+  if (config.presencePenalty !== undefined) request.presence_penalty = config.presencePenalty;
+  if (config.frequencyPenalty !== undefined) request.frequency_penalty = config.frequencyPenalty;
+  if (config.seed !== undefined) request.seed = config.seed;
+  if (Array.isArray(config.stopSequences) && config.stopSequences.length > 0) request.stop = config.stopSequences;
+
+  if (config.responseMimeType === 'application/json') {
+    const schema = config.responseJsonSchema || config.responseSchema;
+    request.response_format = schema
+      ? { type: 'json_schema', json_schema: { name: 'response', schema: toJsonSchema(schema) } }
+      : { type: 'json_object' };
+  }
+}
+
+/**
+ * Converts a Gemini generateContent body to an OpenAI chat completion request
+ * @param {object} body Parsed Gemini request
+ * @param {string} model Model named in the request path
+ * @returns {object} OpenAI request body (without `stream`)
+ */
+function toOpenAIChatRequest(body, model) {
+  if (!Array.isArray(body.contents) || body.contents.length === 0) {
+    throw new FacadeError('"contents" must be a non-empty array');
+  }
+
+  const request = {
+    model,
+    messages: toOpenAIMessages(body.contents, body.systemInstruction)
+  };
+
+  const tools = toOpenAITools(body.tools);
+  if (tools.length > 0) request.tools = tools;
+
+  const toolChoice = toOpenAIToolChoice(body.toolConfig);
+  if (toolChoice !== undefined) request.tool_choice = toolChoice;
+
+  applyGenerationConfig(request, body.generationConfig);
+  return request;
+}
+
+function toUsageMetadata(usage) {
+  if (!usage) return undefined;
+
+  const prompt = usage.prompt_tokens || 0;
+  const completion = usage.completion_tokens || 0;
+  return {
+    promptTokenCount: prompt,
+    candidatesTokenCount: completion,
+    totalTokenCount: usage.total_tokens || prompt + completion
+  };
+}
+
+/**
+ * Gemini function calls carry their arguments as an object, so arguments the model wrote as
+ * broken JSON can't be passed on - they are reported as a 502 instead of being dropped
+ */
+function toFunctionCall(toolCall) {
+  let args;
+  try {
+    args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+  } catch (error) {
+    throw new FacadeError(`Upstream returned arguments for function '${toolCall.function.name}' that aren't valid JSON: ${error.message}`, 502);
+  }
+  return { functionCall: { name: toolCall.function.name, args } };
+}
+
+function toCandidate(index, text, toolCalls, finishReason) {
+  const parts = [];
+  if (text) parts.push({ text });
+  for (const toolCall of toolCalls) {
+    parts.push(toFunctionCall(toolCall));
+  }
+
+  const candidate = { content: { role: 'model', parts }, index };
+  if (finishReason) candidate.finishReason = FINISH_REASONS[finishReason] || 'OTHER';
+  return candidate;
+}
+
+/**
+ * Converts an OpenAI chat completion to a Gemini generateContent response
+ * @param {object} data Parsed OpenAI response
+ * @param {string} model Model name to report
+ * @returns {object} Gemini GenerateContentResponse
+ */
+function toGeminiResponse(data, model) {
+  const candidates = (data.choices || []).map((choice, position) => {
+    const message = choice.message || {};
+    const text = typeof message.content === 'string' ? message.content : null;
+    return toCandidate(choice.index !== undefined ? choice.index : position, text, message.tool_calls || [], choice.finish_reason || 'stop');
+  });
+
+  const response = { candidates, modelVersion: data.model || model };
+  const usageMetadata = toUsageMetadata(data.usage);
+  if (usageMetadata) response.usageMetadata = usageMetadata;
+  return response;
+}
+
+/**
+ * Creates a stream that turns OpenAI chat.completion.chunk events into Gemini
+ * `streamGenerateContent?alt=sse` events
+ * Text is forwarded as it arrives. Tool call arguments stream in fragments, so function calls
+ * are sent whole with the finish reason, in the last event along with the usage totals.
+ * The latest OpenAI usage is kept on `usage` for usage accounting.
+ * @param {string} model Model name to report
+ * @returns {stream.Transform} The translating stream
+ */
+function createStreamTranslator(model) {
+  const toolCalls = new Map(); // choice index -> Map of tool call index -> accumulated call
+  const finishReasons = new Map(); // choice index -> OpenAI finish reason
+  let buffer = '';
+  let finished = false;
+
+  const event = (payload) => `data: ${JSON.stringify({ ...payload, modelVersion: model })}\n\n`;
+
+  const accumulateToolCalls = (index, deltas) => {
+    if (!toolCalls.has(index)) toolCalls.set(index, new Map());
+    const calls = toolCalls.get(index);
+
+    for (const delta of deltas) {
+      const position = delta.index !== undefined ? delta.index : calls.size;
+      const call = calls.get(position) || { function: { name: '', arguments: '' } };
+      if (delta.function && delta.function.name) call.function.name += delta.function.name;
+      if (delta.function && delta.function.arguments) call.function.arguments += delta.function.arguments;
+      calls.set(position, call);
+    }
+  };
+
+  const finish = (translator) => {
+    if (finished) return;
+    finished = true;
+
+    const indexes = new Set([...finishReasons.keys(), ...toolCalls.keys()]);
+    let candidates;
+    try {
+      candidates = [...indexes].sort((a, b) => a - b).map(index => {
+        const calls = [...(toolCalls.get(index) || new Map()).entries()].sort((a, b) => a[0] - b[0]).map(entry => entry[1]);
+        return toCandidate(index, null, calls, finishReasons.get(index) || 'stop');
+      });
+    } catch (error) {
+      if (!(error instanceof FacadeError)) throw error;
+      translator.push(`data: ${JSON.stringify(toGeminiError(error.statusCode, error.message))}\n\n`);
+      return;
+    }
+
+    const payload = { candidates };
+    const usageMetadata = toUsageMetadata(translator.usage);
+    if (usageMetadata) payload.usageMetadata = usageMetadata;
+    if (candidates.length > 0 || usageMetadata) {
+      translator.push(event(payload));
+    }
+  };
+
+  const translateEvent = (translator, data) => {
+    if (data === '[DONE]') {
+      finish(translator);
+      return;
+    }
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (error) {
+      return; // Not JSON - nothing a Gemini client could use
+    }
+
+    if (chunk.error) {
+      const statusCode = typeof chunk.error.code === 'number' ? chunk.error.code : 500;
+      translator.push(`data: ${JSON.stringify(toGeminiError(statusCode, chunk.error.message || String(chunk.error)))}\n\n`);
+      return;
+    }
+
+    if (chunk.usage) translator.usage = chunk.usage;
+
+    (chunk.choices || []).forEach((choice, position) => {
+      const index = choice.index !== undefined ? choice.index : position;
+      const delta = choice.delta || {};
+
+      if (typeof delta.content === 'string' && delta.content) {
+        translator.push(event({ candidates: [toCandidate(index, delta.content, [], null)] }));
+      }
+      if (Array.isArray(delta.tool_calls)) {
+        accumulateToolCalls(index, delta.tool_calls);
+      }
+      if (choice.finish_reason) {
+        finishReasons.set(index, choice.finish_reason);
+      }
+    });
+  };
+
+  const translateEvents = (translator, flush) => {
+    const events = buffer.replace(/\r\n/g, '\n').split('\n\n');
+    buffer = flush ? '' : events.pop();
+
+    for (const rawEvent of events) {
+      const data = rawEvent.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      if (data) translateEvent(translator, data);
+    }
+  };
+
+  const translator = new Transform({
+    transform(piece, encoding, callback) {
+      buffer += piece.toString('utf8');
+      translateEvents(this, false);
+      callback();
+    },
+    flush(callback) {
+      translateEvents(this, true);
+      // Some providers end the stream without [DONE]
+      finish(this);
+      callback();
+    }
+  });
+  translator.usage = null;
+  return translator;
+}
+
+function toGeminiModel(model) {
+  return {
+    name: `models/${model.id}`,
+    displayName: model.id,
+    supportedGenerationMethods: ['generateContent', 'streamGenerateContent']
+  };
+}
+
+function toGeminiError(statusCode, message) {
+  return {
+    error: {
+      code: statusCode,
+      message: message || `HTTP ${statusCode}`,
+      status: ERROR_STATUSES[statusCode] || (statusCode >= 500 ? 'INTERNAL' : 'FAILED_PRECONDITION')
+    }
+  };
+}
+
+/**
+ * Builds a JSON response in Gemini's error format
+ * @param {number} statusCode HTTP status code
+ * @param {string} message Error message
+ * @returns {object} Response object ({ statusCode, headers, data })
+ */
+function formatError(statusCode, message) {
+  return jsonResponse(statusCode, toGeminiError(statusCode, message));
+}
+
+function jsonResponse(statusCode, payload, headers = {}) {
+  return {
+    statusCode,
+    headers: { ...headers, 'content-type': 'application/json' },
+    data: JSON.stringify(payload)
+  };
+}
+
+function parseJsonBody(body) {
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    throw new FacadeError('Request body must be a JSON object');
+  }
+  return parsed;
+}
+
+/**
+ * Maps a Gemini-format request onto the OpenAI API
+ * @param {string} method HTTP method
+ * @param {string} path Gemini path, e.g. /v1beta/models/{model}:generateContent
+ * @param {string} body Request body
+ * @returns {object} { kind, method, path, body, model, stream, sse } for the OpenAI call,
+ *   or { error, statusCode } if the request can't be translated
+ */
+function translateRequest(method, path, body) {
+  const [pathname, query = ''] = path.split('?');
+  // The API version is optional, so Gemini SDKs can use /{provider}/gemini as their base URL
+  const geminiPath = pathname.replace(/^\/v1[^/]*(?=\/)/, '').replace(/\/$/, '');
+
+  try {
+    if (method === 'GET' && geminiPath === '/models') {
+      return { kind: 'models', method, path: '/models', body: null };
+    }
+
+    const match = geminiPath.match(/^\/models\/([^:]+)(?::(\w+))?$/);
+    if (method === 'GET' && match && !match[2]) {
+      const model = decodeURIComponent(match[1]);
+      return { kind: 'model', method, path: `/models/${model}`, body: null, model };
+    }
+
+    if (method !== 'POST' || !match || !match[2]) {
+      return { error: `The Gemini-compatible endpoint doesn't support ${method} ${pathname}`, statusCode: 404 };
+    }
+
+    const model = decodeURIComponent(match[1]);
+    const action = match[2];
+    const parsed = parseJsonBody(body);
+
+    if (action === 'generateContent' || action === 'streamGenerateContent') {
+      const request = toOpenAIChatRequest(parsed, model);
+      // Without alt=sse, Gemini streams a JSON array; a single buffered response is a valid one
+      const sse = action === 'streamGenerateContent' && new URLSearchParams(query).get('alt') === 'sse';
+      if (sse) {
+        request.stream = true;
+        request.stream_options = { include_usage: true };
+      }
+      return { kind: 'chat', method, path: '/chat/completions', body: JSON.stringify(request), model, stream: sse, array: action === 'streamGenerateContent' && !sse };
+    }
+
+    if (action === 'embedContent' || action === 'batchEmbedContents') {
+      const requests = action === 'embedContent' ? [parsed] : parsed.requests;
+      if (!Array.isArray(requests) || requests.length === 0) {
+        throw new FacadeError('"requests" must be a non-empty array');
+      }
+
+      const request = { model, input: requests.map(entry => textOf(entry.content)) };
+      if (requests[0].outputDimensionality) request.dimensions = requests[0].outputDimensionality;
+      return { kind: action === 'embedContent' ? 'embedding' : 'embeddings', method, path: '/embeddings', body: JSON.stringify(request), model };
+    }
+
+    return { error: `The Gemini-compatible endpoint doesn't support ${action}`, statusCode: 404 };
+  } catch (error) {
+    if (error instanceof FacadeError) {
+      return { error: error.message, statusCode: error.statusCode };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Converts an OpenAI response back to the Gemini format of the original request
+ * Streams are wrapped in a translating stream; token usage still reaches the key rotator.
+ * @param {object} request The result of translateRequest
+ * @param {object} response OpenAI response from OpenAIClient.makeRequest
+ * @returns {object} Response object in Gemini format
+ */
+function translateResponse(request, response) {
+  const upstreamHeaders = {};
+  if (response.headers && response.headers['retry-after']) {
+    upstreamHeaders['retry-after'] = response.headers['retry-after'];
+  }
+
+  if (response.stream) {
+    const translator = createStreamTranslator(request.model);
+    for (const piece of response.initialChunks || []) {
+      translator.write(piece);
+    }
+    // pipeline tears the translator down if the upstream stream breaks, so the client hears about it
+    pipeline(response.stream, translator, () => {});
+
+    const onStreamEnd = response.onStreamEnd;
+    return {
+      statusCode: response.statusCode,
+      headers: { ...upstreamHeaders, 'content-type': 'text/event-stream', 'cache-control': 'no-cache' },
+      stream: translator,
+      onStreamEnd: onStreamEnd
+        ? () => onStreamEnd(JSON.stringify({ usage: translator.usage }))
+        : null
+    };
+  }
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(response.data);
+  } catch (error) {
+    parsed = null;
+  }
+
+  if (response.statusCode >= 400) {
+    const error = parsed && parsed.error;
+    const message = error && (typeof error === 'string' ? error : error.message);
+    return jsonResponse(response.statusCode, toGeminiError(response.statusCode, message || response.data), upstreamHeaders);
+  }
+  if (!parsed) {
+    return jsonResponse(502, toGeminiError(502, 'Upstream returned a response that is not JSON'), upstreamHeaders);
+  }
+
+  let payload;
+  switch (request.kind) {
+    case 'models':
+      payload = { models: (parsed.data || []).map(toGeminiModel) };
+      break;
+    case 'model':
+      payload = toGeminiModel(parsed);
+      break;
+    case 'embedding':
+      payload = { embedding: { values: (parsed.data && parsed.data[0] && parsed.data[0].embedding) || [] } };
+      break;
+    case 'embeddings':
+      payload = { embeddings: (parsed.data || []).map(entry => ({ values: entry.embedding || [] })) };
+      break;
+    default:
+      try {
+        payload = toGeminiResponse(parsed, request.model);
+      } catch (error) {
+        if (!(error instanceof FacadeError)) throw error;
+        return jsonResponse(error.statusCode, toGeminiError(error.statusCode, error.message), upstreamHeaders);
+      }
+      if (request.array) payload = [payload];
+  }
+  return jsonResponse(response.statusCode, payload, upstreamHeaders);
+}
+
+module.exports = {
+  providerApiType: 'openai',
+  translateRequest,
+  translateResponse,
+  formatError,
+  toOpenAIChatRequest,
+  toGeminiResponse,
+  createStreamTranslator
+};
@@ -1,17 +1,463 @@
+const crypto = require('crypto');
+
+// Key rotation strategies; the first one is the default
+const STRATEGIES = ['smart-shuffle', 'round-robin', 'least-recently-used', 'least-in-flight', 'weighted', 'sequential'];
+
+// Rolling window length per budget
+const BUDGET_WINDOWS = {
+  rpm: 60 * 1000,
+  tpm: 60 * 1000,
+  rpd: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
 class KeyRotator {
-  constructor(apiKeys, apiType = 'unknown') {
+  constructor(apiKeys, apiType = 'unknown', options = {}) {
     this.apiKeys = [...apiKeys];
     this.apiType = apiType;
     this.lastFailedKey = null; // Track the key that failed in the last request
-    console.log(`[${apiType.toUpperCase()}-ROTATOR] Initialized with ${this.apiKeys.length} API keys`);
+    this.cooldowns = new Map(); // Map of key -> timestamp (ms) until which the key is resting
+    this.cooldownFallbackMs = (options.cooldownSeconds !== undefined ? options.cooldownSeconds : 60) * 1000;
+    this.strategy = STRATEGIES.includes(options.strategy) ? options.strategy : 'smart-shuffle';
+    this.weights = this.apiKeys.map((key, index) => (options.weights && options.weights[index] !== undefined ? options.weights[index] : 1));
+    this.roundRobinIndex = 0; // Position of the next request's first key for round-robin
+    this.lastUsed = new Map(); // Map of key -> timestamp (ms) the key was last sent upstream
+    this.inFlight = new Map(); // Map of key -> number of upstream requests currently using the key
+    this.limits = this.apiKeys.map((key, index) => (options.limits && options.limits[index]) || null);
+    this.budgetWindows = new Map(); // Map of key -> { budget name -> { events: [{ time, amount }], used } } for keys with budgets
+    this.quarantined = new Map(); // Map of key -> { reason, since } for keys taken out of rotation
+    this.onEvent = null; // Called with (type, maskedKey, detail) on rotations, key failures and quarantines
+    console.log(`[${apiType.toUpperCase()}-ROTATOR] Initialized with ${this.apiKeys.length} API keys (${this.strategy})`);
   }
 
   /**
-   * Creates a new request context for per-request key rotation with smart shuffling
+   * Creates a new request context for per-request key rotation using the configured strategy
    * @returns {RequestKeyContext} A new context for managing keys for a single request
    */
   createRequestContext() {
-    return new RequestKeyContext(this.apiKeys, this.apiType, this.lastFailedKey);
+    const orderKeys = this.strategy === 'smart-shuffle' ? null : (keys) => this.orderKeys(keys);
+    const usableKeys = this.apiKeys.filter(key => !this.quarantined.has(key));
+    const context = new RequestKeyContext(usableKeys, this.apiType, this.lastFailedKey, this.getActiveCooldowns(), orderKeys, this.getOverBudgetKeys());
+    context.onRotate = (key) => this.notify('rotation', key);
+    return context;
+  }
+
+  /**
+   * Tells the onEvent listener, if any, about something that happened to a key
+   */
+  notify(type, key, detail = {}) {
+    if (this.onEvent) {
+      this.onEvent(type, this.maskApiKey(key), detail);
+    }
+  }
+
+  /**
+   * Reports an attempt with a key that failed: a status that rotates, a rejected key or a network error
+   * @param {string} key The API key
+   * @param {string} reason The status code, or 'timeout' / 'connection' for network errors
+   */
+  recordFailure(key, reason) {
+    this.notify('failure', key, { reason: String(reason) });
+  }
+
+  /**
+   * Takes a key out of rotation until it is restored, e.g. after the upstream rejected it as revoked
+   * @param {string} key The API key
+   * @param {string} reason Why the key was quarantined
+   */
+  quarantineKey(key, reason) {
+    this.quarantined.set(key, { reason, since: Date.now() });
+    console.log(`[${this.apiType.toUpperCase()}-ROTATOR] Key ${this.maskApiKey(key)} quarantined: ${reason}`);
+    this.notify('quarantine', key, { reason });
+  }
+
+  /**
+   * Puts a quarantined key back into rotation
+   * @param {string} key The API key
+   * @returns {boolean} True if the key was quarantined
+   */
+  restoreKey(key) {
+    const wasQuarantined = this.quarantined.delete(key);
+    if (wasQuarantined) {
+      console.log(`[${this.apiType.toUpperCase()}-ROTATOR] Key ${this.maskApiKey(key)} restored to rotation`);
+    }
+    return wasQuarantined;
+  }
+
+  /**
+   * Checks if no key is left in rotation
+   * @returns {boolean} True if every key is quarantined
+   */
+  allKeysQuarantined() {
+    return this.apiKeys.length > 0 && this.apiKeys.every(key => this.quarantined.has(key));
+  }
+
+  /**
+   * Orders the available keys for a request according to the rotation strategy.
+   * smart-shuffle is handled by RequestKeyContext itself.
+   * @param {Array} keys Keys that are not cooling down, in configuration order
+   * @returns {Array} Keys in the order they should be tried
+   */
+  orderKeys(keys) {
+    switch (this.strategy) {
+      case 'round-robin': {
+        // Each request starts one key further along the configured list
+        const start = this.roundRobinIndex % this.apiKeys.length;
+        this.roundRobinIndex = (start + 1) % this.apiKeys.length;
+        const rotated = [...this.apiKeys.slice(start), ...this.apiKeys.slice(0, start)];
+        return rotated.filter(key => keys.includes(key));
+      }
+      case 'least-recently-used':
+        // Keys that were never used come first
+        return [...keys].sort((a, b) => (this.lastUsed.get(a) || 0) - (this.lastUsed.get(b) || 0));
+      case 'least-in-flight':
+        // Shuffle first so keys with equal load share the traffic
+        return shuffle(keys).sort((a, b) => (this.inFlight.get(a) || 0) - (this.inFlight.get(b) || 0));
+      case 'weighted':
+        return this.weightedOrder(keys);
+      case 'sequential':
+        // Always start from the primary (first) key; later keys only take over while it is cooling down
+        return [...keys];
+      default:
+        return shuffle(keys);
+    }
+  }
+
+  /**
+   * Weighted random order without replacement: a key with weight 3 is three times as likely
+   * to be tried first as a key with weight 1. Keys with weight 0 are only used as a last resort.
+   * @param {Array} keys Keys to order
+   * @returns {Array} Ordered keys
+   */
+  weightedOrder(keys) {
+    return keys
+      .map(key => {
+        const weight = this.weights[this.apiKeys.indexOf(key)];
+        return { key, score: weight > 0 ? Math.pow(Math.random(), 1 / weight) : -1 };
+      })
+      .sort((a, b) => b.score - a.score)
+      .map(entry => entry.key);
+  }
+
+  /**
+   * Records that a key is being sent upstream
+   * @param {string} key The API key
+   */
+  acquireKey(key) {
+    this.lastUsed.set(key, Date.now());
+    this.inFlight.set(key, (this.inFlight.get(key) || 0) + 1);
+    this.recordUsageEvent(key, 1, 0);
+  }
+
+  /**
+   * Counts the tokens a response reported against the key's budget
+   * @param {string} key The API key
+   * @param {object|null} usage Token usage ({ totalTokens }), or null if the response had none
+   */
+  recordTokenUsage(key, usage) {
+    if (!usage || !usage.totalTokens) return;
+    this.recordUsageEvent(key, 0, usage.totalTokens);
+  }
+
+  /**
+   * Adds requests and tokens to the running totals of the key's budget windows
+   */
+  recordUsageEvent(key, requests, tokens, time = Date.now()) {
+    const limits = this.getKeyLimits(key);
+    if (!limits) return;
+
+    if (!this.budgetWindows.has(key)) {
+      this.budgetWindows.set(key, {});
+    }
+    const windows = this.budgetWindows.get(key);
+    for (const name of Object.keys(limits)) {
+      const amount = name === 'tpm' ? tokens : requests;
+      if (!(amount > 0)) continue;
+
+      const window = windows[name] || (windows[name] = { events: [], used: 0 });
+      window.events.push({ time, amount });
+      window.used += amount;
+    }
+  }
+
+  getKeyLimits(key) {
+    const index = this.apiKeys.indexOf(key);
+    return index === -1 ? null : this.limits[index];
+  }
+
+  /**
+   * Gets one of a key's budget windows, taking the events that left it out of its running total
+   * @param {string} key The API key
+   * @param {string} name Budget name (rpm, tpm, rpd)
+   * @returns {object|null} { events, used } with events oldest first, or null if nothing was recorded
+   */
+  getBudgetWindow(key, name) {
+    const windows = this.budgetWindows.get(key);
+    const window = windows && windows[name];
+    if (!window) return null;
+
+    const cutoff = Date.now() - BUDGET_WINDOWS[name];
+    let expired = 0;
+    while (expired < window.events.length && window.events[expired].time <= cutoff) {
+      window.used -= window.events[expired].amount;
+      expired++;
+    }
+    if (expired > 0) {
+      window.events.splice(0, expired);
+    }
+    return window;
+  }
+
+  /**
+   * Gets a key's recorded usage still inside its budget windows, for saving across restarts
+   * @param {string} key The API key
+   * @returns {Array<object>} Usage events ({ time, requests, tokens }), oldest first
+   */
+  getUsageEvents(key) {
+    const limits = this.getKeyLimits(key);
+    if (!limits) return [];
+
+    // Requests count towards rpm and rpd alike, so they come from the longer of the two windows
+    const requestWindow = this.getBudgetWindow(key, limits.rpd ? 'rpd' : 'rpm');
+    const tokenWindow = this.getBudgetWindow(key, 'tpm');
+    const events = [
+      ...(requestWindow ? requestWindow.events.map(event => ({ time: event.time, requests: event.amount, tokens: 0 })) : []),
+      ...(tokenWindow ? tokenWindow.events.map(event => ({ time: event.time, requests: 0, tokens: event.amount })) : [])
+    ];
+    return events.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Gets how much of each budget a key has used in its rolling window
+   * @param {string} key The API key
+   * @returns {object|null} Map of budget name (rpm, tpm, rpd) -> { used, limit, waitMs }, or null without budgets
+   */
+  getBudgetUsage(key) {
+    const limits = this.getKeyLimits(key);
+    if (!limits) return null;
+
+    const now = Date.now();
+    const usage = {};
+
+    for (const [name, limit] of Object.entries(limits)) {
+      const window = this.getBudgetWindow(key, name);
+      const total = window ? window.used : 0;
+
+      // The key is usable again once enough of the oldest events have left the window
+      let waitMs = 0;
+      if (window && total >= limit) {
+        let used = total;
+        for (const event of window.events) {
+          used -= event.amount;
+          waitMs = event.time + BUDGET_WINDOWS[name] - now;
+          if (used < limit) break;
+        }
+      }
+
+      usage[name] = { used: total, limit, waitMs };
+    }
+
+    return usage;
+  }
+
+  /**
+   * Gets how long a key must wait before its budgets allow another request
+   * @param {string} key The API key
+   * @returns {number} Milliseconds, 0 if the key is within all of its budgets
+   */
+  getBudgetWait(key) {
+    const usage = this.getBudgetUsage(key);
+    if (!usage) return 0;
+    return Math.max(0, ...Object.values(usage).map(budget => budget.waitMs));
+  }
+
+  /**
+   * Gets the keys in rotation that have used up one of their budgets
+   * @returns {Map<string, number>} Map of key -> milliseconds until it is within budget again
+   */
+  getOverBudgetKeys() {
+    const overBudget = new Map();
+    for (const key of this.apiKeys) {
+      if (this.quarantined.has(key)) continue; // Its budget frees up, but it stays out of rotation
+      const wait = this.getBudgetWait(key);
+      if (wait > 0) {
+        overBudget.set(key, wait);
+      }
+    }
+    return overBudget;
+  }
+
+  /**
+   * Records that an upstream request using a key has finished
+   * @param {string} key The API key
+   */
+  releaseKey(key) {
+    const count = (this.inFlight.get(key) || 0) - 1;
+    if (count > 0) {
+      this.inFlight.set(key, count);
+    } else {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Puts a key into cooldown after it was rate limited
+   * @param {string} key The API key that was rate limited
+   * @param {number|null} delayMs How long the upstream asked us to wait, or null to use the fallback
+   */
+  setCooldown(key, delayMs = null) {
+    const duration = delayMs !== null && delayMs !== undefined ? delayMs : this.cooldownFallbackMs;
+    const until = Date.now() + duration;
+    this.cooldowns.set(key, until);
+
+    const source = delayMs !== null && delayMs !== undefined ? 'upstream hint' : 'fallback';
+    console.log(`[${this.apiType.toUpperCase()}-ROTATOR] Key ${this.maskApiKey(key)} cooling down for ${Math.ceil(duration / 1000)}s (${source})`);
+  }
+
+  /**
+   * Ends a key's cooldown early, e.g. after it served a request successfully
+   * @param {string} key The API key
+   */
+  clearCooldown(key) {
+    this.cooldowns.delete(key);
+  }
+
+  /**
+   * Gets how long a key still has to cool down
+   * @param {string} key The API key
+   * @returns {number} Remaining milliseconds, 0 if the key is available
+   */
+  getCooldownRemaining(key) {
+    const until = this.cooldowns.get(key);
+    if (!until) return 0;
+
+    const remaining = until - Date.now();
+    if (remaining <= 0) {
+      this.cooldowns.delete(key);
+      return 0;
+    }
+    return remaining;
+  }
+
+  /**
+   * Gets the keys that are still cooling down
+   * @returns {Map<string, number>} Map of key -> cooldown-until timestamp
+   */
+  getActiveCooldowns() {
+    const active = new Map();
+    for (const key of this.apiKeys) {
+      if (this.getCooldownRemaining(key) > 0) {
+        active.set(key, this.cooldowns.get(key));
+      }
+    }
+    return active;
+  }
+
+  /**
+   * Gets per-key state for the admin panel, in configuration order
+   * @returns {Array<object>} One entry per key
+   */
+  getKeyStates() {
+    return this.apiKeys.map((key, index) => {
+      const remaining = this.getCooldownRemaining(key);
+      return {
+        index,
+        maskedKey: this.maskApiKey(key),
+        cooldownUntil: remaining > 0 ? this.cooldowns.get(key) : null,
+        cooldownRemainingMs: remaining,
+        inFlight: this.inFlight.get(key) || 0,
+        lastUsed: this.lastUsed.get(key) || null,
+        weight: this.weights[index],
+        budget: this.getBudgetUsage(key),
+        budgetWaitMs: this.getBudgetWait(key),
+        quarantined: this.quarantined.get(key) || null
+      };
+    });
+  }
+
+  /**
+   * Exports the state worth keeping across restarts, with keys replaced by hashes
+   * @returns {object} Serializable rotator state
+   */
+  exportState() {
+    const keys = {};
+    for (const key of this.apiKeys) {
+      const cooldownUntil = this.getCooldownRemaining(key) > 0 ? this.cooldowns.get(key) : null;
+      const lastUsed = this.lastUsed.get(key) || null;
+      const usageEvents = this.getUsageEvents(key);
+      const quarantined = this.quarantined.get(key) || null;
+
+      if (cooldownUntil || lastUsed || usageEvents.length > 0 || quarantined) {
+        keys[KeyRotator.hashKey(key)] = { cooldownUntil, lastUsed, usageEvents: [...usageEvents], quarantined };
+      }
+    }
+
+    return {
+      lastFailedKey: this.lastFailedKey ? KeyRotator.hashKey(this.lastFailedKey) : null,
+      roundRobinIndex: this.roundRobinIndex,
+      keys
+    };
+  }
+
+  /**
+   * Restores previously exported state. Keys that are no longer configured are ignored.
+   * @param {object|null} state State from exportState()
+   */
+  importState(state) {
+    if (!state) return;
+
+    const keysByHash = new Map(this.apiKeys.map(key => [KeyRotator.hashKey(key), key]));
+    let restored = 0;
+
+    for (const [hash, keyState] of Object.entries(state.keys || {})) {
+      const key = keysByHash.get(hash);
+      if (!key || !keyState) continue;
+
+      if (keyState.cooldownUntil && keyState.cooldownUntil > Date.now()) {
+        this.cooldowns.set(key, keyState.cooldownUntil);
+      }
+      if (keyState.lastUsed) {
+        this.lastUsed.set(key, keyState.lastUsed);
+      }
+      if (Array.isArray(keyState.usageEvents) && this.getKeyLimits(key)) {
+        this.budgetWindows.delete(key);
+        for (const event of keyState.usageEvents.filter(event => event && typeof event.time === 'number')) {
+          this.recordUsageEvent(key, event.requests, event.tokens, event.time);
+        }
+      }
+      if (keyState.quarantined && keyState.quarantined.reason) {
+        this.quarantined.set(key, keyState.quarantined);
+      }
+      restored++;
+    }
+
+    if (state.lastFailedKey && keysByHash.has(state.lastFailedKey)) {
+      this.lastFailedKey = keysByHash.get(state.lastFailedKey);
+    }
+    if (Number.isInteger(state.roundRobinIndex)) {
+      this.roundRobinIndex = state.roundRobinIndex % Math.max(1, this.apiKeys.length);
+    }
+
+    if (restored > 0) {
+      console.log(`[${this.apiType.toUpperCase()}-ROTATOR] Restored saved state for ${restored} key(s)`);
+    }
+  }
+
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
   }
 
   /**
@@ -41,18 +487,45 @@ class KeyRotator {
  * Each request gets its own context to try all available keys with smart shuffling
  */
 class RequestKeyContext {
-  constructor(apiKeys, apiType, lastFailedKey = null) {
+  constructor(apiKeys, apiType, lastFailedKey = null, cooldowns = new Map(), orderKeys = null, overBudget = new Map()) {
     this.originalApiKeys = [...apiKeys];
     this.apiType = apiType;
     this.currentIndex = 0;
     this.triedKeys = new Set();
     this.rateLimitedKeys = new Set();
     this.lastFailedKeyForThisRequest = null;
+    this.overBudgetKeys = overBudget;
+    this.onRotate = null; // Called with each key tried after the first
+
+    // Keys that have used up a budget are never tried - sending them would only earn a 429
+    const withinBudgetKeys = apiKeys.filter(key => !overBudget.has(key));
+    if (overBudget.size > 0) {
+      console.log(`[${this.apiType.toUpperCase()}] Skipping ${overBudget.size} key(s) over budget`);
+    }
+
+    // Skip keys that are cooling down, unless every key is cooling
+    const availableKeys = withinBudgetKeys.filter(key => !cooldowns.has(key));
+    this.skippedCoolingKeys = availableKeys.length > 0 ? withinBudgetKeys.length - availableKeys.length : 0;
+
+    if (availableKeys.length > 0 && orderKeys) {
+      // The rotator's strategy decides the order
+      this.apiKeys = orderKeys(availableKeys);
+    } else if (availableKeys.length > 0) {
+      // Apply smart shuffling: shuffle keys but move last failed key to end
+      this.apiKeys = this.smartShuffle(availableKeys, lastFailedKey);
+    } else if (withinBudgetKeys.length > 0) {
+      // Every key is cooling down - try the ones that recover soonest first
+      this.apiKeys = [...withinBudgetKeys].sort((a, b) => cooldowns.get(a) - cooldowns.get(b));
+      console.log(`[${this.apiType.toUpperCase()}] All ${withinBudgetKeys.length} keys cooling down - trying soonest to recover first`);
+    } else {
+      this.apiKeys = [];
+    }
+
+    if (this.skippedCoolingKeys > 0) {
+      console.log(`[${this.apiType.toUpperCase()}] Skipping ${this.skippedCoolingKeys} key(s) still cooling down`);
+    }
     
-    // Apply smart shuffling: shuffle keys but move last failed key to end
-    this.apiKeys = this.smartShuffle(apiKeys, lastFailedKey);
-    
-    if (lastFailedKey) {
+    if (lastFailedKey && availableKeys.length > 0 && !orderKeys) {
       const maskedKey = this.maskApiKey(lastFailedKey);
       console.log(`[${this.apiType.toUpperCase()}] Smart shuffle applied - last failed key ${maskedKey} moved to end`);
     }
@@ -65,13 +538,7 @@ class RequestKeyContext {
    * @returns {Array} Shuffled array with last failed key at the end
    */
   smartShuffle(keys, lastFailedKey) {
-    const shuffled = [...keys];
-    
-    // Fisher-Yates shuffle algorithm
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
+    const shuffled = shuffle(keys);
     
     // If we have a last failed key, move it to the end
     if (lastFailedKey && keys.includes(lastFailedKey)) {
@@ -106,6 +573,9 @@ class RequestKeyContext {
         this.triedKeys.add(key);
         const maskedKey = this.maskApiKey(key);
         console.log(`[${this.apiType.toUpperCase()}::${maskedKey}] Trying key (${this.triedKeys.size}/${this.apiKeys.length} tried for this request)`);
+        if (this.triedKeys.size > 1 && this.onRotate) {
+          this.onRotate(key);
+        }
         return key;
       }
       
@@ -154,6 +624,22 @@ class RequestKeyContext {
     return this.triedKeys.size >= this.apiKeys.length;
   }
 
+  /**
+   * Checks if every key was left out because it is over budget
+   * @returns {boolean} True if there is no key this request may use
+   */
+  allKeysOverBudget() {
+    return this.apiKeys.length === 0 && this.overBudgetKeys.size > 0;
+  }
+
+  /**
+   * Gets how long until the first over-budget key may be used again
+   * @returns {number} Milliseconds, 0 if no key is over budget
+   */
+  getBudgetRetryMs() {
+    return this.overBudgetKeys.size > 0 ? Math.min(...this.overBudgetKeys.values()) : 0;
+  }
+
   /**
    * Gets statistics about this request's key usage
    * @returns {object} Statistics object
@@ -163,6 +649,8 @@ class RequestKeyContext {
       totalKeys: this.apiKeys.length,
       triedKeys: this.triedKeys.size,
       rateLimitedKeys: this.rateLimitedKeys.size,
+      skippedCoolingKeys: this.skippedCoolingKeys,
+      overBudgetKeys: this.overBudgetKeys.size,
       hasUntriedKeys: this.triedKeys.size < this.apiKeys.length
     };
   }
@@ -173,4 +661,7 @@ class RequestKeyContext {
   }
 }
 
+KeyRotator.STRATEGIES = STRATEGIES;
+KeyRotator.BUDGET_NAMES = Object.keys(BUDGET_WINDOWS);
+
 module.exports = KeyRotator;
\ No newline at end of file
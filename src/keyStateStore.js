@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keeps each provider's key rotator state in a local JSON file so cooldowns, budgets
+ * and the last failed key survive restarts. Keys are stored as hashes, never in the clear.
+ */
+class KeyStateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.providers = {}; // Map of provider_name -> exported KeyRotator state
+    this.lastSavedContent = null;
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.providers = (parsed && parsed.providers) || {};
+      this.lastSavedContent = JSON.stringify(this.providers);
+      console.log(`[KEY-STATE] Loaded key state for ${Object.keys(this.providers).length} providers from ${this.filePath}`);
+    } catch (error) {
+      console.warn(`[KEY-STATE] Ignoring unreadable state file ${this.filePath}: ${error.message}`);
+      this.providers = {};
+    }
+  }
+
+  get(providerName) {
+    return this.providers[providerName] || null;
+  }
+
+  set(providerName, state) {
+    this.providers[providerName] = state;
+  }
+
+  /**
+   * Writes the state file if anything changed since the last write
+   * The file is replaced atomically so a crash mid-write can't corrupt it
+   */
+  save() {
+    if (!this.filePath) return;
+
+    const content = JSON.stringify(this.providers);
+    if (content === this.lastSavedContent) return;
+
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ savedAt: new Date().toISOString(), providers: this.providers }, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+      this.lastSavedContent = content;
+    } catch (error) {
+      console.error(`[KEY-STATE] Failed to save key state to ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = KeyStateStore;
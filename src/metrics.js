@@ -0,0 +1,145 @@
+// Latency histogram buckets in seconds, from quick cache hits to long generations
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Identifies a label set regardless of the order its labels were given in
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+/**
+ * Counters, histograms and scrape-time gauges rendered in the Prometheus text exposition format.
+ * Series live in memory and start over on restart, which Prometheus handles as counter resets.
+ */
+class MetricsRegistry {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.metrics = new Map(); // Map of full metric name -> { type, help, labelNames, series, buckets, collect }
+  }
+
+  define(type, name, help, labelNames, extra = {}) {
+    const fullName = this.prefix + name;
+    if (this.metrics.has(fullName)) {
+      throw new Error(`Metric ${fullName} is already defined`);
+    }
+    this.metrics.set(fullName, { type, help, labelNames, series: new Map(), ...extra });
+    return fullName;
+  }
+
+  /**
+   * Defines a counter
+   * @returns {object} { inc(labels, value = 1) }
+   */
+  counter(name, help, labelNames = []) {
+    const metric = this.metrics.get(this.define('counter', name, help, labelNames));
+    return {
+      inc: (labels = {}, value = 1) => {
+        const key = seriesKey(labelNames, labels);
+        const series = metric.series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        series.value += value;
+        metric.series.set(key, series);
+      }
+    };
+  }
+
+  /**
+   * Defines a histogram
+   * @param {number[]} buckets Upper bounds, ascending (+Inf is added)
+   * @returns {object} { observe(labels, value) }
+   */
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = this.metrics.get(this.define('histogram', name, help, labelNames, { buckets }));
+    return {
+      observe: (labels, value) => {
+        const key = seriesKey(labelNames, labels);
+        if (!metric.series.has(key)) {
+          metric.series.set(key, { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = metric.series.get(key);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+      }
+    };
+  }
+
+  /**
+   * Defines a gauge whose values are read when metrics are scraped
+   * @param {function(): Array<{labels: object, value: number}>} collect Current values
+   */
+  gauge(name, help, labelNames, collect) {
+    this.define('gauge', name, help, labelNames, { collect });
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text format
+   */
+  render() {
+    const lines = [];
+    for (const [name, metric] of this.metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+
+      if (metric.type === 'gauge') {
+        for (const { labels, value } of metric.collect()) {
+          lines.push(`${name}${formatLabels(pickLabels(metric.labelNames, labels))} ${value}`);
+        }
+      } else if (metric.type === 'counter') {
+        for (const series of metric.series.values()) {
+          lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+        }
+      } else {
+        for (const series of metric.series.values()) {
+          metric.buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+          lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+          lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Endpoints that get a route label of their own; every other path is counted as 'other', so
+// callers can't create new series by sending made-up paths
+const KNOWN_ROUTES = new Set([
+  '/chat/completions', '/completions', '/responses', '/embeddings', '/moderations', '/rerank',
+  '/models', '/models/{model}', '/messages', '/messages/count_tokens',
+  '/images/generations', '/images/edits', '/audio/speech', '/audio/transcriptions', '/audio/translations',
+  '/models/{model}:generateContent', '/models/{model}:streamGenerateContent', '/models/{model}:countTokens',
+  '/models/{model}:embedContent', '/models/{model}:batchEmbedContents'
+]);
+
+// API version prefixes kept in route labels
+const VERSION_PREFIX = /^\/(v1|v1beta|v1alpha|v2|api\/v1|openai\/v1|v1beta\/openai)(?=\/)/;
+
+/**
+ * Turns a provider-relative path into one of a fixed set of route labels, without model names:
+ * /v1beta/models/gemini-pro:generateContent -> /v1beta/models/{model}:generateContent
+ */
+function normalizeRoute(requestPath) {
+  const cleanPath = (requestPath || '/').split('?')[0];
+  const prefix = (cleanPath.match(VERSION_PREFIX) || [''])[0];
+  const route = cleanPath.substring(prefix.length).replace(/\/models\/[^/:]+/, '/models/{model}');
+  return KNOWN_ROUTES.has(route) ? prefix + route : 'other';
+}
+
+module.exports = { MetricsRegistry, normalizeRoute, DEFAULT_BUCKETS };
@@ -0,0 +1,128 @@
+// Request body fields that set the same parameter in the OpenAI, Anthropic and Gemini formats
+const PARAMETER_FIELDS = {
+  max_tokens: ['max_tokens', 'max_completion_tokens', 'max_output_tokens', 'generationConfig.maxOutputTokens'],
+  temperature: ['temperature', 'generationConfig.temperature'],
+  top_p: ['top_p', 'generationConfig.topP'],
+  top_k: ['top_k', 'generationConfig.topK'],
+  n: ['n', 'generationConfig.candidateCount']
+};
+
+// Gemini's REST API accepts each field in camelCase or snake_case
+function spellings(part) {
+  const snake = part.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  const camel = part.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+  return [...new Set([part, snake, camel])];
+}
+
+/**
+ * @returns {Array<{field: string, value: *}>} Every value set for a dotted field, in any spelling
+ */
+function readField(body, field) {
+  return field.split('.').reduce((found, part) => found.flatMap(({ field: prefix, value }) => {
+    if (!value || typeof value !== 'object') return [];
+    return spellings(part)
+      .filter(name => value[name] !== undefined)
+      .map(name => ({ field: prefix ? `${prefix}.${name}` : name, value: value[name] }));
+  }), [{ field: '', value: body }]);
+}
+
+/**
+ * Finds the model a request is for. Gemini routes (/models/{model}:{method}) name it in the path,
+ * which is what Gemini serves whatever the body says; other routes name it in the body's `model`.
+ * @param {string} requestPath Provider-relative path
+ * @param {object|null} parsedBody Parsed request body
+ * @returns {string|null} Model name without a models/ prefix, or null if the request names none
+ */
+function extractModel(requestPath, parsedBody) {
+  const match = (requestPath || '').match(/\/models\/([^/:?]+):/);
+  if (match) {
+    return decodeURIComponent(match[1]);
+  }
+
+  if (parsedBody && typeof parsedBody.model === 'string' && parsedBody.model) {
+    return parsedBody.model.replace(/^models\//, '');
+  }
+  return null;
+}
+
+/**
+ * Matches a model name against a pattern where * stands for any run of characters (case-insensitive)
+ */
+function matchesModelPattern(model, pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`, 'i').test(model);
+}
+
+/**
+ * Checks and normalizes a policy from the admin panel
+ * @param {object} policy { allowModels, denyModels, caps } - model lists as arrays or comma-separated
+ *   strings, caps as a map of parameter name -> maximum
+ * @returns {object} The normalized policy
+ * @throws {Error} If a field has the wrong shape
+ */
+function normalizePolicy(policy = {}) {
+  const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(pattern => String(pattern).trim())
+    .filter(pattern => pattern);
+
+  const caps = {};
+  for (const [name, value] of Object.entries(policy.caps || {})) {
+    if (value === null || value === '') continue;
+    if (!/^[a-z_]+$/.test(name)) throw new Error(`Unknown parameter '${name}'`);
+    const number = Number(value);
+    if (!isFinite(number) || number < 0) throw new Error(`Cap for ${name} must be a non-negative number`);
+    caps[name] = number;
+  }
+
+  return { allowModels: toList(policy.allowModels), denyModels: toList(policy.denyModels), caps };
+}
+
+/**
+ * Checks a request against a client's policy: the model must match an allow pattern (when there
+ * are any) and no deny pattern, and capped parameters may not exceed their caps. With an allow
+ * list, a request with a body that names no model is rejected; bodiless requests such as model
+ * listings pass.
+ * @param {object} policy Normalized policy
+ * @param {string} requestPath Provider-relative path
+ * @param {string} body Request body
+ * @returns {string|null} Why the request is not allowed, or null if it is
+ */
+function checkPolicy(policy, requestPath, body) {
+  if (!policy) return null;
+
+  let parsedBody = null;
+  try {
+    parsedBody = JSON.parse(body);
+  } catch (error) {
+    // No JSON body - only the path can name a model
+  }
+
+  const model = extractModel(requestPath, parsedBody);
+  if (!model && policy.allowModels.length > 0 && body && body.length > 0) {
+    return 'Requests must name an allowed model';
+  }
+  if (model) {
+    const denied = policy.denyModels.some(pattern => matchesModelPattern(model, pattern));
+    const allowed = policy.allowModels.length === 0 || policy.allowModels.some(pattern => matchesModelPattern(model, pattern));
+    if (denied || !allowed) {
+      return `Model '${model}' is not allowed`;
+    }
+  }
+
+  if (!parsedBody || typeof parsedBody !== 'object') return null;
+  for (const [name, cap] of Object.entries(policy.caps)) {
+    for (const field of PARAMETER_FIELDS[name] || [name]) {
+      for (const { field: setField, value } of readField(parsedBody, field)) {
+        // Upstreams coerce numeric strings like "100000", so they are capped too
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number === 'number' && number > cap) {
+          return `${setField} ${value} exceeds the maximum of ${cap}`;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = { extractModel, matchesModelPattern, normalizePolicy, checkPolicy };
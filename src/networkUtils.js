@@ -0,0 +1,109 @@
+// Timeouts for one upstream request, in milliseconds (0 = no limit)
+const DEFAULT_TIMEOUTS = {
+  connect: 10000, // Until the TCP connection is open
+  firstByte: 120000, // Until the response headers arrive (models can think for a while)
+  total: 600000 // Until the whole response has been received (streams may run longer)
+};
+
+const TIMEOUT_LABELS = {
+  connect: 'connect',
+  firstByte: 'first byte',
+  total: 'total'
+};
+
+const DEFAULT_NETWORK_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+
+/**
+ * A request that never got a usable response from the upstream: timed out (504) or
+ * couldn't connect or lost the connection (502). The message says which.
+ */
+class UpstreamError extends Error {
+  constructor(message, statusCode, cause = null) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.statusCode = statusCode;
+    this.timeout = statusCode === 504;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Arms the connect, first byte and total timeouts on an outgoing request. A timeout destroys
+ * the request (or the response, once it arrived) with a 504 UpstreamError.
+ * @param {http.ClientRequest} req The upstream request
+ * @param {object} timeouts { connect, firstByte, total } in milliseconds
+ * @param {Function} isStream Returns true for responses exempt from the total timeout - a long
+ *   generation streams for as long as it takes
+ */
+function applyTimeouts(req, timeouts = DEFAULT_TIMEOUTS, isStream = () => false) {
+  let response = null;
+  const timers = {};
+
+  const clear = (...phases) => phases.forEach(phase => clearTimeout(timers[phase]));
+  const clearAll = () => clear('connect', 'firstByte', 'total');
+
+  for (const phase of Object.keys(TIMEOUT_LABELS)) {
+    const ms = timeouts[phase];
+    if (!ms || ms <= 0) continue;
+
+    timers[phase] = setTimeout(() => {
+      clearAll();
+      const error = new UpstreamError(`Upstream ${TIMEOUT_LABELS[phase]} timeout after ${ms}ms`, 504);
+      (response || req).destroy(error);
+    }, ms);
+  }
+
+  req.once('socket', (socket) => {
+    // Reused keep-alive sockets are already connected
+    if (!socket.connecting) {
+      clear('connect');
+    } else {
+      socket.once('connect', () => clear('connect'));
+    }
+  });
+  req.once('response', (res) => {
+    response = res;
+    clear('connect', 'firstByte');
+    if (isStream(res)) clear('total');
+    res.once('close', clearAll);
+  });
+  req.once('error', clearAll);
+}
+
+/**
+ * Turns a failed request's error into an UpstreamError that says what went wrong
+ * @param {Error} error Error from the request or the stream
+ * @returns {UpstreamError} The error as a 502 (or 504 if it already was a timeout)
+ */
+function toUpstreamError(error) {
+  if (error instanceof UpstreamError) return error;
+
+  const cause = error.code && !error.message.includes(error.code) ? `${error.code}: ${error.message}` : error.message;
+  return new UpstreamError(`Upstream connection failed (${cause})`, 502, error);
+}
+
+/**
+ * Exponential backoff with jitter before the next attempt after a network failure
+ * @param {number} attempt 1 for the first retry, 2 for the second, ...
+ * @returns {number} Milliseconds to wait: half the exponential delay plus a random share of the other half
+ */
+function getBackoffDelayMs(attempt, baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS) {
+  const delay = Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempt - 1)));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  DEFAULT_TIMEOUTS,
+  DEFAULT_NETWORK_RETRIES,
+  UpstreamError,
+  applyTimeouts,
+  toUpstreamError,
+  getBackoffDelayMs,
+  sleep
+};
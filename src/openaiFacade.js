@@ -0,0 +1,644 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+
+/**
+ * Translates OpenAI-format requests (chat completions, models, embeddings) into Gemini
+ * API calls and the Gemini responses back, so OpenAI clients can use Gemini providers.
+ */
+
+const FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+  IMAGE_SAFETY: 'content_filter'
+};
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  429: 'rate_limit_error'
+};
+
+// JSON Schema keywords Gemini's function declarations reject
+const UNSUPPORTED_SCHEMA_KEYS = new Set(['$schema', '$id', 'additionalProperties', 'strict']);
+
+class FacadeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+function generateId(prefix) {
+  return `${prefix}${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function stripModelPrefix(model) {
+  return String(model).replace(/^models\//, '');
+}
+
+function stripUnsupportedSchemaKeys(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(stripUnsupportedSchemaKeys);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const cleaned = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!UNSUPPORTED_SCHEMA_KEYS.has(key)) {
+      cleaned[key] = stripUnsupportedSchemaKeys(value);
+    }
+  }
+  return cleaned;
+}
+
+/**
+ * Converts OpenAI message content (a string or an array of content parts) to Gemini parts
+ * Images are accepted as base64 data URLs only; Gemini can't fetch arbitrary image URLs itself
+ */
+function toGeminiParts(content) {
+  if (content === null || content === undefined) return [];
+  if (typeof content === 'string') return content ? [{ text: content }] : [];
+  if (!Array.isArray(content)) {
+    throw new FacadeError('Message content must be a string or an array of content parts');
+  }
+
+  return content.map(part => {
+    if (part.type === 'text') {
+      return { text: part.text || '' };
+    }
+    if (part.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url && part.image_url.url;
+      const dataUrl = url && url.match(/^data:([^;,]+);base64,(.*)$/s);
+      if (dataUrl) {
+        return { inlineData: { mimeType: dataUrl[1], data: dataUrl[2] } };
+      }
+      throw new FacadeError('Only base64 data: URLs are supported for image_url content parts');
+    }
+    if (part.type === 'input_audio' && part.input_audio) {
+      return { inlineData: { mimeType: `audio/${part.input_audio.format || 'wav'}`, data: part.input_audio.data } };
+    }
+    throw new FacadeError(`Unsupported content part type '${part.type}'`);
+  });
+}
+
+function parseToolResult(content) {
+  const text = Array.isArray(content)
+    ? content.map(part => part.text || '').join('')
+    : String(content === undefined || content === null ? '' : content);
+
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    // Plain text results are wrapped below
+  }
+  return { content: text };
+}
+
+/**
+ * Builds Gemini `contents` and `systemInstruction` from OpenAI chat messages
+ * Tool results are matched to their calls by id, and consecutive turns of the same role are merged
+ * since Gemini expects user and model turns to alternate.
+ */
+function toGeminiContents(messages) {
+  const systemParts = [];
+  const contents = [];
+  const toolNames = new Map(); // tool_call_id -> function name
+
+  const push = (role, parts) => {
+    if (parts.length === 0) return;
+    const previous = contents[contents.length - 1];
+    if (previous && previous.role === role) {
+      previous.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  };
+
+  for (const message of messages) {
+    if (!message || typeof message !== 'object') {
+      throw new FacadeError('Each message must be an object');
+    }
+
+    switch (message.role) {
+      case 'system':
+      case 'developer':
+        systemParts.push(...toGeminiParts(message.content));
+        break;
+      case 'user':
+        push('user', toGeminiParts(message.content));
+        break;
+      case 'assistant': {
+        const parts = toGeminiParts(message.content);
+        for (const call of message.tool_calls || []) {
+          const fn = call.function || {};
+          toolNames.set(call.id, fn.name);
+          let args = {};
+          try {
+            args = fn.arguments ? JSON.parse(fn.arguments) : {};
+          } catch (error) {
+            throw new FacadeError(`Tool call '${call.id}' has arguments that aren't valid JSON`);
+          }
+          parts.push({ functionCall: { name: fn.name, args } });
+        }
+        push('model', parts);
+        break;
+      }
+      case 'tool':
+      case 'function': {
+        const name = message.name || toolNames.get(message.tool_call_id);
+        if (!name) {
+          throw new FacadeError(`Tool message refers to unknown tool call '${message.tool_call_id}'`);
+        }
+        push('user', [{ functionResponse: { name, response: parseToolResult(message.content) } }]);
+        break;
+      }
+      default:
+        throw new FacadeError(`Unsupported message role '${message.role}'`);
+    }
+  }
+
+  return {
+    contents,
+    systemInstruction: systemParts.length > 0 ? { parts: systemParts } : null
+  };
+}
+
+function toGeminiToolConfig(toolChoice) {
+  if (toolChoice === undefined || toolChoice === null) return null;
+  if (toolChoice === 'none') return { functionCallingConfig: { mode: 'NONE' } };
+  if (toolChoice === 'auto') return { functionCallingConfig: { mode: 'AUTO' } };
+  if (toolChoice === 'required') return { functionCallingConfig: { mode: 'ANY' } };
+  if (toolChoice.function && toolChoice.function.name) {
+    return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.function.name] } };
+  }
+  return null;
+}
+
+function toGenerationConfig(body) {
+  const config = {};
+
+  if (body.temperature !== undefined) config.temperature = body.temperature;
+  if (body.top_p !== undefined) config.topP = body.top_p;
+  if (body.n !== undefined) config.candidateCount = body.n;
+  if (body.presence_penalty !== undefined) config.presencePenalty = body.presence_penalty;
+  if (body.frequency_penalty !== undefined) config.frequencyPenalty = body.frequency_penalty;
+  if (body.seed !== undefined) config.seed = body.seed;
+
+  const maxTokens = body.max_completion_tokens !== undefined ? body.max_completion_tokens : body.max_tokens;
+  if (maxTokens !== undefined && maxTokens !== null) config.maxOutputTokens = maxTokens;
+
+  if (body.stop !== undefined && body.stop !== null) {
+    config.stopSequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+  }
+
+  const format = body.response_format;
+  if (format && format.type === 'json_object') {
+    config.responseMimeType = 'application/json';
+  } else if (format && format.type === 'json_schema' && format.json_schema) {
+    config.responseMimeType = 'application/json';
+    if (format.json_schema.schema) {
+      config.responseSchema = stripUnsupportedSchemaKeys(format.json_schema.schema);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Converts an OpenAI chat completion request body to a Gemini generateContent body
+ * @param {object} body Parsed OpenAI request
+ * @returns {object} Gemini request body
+ */
+function toGeminiChatRequest(body) {
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    throw new FacadeError('"messages" must be a non-empty array');
+  }
+
+  const { contents, systemInstruction } = toGeminiContents(body.messages);
+  const request = { contents };
+
+  if (systemInstruction) request.systemInstruction = systemInstruction;
+
+  const functions = (body.tools || [])
+    .filter(tool => tool.type === 'function' && tool.function)
+    .map(tool => {
+      const declaration = { name: tool.function.name };
+      if (tool.function.description) declaration.description = tool.function.description;
+      if (tool.function.parameters) declaration.parameters = stripUnsupportedSchemaKeys(tool.function.parameters);
+      return declaration;
+    });
+  if (functions.length > 0) request.tools = [{ functionDeclarations: functions }];
+
+  const toolConfig = toGeminiToolConfig(body.tool_choice);
+  if (toolConfig) request.toolConfig = toolConfig;
+
+  const generationConfig = toGenerationConfig(body);
+  if (Object.keys(generationConfig).length > 0) request.generationConfig = generationConfig;
+
+  return request;
+}
+
+function toOpenAIUsage(usageMetadata) {
+  if (!usageMetadata) return undefined;
+
+  const prompt = usageMetadata.promptTokenCount || 0;
+  const completion = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: usageMetadata.totalTokenCount || prompt + completion
+  };
+}
+
+function toOpenAIToolCall(functionCall, index = undefined) {
+  const call = {
+    id: functionCall.id || generateId('call_'),
+    type: 'function',
+    function: {
+      name: functionCall.name,
+      arguments: JSON.stringify(functionCall.args || {})
+    }
+  };
+  return index === undefined ? call : { index, ...call };
+}
+
+/**
+ * Splits a Gemini candidate's parts into answer text and function calls
+ * Thought summaries are left out, as OpenAI clients have nowhere to put them.
+ */
+function readCandidateParts(candidate) {
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+  const text = parts.filter(part => typeof part.text === 'string' && !part.thought).map(part => part.text).join('');
+  const functionCalls = parts.filter(part => part.functionCall).map(part => part.functionCall);
+  return { text, functionCalls };
+}
+
+function toFinishReason(geminiReason, hasToolCalls) {
+  if (!geminiReason) return null;
+  if (hasToolCalls && geminiReason === 'STOP') return 'tool_calls';
+  return FINISH_REASONS[geminiReason] || 'stop';
+}
+
+/**
+ * Converts a Gemini generateContent response to an OpenAI chat completion
+ * @param {object} data Parsed Gemini response
+ * @param {string} model Model name to report
+ * @returns {object} OpenAI chat.completion object
+ */
+function toOpenAIChatCompletion(data, model) {
+  const candidates = data.candidates || [];
+  const choices = candidates.map((candidate, position) => {
+    const { text, functionCalls } = readCandidateParts(candidate);
+    const message = { role: 'assistant', content: text || (functionCalls.length > 0 ? null : '') };
+    if (functionCalls.length > 0) {
+      message.tool_calls = functionCalls.map(call => toOpenAIToolCall(call));
+    }
+    return {
+      index: candidate.index !== undefined ? candidate.index : position,
+      message,
+      finish_reason: toFinishReason(candidate.finishReason || 'STOP', functionCalls.length > 0)
+    };
+  });
+
+  // A blocked prompt comes back without candidates
+  if (choices.length === 0 && data.promptFeedback && data.promptFeedback.blockReason) {
+    choices.push({ index: 0, message: { role: 'assistant', content: '' }, finish_reason: 'content_filter' });
+  }
+
+  return {
+    id: data.responseId ? `chatcmpl-${data.responseId}` : generateId('chatcmpl-'),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: data.modelVersion || model,
+    choices,
+    usage: toOpenAIUsage(data.usageMetadata)
+  };
+}
+
+/**
+ * Creates a stream that turns Gemini `streamGenerateContent?alt=sse` events into OpenAI
+ * chat.completion.chunk events, ending with `data: [DONE]`
+ * The latest Gemini usage totals are kept on `usageMetadata` for usage accounting.
+ * @param {string} model Model name to report
+ * @param {boolean} includeUsage Whether to send a final usage chunk (stream_options.include_usage)
+ * @returns {stream.Transform} The translating stream
+ */
+function createChatStreamTranslator(model, includeUsage = false) {
+  const id = generateId('chatcmpl-');
+  const created = Math.floor(Date.now() / 1000);
+  const startedChoices = new Set();
+  const toolCallCounts = new Map(); // candidate index -> tool calls sent so far
+  let buffer = '';
+
+  const chunk = (choices, extra = {}) => `data: ${JSON.stringify({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices,
+    ...extra
+  })}\n\n`;
+
+  const translateEvent = (translator, data) => {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (error) {
+      return; // Not JSON - nothing an OpenAI client could use
+    }
+
+    if (event.error) {
+      const statusCode = event.error.code || 500;
+      translator.push(`data: ${JSON.stringify(toOpenAIError(statusCode, event.error.message, event.error.status))}\n\n`);
+      return;
+    }
+
+    if (event.usageMetadata) translator.usageMetadata = event.usageMetadata;
+
+    if (!event.candidates && event.promptFeedback && event.promptFeedback.blockReason) {
+      translator.push(chunk([{ index: 0, delta: {}, finish_reason: 'content_filter' }]));
+      return;
+    }
+
+    (event.candidates || []).forEach((candidate, position) => {
+      const index = candidate.index !== undefined ? candidate.index : position;
+      const { text, functionCalls } = readCandidateParts(candidate);
+      const delta = {};
+
+      if (!startedChoices.has(index)) {
+        startedChoices.add(index);
+        delta.role = 'assistant';
+      }
+      if (text) delta.content = text;
+      if (functionCalls.length > 0) {
+        const sent = toolCallCounts.get(index) || 0;
+        delta.tool_calls = functionCalls.map((call, i) => toOpenAIToolCall(call, sent + i));
+        toolCallCounts.set(index, sent + functionCalls.length);
+      }
+
+      if (Object.keys(delta).length > 0) {
+        translator.push(chunk([{ index, delta, finish_reason: null }]));
+      }
+      if (candidate.finishReason) {
+        const reason = toFinishReason(candidate.finishReason, toolCallCounts.get(index) > 0);
+        translator.push(chunk([{ index, delta: {}, finish_reason: reason }]));
+      }
+    });
+  };
+
+  const translateEvents = (translator, flush) => {
+    const events = buffer.replace(/\r\n/g, '\n').split('\n\n');
+    buffer = flush ? '' : events.pop();
+
+    for (const event of events) {
+      const data = event.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      if (data) translateEvent(translator, data);
+    }
+  };
+
+  const translator = new Transform({
+    transform(piece, encoding, callback) {
+      buffer += piece.toString('utf8');
+      translateEvents(this, false);
+      callback();
+    },
+    flush(callback) {
+      translateEvents(this, true);
+      if (includeUsage && this.usageMetadata) {
+        this.push(chunk([], { usage: toOpenAIUsage(this.usageMetadata) }));
+      }
+      this.push('data: [DONE]\n\n');
+      callback();
+    }
+  });
+  translator.usageMetadata = null;
+  return translator;
+}
+
+/**
+ * Converts an OpenAI embeddings request to a Gemini batchEmbedContents body
+ * @param {object} body Parsed OpenAI request
+ * @returns {object} Gemini request body
+ */
+function toGeminiEmbeddingRequest(body) {
+  const inputs = Array.isArray(body.input) ? body.input : [body.input];
+  if (inputs.length === 0 || inputs.some(input => typeof input !== 'string')) {
+    throw new FacadeError('"input" must be a string or an array of strings');
+  }
+
+  const model = `models/${stripModelPrefix(body.model)}`;
+  return {
+    requests: inputs.map(text => {
+      const request = { model, content: { parts: [{ text }] } };
+      if (body.dimensions) request.outputDimensionality = body.dimensions;
+      return request;
+    })
+  };
+}
+
+function toOpenAIEmbeddings(data, model) {
+  return {
+    object: 'list',
+    data: (data.embeddings || []).map((embedding, index) => ({
+      object: 'embedding',
+      index,
+      embedding: embedding.values || []
+    })),
+    model,
+    usage: { prompt_tokens: 0, total_tokens: 0 } // Gemini doesn't report embedding token counts
+  };
+}
+
+function toOpenAIModel(model) {
+  return {
+    id: stripModelPrefix(model.name),
+    object: 'model',
+    created: 0,
+    owned_by: 'google'
+  };
+}
+
+function toOpenAIError(statusCode, message, code = null) {
+  return {
+    error: {
+      message: message || `HTTP ${statusCode}`,
+      type: ERROR_TYPES[statusCode] || (statusCode >= 500 ? 'server_error' : 'invalid_request_error'),
+      code: code || null
+    }
+  };
+}
+
+/**
+ * Builds a JSON response in OpenAI's error format
+ * @param {number} statusCode HTTP status code
+ * @param {string} message Error message
+ * @returns {object} Response object ({ statusCode, headers, data })
+ */
+function formatError(statusCode, message) {
+  return jsonResponse(statusCode, toOpenAIError(statusCode, message));
+}
+
+function jsonResponse(statusCode, payload, headers = {}) {
+  return {
+    statusCode,
+    headers: { ...headers, 'content-type': 'application/json' },
+    data: JSON.stringify(payload)
+  };
+}
+
+/**
+ * Maps an OpenAI-format request onto the Gemini API
+ * @param {string} method HTTP method
+ * @param {string} path OpenAI path, e.g. /chat/completions
+ * @param {string} body Request body
+ * @returns {object} { kind, method, path, body, model, stream, includeUsage } for the Gemini call,
+ *   or { error, statusCode } if the request can't be translated
+ */
+function translateRequest(method, path, body) {
+  const pathname = path.split('?')[0].replace(/\/$/, '');
+
+  try {
+    if (method === 'GET' && pathname === '/models') {
+      return { kind: 'models', method, path: '/models?pageSize=1000', body: null };
+    }
+
+    const modelMatch = pathname.match(/^\/models\/(.+)$/);
+    if (method === 'GET' && modelMatch) {
+      return { kind: 'model', method, path: `/models/${stripModelPrefix(decodeURIComponent(modelMatch[1]))}`, body: null };
+    }
+
+    if (method !== 'POST' || (pathname !== '/chat/completions' && pathname !== '/embeddings')) {
+      return { error: `The OpenAI-compatible endpoint doesn't support ${method} ${pathname}`, statusCode: 404 };
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || typeof parsed !== 'object') {
+      throw new FacadeError('Request body must be a JSON object');
+    }
+    if (typeof parsed.model !== 'string' || !parsed.model) {
+      throw new FacadeError('"model" is required');
+    }
+
+    const model = stripModelPrefix(parsed.model);
+
+    if (pathname === '/embeddings') {
+      return {
+        kind: 'embeddings',
+        method,
+        path: `/models/${model}:batchEmbedContents`,
+        body: JSON.stringify(toGeminiEmbeddingRequest(parsed)),
+        model
+      };
+    }
+
+    const stream = parsed.stream === true;
+    return {
+      kind: 'chat',
+      method,
+      path: stream ? `/models/${model}:streamGenerateContent?alt=sse` : `/models/${model}:generateContent`,
+      body: JSON.stringify(toGeminiChatRequest(parsed)),
+      model,
+      stream,
+      includeUsage: Boolean(parsed.stream_options && parsed.stream_options.include_usage)
+    };
+  } catch (error) {
+    if (error instanceof FacadeError) {
+      return { error: error.message, statusCode: error.statusCode };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Converts a Gemini response back to the OpenAI format of the original request
+ * Streams are wrapped in a translating stream; token usage still reaches the key rotator.
+ * @param {object} request The result of translateRequest
+ * @param {object} response Gemini response from GeminiClient.makeRequest
+ * @returns {object} Response object in OpenAI format
+ */
+function translateResponse(request, response) {
+  const upstreamHeaders = {};
+  if (response.headers && response.headers['retry-after']) {
+    upstreamHeaders['retry-after'] = response.headers['retry-after'];
+  }
+
+  if (response.stream) {
+    const translator = createChatStreamTranslator(request.model, request.includeUsage);
+    for (const piece of response.initialChunks || []) {
+      translator.write(piece);
+    }
+    // pipeline tears the translator down if Gemini's stream breaks, so the client hears about it
+    pipeline(response.stream, translator, () => {});
+
+    const onStreamEnd = response.onStreamEnd;
+    return {
+      statusCode: response.statusCode,
+      headers: { ...upstreamHeaders, 'content-type': 'text/event-stream', 'cache-control': 'no-cache' },
+      stream: translator,
+      onStreamEnd: onStreamEnd
+        ? () => onStreamEnd(JSON.stringify({ usageMetadata: translator.usageMetadata }))
+        : null
+    };
+  }
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(response.data);
+  } catch (error) {
+    parsed = null;
+  }
+
+  if (response.statusCode >= 400) {
+    const error = parsed && (Array.isArray(parsed) ? parsed[0] && parsed[0].error : parsed.error);
+    const message = error && (typeof error === 'string' ? error : error.message);
+    return jsonResponse(response.statusCode, toOpenAIError(response.statusCode, message || response.data, error && error.status), upstreamHeaders);
+  }
+  if (!parsed) {
+    return jsonResponse(502, toOpenAIError(502, 'Upstream returned a response that is not JSON'), upstreamHeaders);
+  }
+
+  let payload;
+  switch (request.kind) {
+    case 'models':
+      payload = { object: 'list', data: (parsed.models || []).map(toOpenAIModel) };
+      break;
+    case 'model':
+      payload = toOpenAIModel(parsed);
+      break;
+    case 'embeddings':
+      payload = toOpenAIEmbeddings(parsed, request.model);
+      break;
+    default:
+      payload = toOpenAIChatCompletion(parsed, request.model);
+  }
+  return jsonResponse(response.statusCode, payload, upstreamHeaders);
+}
+
+module.exports = {
+  providerApiType: 'gemini',
+  translateRequest,
+  translateResponse,
+  formatError,
+  toGeminiChatRequest,
+  toOpenAIChatCompletion,
+  createChatStreamTranslator,
+  toGeminiEmbeddingRequest
+};
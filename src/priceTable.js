@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { matchesModelPattern } = require('./modelPolicy');
+
+const TOKENS_PER_PRICE = 1000000;
+
+/**
+ * Per-model token prices, per million tokens, kept in a local JSON file and used to estimate
+ * what each request cost. A model matches an entry by name or by pattern (`*` matches anything);
+ * an exact name wins, then the longest pattern.
+ */
+class PriceTable {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.prices = []; // [{ model, input, output, cachedInput }] - cachedInput null = same as input
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.prices = PriceTable.normalize(parsed && parsed.prices);
+      console.log(`[PRICES] Loaded ${this.prices.length} model prices from ${this.filePath}`);
+    } catch (error) {
+      console.warn(`[PRICES] Ignoring unreadable price file ${this.filePath}: ${error.message}`);
+      this.prices = [];
+    }
+  }
+
+  /**
+   * Writes the price file, replacing it atomically so a crash mid-write can't corrupt it
+   */
+  save() {
+    if (!this.filePath) return;
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ savedAt: new Date().toISOString(), prices: this.prices }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  list() {
+    return this.prices.map(price => ({ ...price }));
+  }
+
+  /**
+   * Replaces the whole table
+   * @param {Array|object} prices Entries as [{ model, input, output, cachedInput }], or a map of
+   *   model -> { input, output, cachedInput }
+   * @returns {object[]} The new table
+   * @throws {Error} If an entry has the wrong shape
+   */
+  replace(prices) {
+    this.prices = PriceTable.normalize(prices);
+    this.save();
+    console.log(`[PRICES] Saved ${this.prices.length} model prices`);
+    return this.list();
+  }
+
+  /**
+   * @returns {object|null} The price entry for a model, or null if none matches
+   */
+  find(model) {
+    if (!model) return null;
+
+    const exact = this.prices.find(price => price.model.toLowerCase() === model.toLowerCase());
+    if (exact) return exact;
+
+    return this.prices
+      .filter(price => price.model.includes('*') && matchesModelPattern(model, price.model))
+      .sort((a, b) => b.model.length - a.model.length)[0] || null;
+  }
+
+  /**
+   * Estimates what a response cost from the tokens it reported. Cached prompt tokens are charged
+   * at the cached input price when the entry has one.
+   * @param {string|null} model Model the request was for
+   * @param {object|null} usage { promptTokens, completionTokens, cachedTokens }
+   * @returns {number|null} Estimated cost, or null if the model has no price or there is no usage
+   */
+  estimateCost(model, usage) {
+    const price = this.find(model);
+    if (!price || !usage) return null;
+
+    const cached = Math.min(usage.cachedTokens || 0, usage.promptTokens || 0);
+    const uncached = (usage.promptTokens || 0) - cached;
+    const cachedPrice = price.cachedInput !== null ? price.cachedInput : price.input;
+    return (uncached * price.input + cached * cachedPrice + (usage.completionTokens || 0) * price.output) / TOKENS_PER_PRICE;
+  }
+
+  /**
+   * Checks and normalizes prices from the admin panel or an imported file
+   * @throws {Error} If an entry has the wrong shape
+   */
+  static normalize(prices) {
+    if (!prices) return [];
+
+    const entries = Array.isArray(prices)
+      ? prices
+      : Object.entries(prices).map(([model, price]) => ({ ...price, model }));
+
+    const seen = new Set();
+    return entries.map(entry => {
+      if (!entry || typeof entry !== 'object') throw new Error('Each price must be an object');
+
+      const model = String(entry.model || '').trim();
+      if (!model) throw new Error('Each price needs a model');
+      if (seen.has(model.toLowerCase())) throw new Error(`Model '${model}' is priced twice`);
+      seen.add(model.toLowerCase());
+
+      const readPrice = (field, optional) => {
+        const value = entry[field];
+        if (optional && (value === undefined || value === null || value === '')) return null;
+        const number = Number(value);
+        if (value === '' || value === null || !isFinite(number) || number < 0) {
+          throw new Error(`${field} price for '${model}' must be a non-negative number`);
+        }
+        return number;
+      };
+
+      return {
+        model,
+        input: readPrice('input', false),
+        output: readPrice('output', false),
+        cachedInput: readPrice('cachedInput', true)
+      };
+    });
+  }
+}
+
+module.exports = PriceTable;
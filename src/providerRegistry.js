@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PASSTHROUGH_HEADERS = ['content-type', 'accept', 'user-agent'];
+
+/**
+ * Everything the proxy needs to know about an API type. Built-in types live in src/providers/,
+ * and plugins in the provider plugin directory export the same shape (or an array of them).
+ *
+ * @typedef {object} ProviderDefinition
+ * @property {string} apiType Lower-case env var prefix, e.g. 'openai' for OPENAI_GROQ_API_KEYS
+ * @property {string} [name] Display name, e.g. 'OpenAI'
+ * @property {string} [defaultBaseUrl] Base URL for providers that don't set one
+ * @property {function(KeyRotator, string, object): object} createClient Builds a client with
+ *   makeRequest(method, path, body, headers, customStatusCodes) and a keyRotator; the options
+ *   carry the provider's { timeouts, networkRetries }
+ * @property {string} [authHeader] Header callers send their key and [STATUS_CODES]/[ACCESS_KEY] in (default: authorization)
+ * @property {function(string): string} [formatKey] Turns a bare caller key into that header's value
+ * @property {string[]} [passthroughHeaders] Request headers forwarded upstream
+ * @property {function(string): string} [keyTestPath] Path the key test requests for a base URL (default: /models)
+ * @property {function(object, string, string): Promise<object>} [testKey] Sends the key test with
+ *   (client, apiKey, path); types without one skip the test
+ * @property {function(number, string): string} [formatError] JSON error body in the type's format
+ * @property {function(string): string} [formatStreamError] Complete SSE error event in the type's format
+ * @property {string} [curlTemplate] Example request for the admin panel, with {{proxyUrl}},
+ *   {{provider}}, {{accessKey}} and {{model}} placeholders
+ * @property {string} [exampleModel] Model name shown as an example in the admin panel
+ * @property {string} [unifiedEndpoint] How aliases of this type are called on the unified endpoint
+ */
+
+class ProviderRegistry {
+  constructor() {
+    this.definitions = new Map(); // Map of apiType -> ProviderDefinition
+    this.loadedPlugins = new Set(); // Plugin files already loaded
+  }
+
+  /**
+   * Adds an API type, filling in defaults for the optional parts
+   * @param {ProviderDefinition} definition The API type's definition
+   * @returns {ProviderDefinition} The registered definition
+   */
+  register(definition) {
+    if (!definition || typeof definition.apiType !== 'string' || !/^[a-z][a-z0-9]*$/.test(definition.apiType)) {
+      throw new Error('apiType must be lower-case letters and digits (it is used as the env var prefix)');
+    }
+    if (typeof definition.createClient !== 'function') {
+      throw new Error(`API type '${definition.apiType}' needs a createClient function`);
+    }
+
+    const registered = {
+      name: definition.apiType,
+      authHeader: 'authorization',
+      formatKey: (key) => key,
+      passthroughHeaders: DEFAULT_PASSTHROUGH_HEADERS,
+      keyTestPath: () => '/models',
+      formatError: (statusCode, message) => JSON.stringify({ error: { code: statusCode, message: message } }),
+      formatStreamError: (message) => `data: ${JSON.stringify({ error: { message: message } })}\n\n`,
+      ...definition
+    };
+    registered.authHeader = registered.authHeader.toLowerCase();
+    registered.passthroughHeaders = registered.passthroughHeaders.map(header => header.toLowerCase());
+
+    this.definitions.set(registered.apiType, registered);
+    return registered;
+  }
+
+  get(apiType) {
+    return this.definitions.get(apiType) || null;
+  }
+
+  has(apiType) {
+    return this.definitions.has(apiType);
+  }
+
+  list() {
+    return [...this.definitions.values()];
+  }
+
+  /**
+   * Every header some API type reads caller keys from
+   */
+  getAuthHeaders() {
+    return [...new Set(this.list().map(definition => definition.authHeader))];
+  }
+
+  /**
+   * Loads provider plugins: every .js file in the directory exporting a definition or an array of them
+   * Files are loaded once; a broken plugin is logged and skipped
+   * @param {string} directory Plugin directory
+   */
+  loadPlugins(directory) {
+    if (!directory || !fs.existsSync(directory)) return;
+
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+      const filePath = path.join(directory, file);
+      if (this.loadedPlugins.has(filePath)) continue;
+      this.loadedPlugins.add(filePath);
+
+      try {
+        const exported = require(filePath);
+        const definitions = Array.isArray(exported) ? exported : [exported];
+        for (const definition of definitions) {
+          const registered = this.register(definition);
+          console.log(`[PLUGINS] Registered API type '${registered.apiType}' from ${file}`);
+        }
+      } catch (error) {
+        console.error(`[PLUGINS] Failed to load provider plugin ${file}: ${error.message}`);
+      }
+    }
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+providerRegistry.register(require('./providers/openai'));
+providerRegistry.register(require('./providers/gemini'));
+providerRegistry.register(require('./providers/anthropic'));
+
+module.exports = { ProviderRegistry, providerRegistry };
@@ -0,0 +1,49 @@
+const AnthropicClient = require('../anthropicClient');
+const { formatStreamError } = require('../streamUtils');
+
+module.exports = {
+  apiType: 'anthropic',
+  name: 'Anthropic',
+  defaultBaseUrl: 'https://api.anthropic.com/v1',
+  exampleModel: 'claude-3-5-haiku-latest',
+  unifiedEndpoint: 'POST /v1/messages with "model": "alias"',
+
+  createClient(keyRotator, baseUrl, options) {
+    return new AnthropicClient(keyRotator, baseUrl, options);
+  },
+
+  authHeader: 'x-api-key',
+  passthroughHeaders: ['content-type', 'accept', 'user-agent', 'anthropic-version', 'anthropic-beta'],
+
+  testKey(client, apiKey, path) {
+    return client.sendRequest('GET', path, null, {}, apiKey);
+  },
+
+  formatError(statusCode, message) {
+    return JSON.stringify({
+      type: 'error',
+      error: {
+        type: statusCode >= 500 ? 'api_error' : 'invalid_request_error',
+        message: message
+      }
+    });
+  },
+
+  formatStreamError: (message) => formatStreamError('anthropic', message),
+
+  // 529 Overloaded rotates too
+  curlTemplate: `curl -X POST "{{proxyUrl}}/{{provider}}/messages" \\
+  -H "x-api-key: [STATUS_CODES:429,529]{{accessKey}}" \\
+  -H "anthropic-version: 2023-06-01" \\
+  -H "Content-Type: application/json" \\
+  -d '{
+    "model": "{{model}}",
+    "max_tokens": 1024,
+    "messages": [
+      {
+        "role": "user",
+        "content": "Hello! Please say hello back."
+      }
+    ]
+  }'`
+};
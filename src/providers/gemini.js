@@ -0,0 +1,63 @@
+const GeminiClient = require('../geminiClient');
+const { formatStreamError } = require('../streamUtils');
+
+const ERROR_STATUSES = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  429: 'RESOURCE_EXHAUSTED',
+  502: 'UNAVAILABLE',
+  503: 'UNAVAILABLE',
+  504: 'DEADLINE_EXCEEDED'
+};
+
+module.exports = {
+  apiType: 'gemini',
+  name: 'Gemini',
+  defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1',
+  exampleModel: 'gemini-1.5-flash',
+  unifiedEndpoint: 'POST /v1beta/models/alias:generateContent',
+
+  createClient(keyRotator, baseUrl, options) {
+    return new GeminiClient(keyRotator, baseUrl, options);
+  },
+
+  authHeader: 'x-goog-api-key',
+  passthroughHeaders: ['content-type', 'accept', 'user-agent', 'x-goog-user-project'],
+
+  // A base URL without a version gets /v1 added
+  keyTestPath(baseUrl) {
+    return !baseUrl.includes('/v1') && !baseUrl.includes('/v1beta') ? '/v1/models' : '/models';
+  },
+
+  testKey(client, apiKey, path) {
+    return client.sendRequest('GET', path, null, {}, apiKey, false);
+  },
+
+  formatError(statusCode, message) {
+    return JSON.stringify({
+      error: {
+        code: statusCode,
+        message: message,
+        status: ERROR_STATUSES[statusCode] || 'INTERNAL'
+      }
+    });
+  },
+
+  formatStreamError: (message) => formatStreamError('gemini', message),
+
+  curlTemplate: `curl -X POST "{{proxyUrl}}/{{provider}}/models/{{model}}:generateContent" \\
+  -H "x-goog-api-key: [STATUS_CODES:429]{{accessKey}}" \\
+  -H "Content-Type: application/json" \\
+  -d '{
+    "contents": [
+      {
+        "parts": [
+          {
+            "text": "Hello! Please say hello back."
+          }
+        ]
+      }
+    ]
+  }'`
+};
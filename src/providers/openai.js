@@ -0,0 +1,47 @@
+const OpenAIClient = require('../openaiClient');
+const { formatStreamError } = require('../streamUtils');
+
+module.exports = {
+  apiType: 'openai',
+  name: 'OpenAI',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  exampleModel: 'gpt-4o-mini',
+  unifiedEndpoint: 'POST /v1/chat/completions with "model": "alias"',
+
+  createClient(keyRotator, baseUrl, options) {
+    return new OpenAIClient(keyRotator, baseUrl, options);
+  },
+
+  authHeader: 'authorization',
+  formatKey: (key) => `Bearer ${key}`,
+  passthroughHeaders: ['content-type', 'accept', 'user-agent', 'openai-organization', 'openai-project'],
+
+  testKey(client, apiKey, path) {
+    return client.sendRequest('GET', path, null, {}, apiKey);
+  },
+
+  formatError(statusCode, message) {
+    return JSON.stringify({
+      error: {
+        message: message,
+        type: statusCode >= 500 ? 'server_error' : 'invalid_request_error',
+        code: statusCode
+      }
+    });
+  },
+
+  formatStreamError: (message) => formatStreamError('openai', message),
+
+  curlTemplate: `curl -X POST "{{proxyUrl}}/{{provider}}/chat/completions" \\
+  -H "Authorization: Bearer [STATUS_CODES:429]{{accessKey}}" \\
+  -H "Content-Type: application/json" \\
+  -d '{
+    "model": "{{model}}",
+    "messages": [
+      {
+        "role": "user",
+        "content": "Hello! Please say hello back."
+      }
+    ]
+  }'`
+};
@@ -0,0 +1,117 @@
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000; // Never trust a hint longer than a day
+
+/**
+ * Parses a duration like "1s", "6m0s", "2m59.56s", "20ms" or "37s" into milliseconds
+ * @param {string} value Duration string, or a bare number of seconds
+ * @returns {number|null} Milliseconds, or null if the value can't be parsed
+ */
+function parseDuration(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  let total = 0;
+  let matched = false;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    total += parseFloat(match[1]) * units[match[2]];
+    matched = true;
+  }
+
+  return matched ? Math.round(total) : null;
+}
+
+/**
+ * Parses a Retry-After header value (delta seconds or an HTTP date)
+ * @param {string} value Header value
+ * @returns {number|null} Milliseconds to wait, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return Math.round(parseFloat(value) * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Parses x-ratelimit-reset-* headers, preferring the limits that are actually exhausted.
+ * Also understands a bare x-ratelimit-reset holding seconds or an epoch timestamp.
+ * @param {object} headers Response headers (lower-case names)
+ * @returns {number|null} Milliseconds until the limit resets
+ */
+function parseRateLimitReset(headers) {
+  const exhausted = [];
+  const all = [];
+
+  for (const [name, value] of Object.entries(headers)) {
+    const match = name.match(/^x-ratelimit-reset-(.+)$/);
+    if (!match) continue;
+
+    const delay = parseDuration(value);
+    if (delay === null) continue;
+
+    all.push(delay);
+    if (headers[`x-ratelimit-remaining-${match[1]}`] === '0') {
+      exhausted.push(delay);
+    }
+  }
+
+  if (exhausted.length > 0) return Math.max(...exhausted);
+  if (all.length > 0) return Math.max(...all);
+
+  const reset = headers['x-ratelimit-reset'];
+  if (reset && /^\d+(\.\d+)?$/.test(reset.trim())) {
+    const number = parseFloat(reset);
+    if (number > 1e12) return Math.max(0, number - Date.now()); // Epoch milliseconds
+    if (number > 1e9) return Math.max(0, number * 1000 - Date.now()); // Epoch seconds
+    return Math.round(number * 1000);
+  }
+
+  return null;
+}
+
+/**
+ * Reads the retryDelay from a Gemini google.rpc.RetryInfo error detail
+ * @param {string} data Response body
+ * @returns {number|null} Milliseconds to wait
+ */
+function parseGeminiRetryInfo(data) {
+  if (!data) return null;
+
+  try {
+    const parsed = JSON.parse(data);
+    const details = (parsed && parsed.error && parsed.error.details) || [];
+    const retryInfo = details.find(detail => detail && typeof detail['@type'] === 'string' && detail['@type'].endsWith('google.rpc.RetryInfo'));
+    return retryInfo ? parseDuration(retryInfo.retryDelay) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Works out how long a rate-limited key should rest from the upstream's hints:
+ * Retry-After first, then x-ratelimit-reset-* headers, then a Gemini RetryInfo detail in the body
+ * @param {object} response Upstream response ({ headers, data })
+ * @returns {number|null} Milliseconds to wait, or null when the upstream gave no hint
+ */
+function getRetryDelayMs(response) {
+  const headers = response.headers || {};
+  const delay = parseRetryAfter(headers['retry-after'])
+    ?? parseRateLimitReset(headers)
+    ?? parseGeminiRetryInfo(response.data);
+
+  return delay === null ? null : Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+module.exports = { getRetryDelayMs, parseDuration, parseRetryAfter };
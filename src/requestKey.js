@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+/**
+ * Sorts object keys recursively so bodies that differ only in key order compare equal
+ */
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      sorted[key] = normalize(value[key]);
+    }
+    return sorted;
+  }
+  return value;
+}
+
+/**
+ * Hashes what identifies a request (provider, method, path, ...) together with its body,
+ * normalizing JSON bodies first
+ * @param {string[]} parts Identifying parts, e.g. [providerName, method, path]
+ * @param {string|null} body Request body
+ * @returns {string} Hex SHA-256 key
+ */
+function buildRequestKey(parts, body) {
+  let normalizedBody = body || '';
+  try {
+    normalizedBody = JSON.stringify(normalize(JSON.parse(body)));
+  } catch (error) {
+    // Not JSON - compare the raw body
+  }
+
+  return crypto.createHash('sha256')
+    .update(`${parts.join('\n')}\n${normalizedBody}`)
+    .digest('hex');
+}
+
+module.exports = { normalize, buildRequestKey };
@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const READ_CHUNK_BYTES = 64 * 1024;
+
+// Log files are named <stream>-<creation time>[-<n>].jsonl, so their names sort them by age
+const FILE_PATTERN = /^(requests|responses)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)(?:-(\d+))?\.jsonl$/;
+
+function compareFiles(a, b) {
+  const [, , timeA, suffixA = 0] = a.match(FILE_PATTERN);
+  const [, , timeB, suffixB = 0] = b.match(FILE_PATTERN);
+  return timeA === timeB ? Number(suffixA) - Number(suffixB) : timeA.localeCompare(timeB);
+}
+
+/**
+ * Reads a file's lines from a byte offset backwards, a chunk at a time
+ * @param {string} filePath File to read
+ * @param {number} end Byte offset to read backwards from
+ * @yields {object} { line, start } - each line (newest first) and the byte offset it starts at
+ */
+async function* readLinesBackwards(filePath, end, chunkBytes = READ_CHUNK_BYTES) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    let position = end;
+    let rest = Buffer.alloc(0); // Start of the line the previous chunk ended in
+    while (position > 0) {
+      const size = Math.min(chunkBytes, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      await handle.read(chunk, 0, size, position);
+
+      const buffer = Buffer.concat([chunk, rest]);
+      let lineEnd = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        if (i + 1 < lineEnd) {
+          yield { line: buffer.toString('utf8', i + 1, lineEnd), start: position + i + 1 };
+        }
+        lineEnd = i;
+      }
+      rest = buffer.subarray(0, lineEnd);
+    }
+    if (rest.length > 0) {
+      yield { line: rest.toString('utf8'), start: 0 };
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof position.file === 'string' && FILE_PATTERN.test(position.file) && Number.isInteger(position.offset) && position.offset >= 0) {
+      return position;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  const error = new Error('Invalid cursor');
+  error.code = 'INVALID_CURSOR';
+  throw error;
+}
+
+function truncate(value, maxBytes) {
+  if (typeof value !== 'string' || Buffer.byteLength(value) <= maxBytes) return value;
+  return Buffer.from(value).subarray(0, maxBytes).toString('utf8') + `\n... [truncated after ${maxBytes} bytes]`;
+}
+
+/**
+ * Keeps request log entries and response details in JSON Lines files on disk, so the history
+ * survives restarts and outlasts the in-memory buffers. Files rotate when they reach the size
+ * cap or the UTC day changes; the oldest are deleted once the directory is over its size cap or
+ * they are past the retention period. Appends go through write streams and searches read files
+ * backwards in chunks, with a cap on how much one search reads, so neither holds up requests.
+ */
+class RequestLog {
+  constructor(options = {}) {
+    this.directory = options.directory || null;
+    this.maxFileBytes = options.maxFileBytes || 10 * 1024 * 1024;
+    this.maxTotalBytes = options.maxTotalBytes || 0; // 0 = no size cap
+    this.retentionMs = (options.retentionDays || 0) * DAY_MS; // 0 = kept until the size cap removes them
+    this.maxBodyBytes = options.maxBodyBytes || 64 * 1024;
+    this.maxScanBytes = options.maxScanBytes || 64 * 1024 * 1024; // Most a search or lookup reads
+    this.current = {}; // Map of stream -> { file, bytes, day, output } for the file being appended to
+    this.flushing = new Map(); // Map of file -> bytes appended, for rotated files still being written
+
+    if (this.directory) {
+      try {
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.enforceRetention();
+      } catch (error) {
+        console.warn(`[LOGS] Request log disabled, ${this.directory} is not usable: ${error.message}`);
+        this.directory = null;
+      }
+    }
+  }
+
+  get enabled() {
+    return this.directory !== null;
+  }
+
+  /**
+   * Appends a finished request's log entry
+   */
+  append(entry) {
+    this.write('requests', entry);
+  }
+
+  /**
+   * Appends the details the admin panel shows for a request (bodies are truncated)
+   * @param {string} requestId Request or key test ID
+   * @param {object} data Response details, with responseData and requestBody
+   */
+  appendResponse(requestId, data) {
+    this.write('responses', {
+      ...data,
+      requestId,
+      responseData: truncate(data.responseData, this.maxBodyBytes),
+      requestBody: truncate(data.requestBody, this.maxBodyBytes)
+    });
+  }
+
+  write(stream, record) {
+    if (!this.enabled) return;
+
+    try {
+      const line = JSON.stringify(record) + '\n';
+      const bytes = Buffer.byteLength(line);
+      const target = this.getWritableFile(stream, bytes);
+      target.output.write(line);
+      target.bytes += bytes;
+    } catch (error) {
+      console.warn(`[LOGS] Failed to write ${stream} log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets the file to append a line to, starting a new one when the current file would grow past
+   * the size cap or was started on an earlier day
+   */
+  getWritableFile(stream, lineBytes) {
+    const now = new Date();
+    const today = now.toISOString().substring(0, 10);
+    const target = this.current[stream] || this.findLatestFile(stream);
+
+    if (target && target.day === today && (target.bytes === 0 || target.bytes + lineBytes <= this.maxFileBytes)) {
+      target.output = target.output || this.openOutput(target.file);
+      this.current[stream] = target;
+      return target;
+    }
+    if (target && target.output) {
+      this.flushing.set(target.file, target.bytes);
+      target.output.end(() => this.flushing.delete(target.file));
+    }
+
+    // Files started within the same millisecond get a counter so they still sort after the last one
+    const stamp = now.toISOString().replace(/[:.]/g, '-');
+    const latest = target && target.file.match(FILE_PATTERN);
+    const suffix = latest && latest[2] === stamp ? Number(latest[3] || 0) + 1 : 0;
+    const file = suffix ? `${stream}-${stamp}-${suffix}.jsonl` : `${stream}-${stamp}.jsonl`;
+    this.current[stream] = { file, bytes: 0, day: today, output: this.openOutput(file) };
+    this.enforceRetention();
+    return this.current[stream];
+  }
+
+  openOutput(file) {
+    // Opened up front so the file is on disk for retention and queries before the first write lands
+    const fd = fs.openSync(path.join(this.directory, file), 'a');
+    const output = fs.createWriteStream(null, { fd });
+    output.on('error', error => console.warn(`[LOGS] Failed to write ${file}: ${error.message}`));
+    return output;
+  }
+
+  /**
+   * Finishes writing everything appended so far and closes the files
+   */
+  async close() {
+    const outputs = Object.values(this.current).map(target => target.output).filter(output => output);
+    this.current = {};
+    await Promise.all(outputs.map(output => new Promise(resolve => {
+      output.once('close', resolve);
+      output.end();
+    })));
+  }
+
+  findLatestFile(stream) {
+    const file = this.listFiles(stream).pop();
+    if (!file) return null;
+
+    const day = file.match(FILE_PATTERN)[2].substring(0, 10);
+    return { file, bytes: fs.statSync(path.join(this.directory, file)).size, day, output: null };
+  }
+
+  /**
+   * @returns {string[]} Log file names of a stream (or every stream), oldest first
+   */
+  listFiles(stream = null) {
+    return fs.readdirSync(this.directory)
+      .filter(file => {
+        const match = file.match(FILE_PATTERN);
+        return match && (!stream || match[1] === stream);
+      })
+      .sort(compareFiles);
+  }
+
+  /**
+   * Deletes files past the retention period, then the oldest files until the directory fits its
+   * size cap. The files being appended to are kept; rotated files still being written count at
+   * the size appended to them.
+   */
+  enforceRetention() {
+    const active = new Set(Object.values(this.current).map(target => target.file));
+    const files = this.listFiles().map(file => {
+      const stat = fs.statSync(path.join(this.directory, file));
+      return { file, stat, size: Math.max(stat.size, this.flushing.get(file) || 0) };
+    });
+
+    let totalBytes = files.reduce((sum, { size }) => sum + size, 0);
+    for (const { file, stat, size } of files) {
+      if (active.has(file)) continue;
+
+      const expired = this.retentionMs > 0 && stat.mtimeMs < Date.now() - this.retentionMs;
+      const overCap = this.maxTotalBytes > 0 && totalBytes > this.maxTotalBytes;
+      if (!expired && !overCap) continue;
+
+      fs.unlinkSync(path.join(this.directory, file));
+      totalBytes -= size;
+      console.log(`[LOGS] Deleted ${file} (${expired ? 'past retention' : 'over size cap'})`);
+    }
+  }
+
+  /**
+   * Finds log entries, newest first. A search stops early once it has read maxScanBytes; the
+   * page then has fewer entries than the limit, and nextCursor continues where it stopped.
+   * @param {object} filters { provider, status, clientKey, since, until, text, cursor, limit } -
+   *   status is a code (429) or a class (4xx), since/until are times in ms, text is matched
+   *   case-insensitively anywhere in the entry, cursor is the nextCursor of the previous page
+   * @returns {Promise<object>} { entries, nextCursor } - nextCursor is null on the last page
+   * @throws {Error} If the cursor is malformed
+   */
+  async query(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 500);
+    if (!this.enabled) return { entries: [], nextCursor: null };
+
+    const start = filters.cursor ? decodeCursor(filters.cursor) : null;
+    const matches = this.buildMatcher(filters);
+    const needle = filters.text ? String(filters.text).toLowerCase() : null;
+    const entries = [];
+    let scannedBytes = 0;
+
+    for (const file of this.listFiles('requests').reverse()) {
+      // Files newer than the cursor's were read by earlier pages
+      if (start && compareFiles(file, start.file) > 0) continue;
+
+      const end = start && file === start.file ? start.offset : await this.getFileSize(file);
+      for await (const { line, start: lineStart } of this.readFileBackwards(file, end)) {
+        if (scannedBytes >= this.maxScanBytes) {
+          return { entries, nextCursor: encodeCursor({ file, offset: lineStart + Buffer.byteLength(line) }) };
+        }
+        scannedBytes += Buffer.byteLength(line) + 1;
+
+        // Most lines fail a text search, so check the raw line before parsing it
+        if (needle && !line.toLowerCase().includes(needle)) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue; // A line cut short by a crash
+        }
+        if (!matches(entry, line)) continue;
+
+        if (entries.length === limit) {
+          return { entries, nextCursor: encodeCursor({ file, offset: lineStart + Buffer.byteLength(line) }) };
+        }
+        entries.push(entry);
+      }
+    }
+
+    return { entries, nextCursor: null };
+  }
+
+  buildMatcher({ provider, status, clientKey, since, until, text }) {
+    const statusClass = status && /^[1-5]xx$/i.test(status) ? Number(status[0]) : null;
+    const needle = text ? String(text).toLowerCase() : null;
+
+    return (entry, line) => {
+      const time = Date.parse(entry.timestamp);
+      if (since && time < since) return false;
+      if (until && time > until) return false;
+      // Provider labels can name a fallback too: "groq → openrouter (coalesced with REQ-...)"
+      if (provider && !String(entry.provider).split(/[\s→()]+/).includes(provider)) return false;
+      if (status && (statusClass ? Math.floor(entry.status / 100) !== statusClass : String(entry.status) !== String(status))) return false;
+      if (clientKey && entry.clientKey !== clientKey) return false;
+      if (needle && !line.toLowerCase().includes(needle)) return false;
+      return true;
+    };
+  }
+
+  async getFileSize(file) {
+    try {
+      return (await fs.promises.stat(path.join(this.directory, file))).size;
+    } catch (error) {
+      return 0; // Deleted by retention in the meantime
+    }
+  }
+
+  async *readFileBackwards(file, end) {
+    try {
+      yield* readLinesBackwards(path.join(this.directory, file), end);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error; // Deleted by retention in the meantime
+    }
+  }
+
+  /**
+   * Looks up the stored details of a request, newest files first, reading at most maxScanBytes
+   * @returns {Promise<object|null>} The details appendResponse stored, or null
+   */
+  async getResponse(requestId) {
+    if (!this.enabled) return null;
+
+    const marker = `"requestId":${JSON.stringify(requestId)}`;
+    let scannedBytes = 0;
+    for (const file of this.listFiles('responses').reverse()) {
+      for await (const { line } of this.readFileBackwards(file, await this.getFileSize(file))) {
+        scannedBytes += Buffer.byteLength(line) + 1;
+        if (scannedBytes > this.maxScanBytes) return null;
+        if (!line.includes(marker)) continue;
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = RequestLog;
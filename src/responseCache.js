@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const { buildRequestKey } = require('./requestKey');
+
+// Upstream response headers worth replaying from the cache
+const CACHED_HEADERS = ['content-type'];
+
+function parseJson(body) {
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Caches upstream responses to deterministic requests (temperature 0 completions and embeddings)
+ * so repeated identical requests don't spend key quota. Entries live in memory (LRU, capped by
+ * count and size) and, when a directory is configured, in an on-disk LRU that survives restarts.
+ */
+class ResponseCache {
+  constructor(options = {}) {
+    this.enabled = Boolean(options.enabled);
+    this.ttlMs = (options.ttlSeconds !== undefined ? options.ttlSeconds : 3600) * 1000;
+    this.maxEntries = options.maxEntries || 1000;
+    this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+    this.directory = options.directory || null;
+    this.maxDiskBytes = options.maxDiskBytes || 500 * 1024 * 1024;
+
+    this.entries = new Map(); // Map of key -> entry, least recently used first
+    this.bytes = 0;
+    this.diskIndex = new Map(); // Map of key -> file size, least recently used first
+    this.diskBytes = 0;
+    this.pendingDiskWork = new Map(); // Map of key -> last queued disk operation on its file
+    this.stats = { hits: 0, misses: 0, bypassed: 0, stored: 0, evicted: 0 };
+
+    if (this.enabled && this.directory) {
+      this.loadDiskIndex();
+    }
+  }
+
+  /**
+   * Whether a request's answer only depends on the request: embeddings, and completions at
+   * temperature 0 that aren't streamed
+   * @param {string} method HTTP method
+   * @param {string} requestPath Upstream path
+   * @param {string} body Upstream request body
+   * @returns {boolean} True if the response may be cached
+   */
+  isCacheable(method, requestPath, body) {
+    if (method !== 'POST' || !body) return false;
+
+    const parsed = parseJson(body);
+    if (!parsed || typeof parsed !== 'object') return false;
+    if (/embed/i.test(requestPath)) return true;
+
+    if (parsed.stream === true || /streamGenerateContent/.test(requestPath)) return false;
+    const temperature = parsed.generationConfig ? parsed.generationConfig.temperature : parsed.temperature;
+    return temperature === 0;
+  }
+
+  /**
+   * @returns {string} Cache key for the provider, method, path and normalized body
+   */
+  buildKey(providerName, method, requestPath, body) {
+    return buildRequestKey([providerName, method, requestPath], body);
+  }
+
+  /**
+   * Looks up a cached response, from memory or disk
+   * @param {string} key Cache key
+   * @returns {Promise<object|null>} { response, providerName } or null on a miss
+   */
+  async get(key) {
+    let entry = this.entries.get(key) || await this.readFromDisk(key);
+
+    if (entry && Date.now() - entry.storedAt > this.ttlMs) {
+      this.delete(key);
+      entry = null;
+    }
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.remember(key, entry);
+    if (this.diskIndex.has(key)) {
+      const size = this.diskIndex.get(key);
+      this.diskIndex.delete(key);
+      this.diskIndex.set(key, size);
+    }
+
+    this.stats.hits++;
+    return {
+      response: { statusCode: entry.statusCode, headers: { ...entry.headers }, data: entry.data },
+      providerName: entry.providerName
+    };
+  }
+
+  /**
+   * Stores a successful, buffered response
+   * @param {string} key Cache key
+   * @param {object} response Upstream response ({ statusCode, headers, data })
+   * @param {string} providerName Provider that answered
+   */
+  set(key, response, providerName) {
+    if (response.stream || response.statusCode < 200 || response.statusCode >= 300 || typeof response.data !== 'string') {
+      return;
+    }
+
+    const headers = {};
+    for (const name of CACHED_HEADERS) {
+      if (response.headers && response.headers[name]) headers[name] = response.headers[name];
+    }
+
+    const entry = {
+      statusCode: response.statusCode,
+      headers,
+      data: response.data,
+      providerName,
+      storedAt: Date.now()
+    };
+    entry.size = Buffer.byteLength(entry.data);
+    if (entry.size > this.maxBytes) return;
+
+    this.remember(key, entry);
+    this.writeToDisk(key, entry);
+    this.stats.stored++;
+  }
+
+  recordBypass() {
+    this.stats.bypassed++;
+  }
+
+  remember(key, entry) {
+    if (this.entries.has(key)) {
+      this.bytes -= this.entries.get(key).size;
+      this.entries.delete(key);
+    }
+    this.entries.set(key, entry);
+    this.bytes += entry.size;
+
+    // Evict least recently used entries over the caps
+    for (const [oldKey, oldEntry] of this.entries) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.entries.delete(oldKey);
+      this.bytes -= oldEntry.size;
+      this.stats.evicted++;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.bytes -= entry.size;
+    }
+    this.deleteFromDisk(key);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+    for (const key of [...this.diskIndex.keys()]) {
+      this.deleteFromDisk(key);
+    }
+    console.log('[CACHE] Cleared');
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      ttlSeconds: Math.round(this.ttlMs / 1000),
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      disk: this.directory
+        ? { directory: this.directory, entries: this.diskIndex.size, bytes: this.diskBytes, maxBytes: this.maxDiskBytes }
+        : null
+    };
+  }
+
+  getFilePath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * Runs a disk operation after the ones already queued for the same file, so a delete can't
+   * overtake the write before it
+   * @param {string} key Cache key
+   * @param {Function} work Returns a promise that doesn't reject
+   */
+  queueDiskWork(key, work) {
+    const queued = (this.pendingDiskWork.get(key) || Promise.resolve()).then(work);
+    this.pendingDiskWork.set(key, queued);
+    queued.then(() => {
+      if (this.pendingDiskWork.get(key) === queued) this.pendingDiskWork.delete(key);
+    });
+  }
+
+  /**
+   * @returns {Promise} Resolves once every disk write and delete queued so far has finished
+   */
+  async flush() {
+    await Promise.all([...this.pendingDiskWork.values()]);
+  }
+
+  /**
+   * Lists the files already on disk, oldest access first, and trims them to the disk cap
+   */
+  loadDiskIndex() {
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      const files = fs.readdirSync(this.directory)
+        .filter(file => /^[0-9a-f]{64}\.json$/.test(file))
+        .map(file => ({ key: file.slice(0, -'.json'.length), stat: fs.statSync(path.join(this.directory, file)) }))
+        .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+
+      for (const { key, stat } of files) {
+        this.diskIndex.set(key, stat.size);
+        this.diskBytes += stat.size;
+      }
+      this.trimDisk();
+      console.log(`[CACHE] Found ${this.diskIndex.size} cached responses in ${this.directory}`);
+    } catch (error) {
+      console.warn(`[CACHE] Disk cache disabled, ${this.directory} is not usable: ${error.message}`);
+      this.directory = null;
+      this.diskIndex.clear();
+      this.diskBytes = 0;
+    }
+  }
+
+  async readFromDisk(key) {
+    if (!this.directory || !this.diskIndex.has(key)) return null;
+
+    const file = this.getFilePath(key);
+    try {
+      await this.pendingDiskWork.get(key); // A write still in progress
+      const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      const now = new Date();
+      // Keeps the LRU order across restarts
+      this.queueDiskWork(key, () => fs.promises.utimes(file, now, now).catch(() => {}));
+      return entry;
+    } catch (error) {
+      this.deleteFromDisk(key);
+      return null;
+    }
+  }
+
+  /**
+   * Writes an entry in the background. The index is updated right away; the file is written
+   * under a temporary name and renamed, so a read never sees half of it.
+   */
+  writeToDisk(key, entry) {
+    if (!this.directory) return;
+
+    const content = JSON.stringify(entry);
+    this.diskBytes -= this.diskIndex.get(key) || 0;
+    this.diskIndex.delete(key);
+    this.diskIndex.set(key, Buffer.byteLength(content));
+    this.diskBytes += Buffer.byteLength(content);
+
+    const file = this.getFilePath(key);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    this.queueDiskWork(key, () => fs.promises.writeFile(tempFile, content)
+      .then(() => fs.promises.rename(tempFile, file))
+      .catch((error) => {
+        // A read of the missing file drops it from the index
+        console.warn(`[CACHE] Failed to write cached response to disk: ${error.message}`);
+      }));
+    this.trimDisk();
+  }
+
+  deleteFromDisk(key) {
+    if (!this.diskIndex.has(key)) return;
+
+    this.diskBytes -= this.diskIndex.get(key);
+    this.diskIndex.delete(key);
+    const file = this.getFilePath(key);
+    this.queueDiskWork(key, () => fs.promises.unlink(file).catch(() => {
+      // Already gone
+    }));
+  }
+
+  trimDisk() {
+    for (const key of [...this.diskIndex.keys()]) {
+      if (this.diskBytes <= this.maxDiskBytes) break;
+      this.deleteFromDisk(key);
+      this.stats.evicted++;
+    }
+  }
+}
+
+module.exports = ResponseCache;
@@ -3,6 +3,29 @@ const { URL } = require('url');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const KeyStateStore = require('./keyStateStore');
+const ClientKeyStore = require('./clientKeyStore');
+const ClientLimiter = require('./clientLimiter');
+const { extractTokenUsage } = require('./usageUtils');
+const { checkPolicy, extractModel } = require('./modelPolicy');
+const UsageStore = require('./usageStore');
+const PriceTable = require('./priceTable');
+const RequestLog = require('./requestLog');
+const openaiFacade = require('./openaiFacade');
+const geminiFacade = require('./geminiFacade');
+const { providerRegistry } = require('./providerRegistry');
+const { UpstreamError } = require('./networkUtils');
+const { StreamUsageCapture } = require('./streamUtils');
+const CircuitBreaker = require('./circuitBreaker');
+const ResponseCache = require('./responseCache');
+const SingleFlight = require('./singleFlight');
+const { buildRequestKey } = require('./requestKey');
+const { safeEqual } = require('./authUtils');
+const { MetricsRegistry, normalizeRoute } = require('./metrics');
+
+// Names the legacy clients' key state and metrics go by, apart from providers named gemini or openai
+// (provider names come from environment variable names, so they can't contain a colon)
+const LEGACY_CLIENT_NAMES = { gemini: 'legacy:gemini', openai: 'legacy:openai' };
 
 class ProxyServer {
   constructor(config, geminiClient = null, openaiClient = null) {
@@ -12,8 +35,12 @@ class ProxyServer {
     this.providerClients = new Map(); // Map of provider_name -> client instance
     this.server = null;
     this.adminSessionToken = null;
-    this.logBuffer = []; // Store logs in RAM only (last 100 entries)
-    this.responseStorage = new Map(); // Store response data for viewing
+    this.logBuffer = []; // Last 100 entries, in-flight requests included
+    this.responseStorage = new Map(); // Last 100 response details, for quick lookups
+    this.maxStoredStreamBytes = 64 * 1024; // Cap on streamed bodies kept for the logs
+
+    // Translators that let callers speak one API format to a provider of the other type
+    this.facades = { openai: openaiFacade, gemini: geminiFacade };
 
     // Rate limiting for login
     this.failedLoginAttempts = 0;
@@ -21,8 +48,84 @@ class ProxyServer {
 
     // Store required classes for reinitialization
     this.KeyRotator = require('./keyRotator');
-    this.GeminiClient = require('./geminiClient');
-    this.OpenAIClient = require('./openaiClient');
+
+    // API types (built in and from plugins) and how to talk to each
+    this.providerRegistry = providerRegistry;
+
+    // One breaker per upstream base URL, shared by the providers that use it
+    this.circuitBreakers = new Map(); // Map of base URL -> CircuitBreaker
+
+    // Answers repeated deterministic requests without spending key quota (opt-in)
+    this.responseCache = new ResponseCache(this.config.getResponseCacheOptions());
+
+    // Identical non-streaming requests in flight to a coalescing provider share one upstream call
+    this.singleFlight = new SingleFlight();
+
+    // Named access keys for the proxy's clients, managed in the admin panel
+    this.clientKeyStore = new ClientKeyStore(this.config.getClientKeysFile());
+    this.clientLimiter = new ClientLimiter(this.config.getClientUsageFile());
+
+    // Token usage per upstream key, provider, model and client, saved with the key state
+    this.usageStore = new UsageStore(this.config.getUsageFile());
+    this.priceTable = new PriceTable(this.config.getPricesFile());
+
+    // Finished requests and their response details, kept on disk for the admin panel's log search
+    this.requestLog = new RequestLog(this.config.getRequestLogOptions());
+
+    // Prometheus metrics, scraped from /metrics
+    this.metrics = this.createMetrics();
+
+    // Key state survives restarts and client reinitialization
+    this.keyStateStore = new KeyStateStore(this.config.getKeyStateFile());
+    this.keyStateSaveInterval = 10000;
+    this.keyStateTimer = null;
+    this.restoreKeyState(LEGACY_CLIENT_NAMES.gemini, this.geminiClient);
+    this.restoreKeyState(LEGACY_CLIENT_NAMES.openai, this.openaiClient);
+    this.watchKeyRotator(LEGACY_CLIENT_NAMES.gemini, this.geminiClient);
+    this.watchKeyRotator(LEGACY_CLIENT_NAMES.openai, this.openaiClient);
+  }
+
+  /**
+   * Defines the metrics served on /metrics. Key gauges are read from the live rotators at scrape time.
+   */
+  createMetrics() {
+    const registry = new MetricsRegistry('key_rotator_');
+    const gaugeOverRotators = (count) => () => this.getKeyRotators()
+      .map(([providerName, keyRotator]) => ({ labels: { provider: providerName }, value: count(keyRotator) }));
+
+    const metrics = {
+      registry,
+      requests: registry.counter('requests_total', 'API requests by provider, route and response status', ['provider', 'route', 'status']),
+      duration: registry.histogram('request_duration_seconds', 'Time until API responses, streams included, were finished', ['provider', 'route']),
+      rotations: registry.counter('key_rotations_total', 'Times a request moved on to another key', ['provider']),
+      keyFailures: registry.counter('key_failures_total', 'Failed upstream attempts per key, by status code or network error', ['provider', 'key', 'reason']),
+      quarantines: registry.counter('key_quarantines_total', 'Keys taken out of rotation after the upstream rejected them', ['provider', 'key']),
+      networkErrors: registry.counter('upstream_network_errors_total', 'Upstream connection failures and timeouts', ['provider', 'type'])
+    };
+    registry.gauge('keys_in_cooldown', 'Keys resting after a rate limit', ['provider'], gaugeOverRotators(keyRotator => keyRotator.getActiveCooldowns().size));
+    registry.gauge('keys_quarantined', 'Keys out of rotation until restored', ['provider'], gaugeOverRotators(keyRotator => keyRotator.quarantined.size));
+    registry.gauge('keys_total', 'Configured keys', ['provider'], gaugeOverRotators(keyRotator => keyRotator.getTotalKeysCount()));
+    return metrics;
+  }
+
+  /**
+   * Counts a client's key rotations, key failures and quarantines in the metrics
+   */
+  watchKeyRotator(providerName, client) {
+    if (!client) return;
+
+    client.keyRotator.onEvent = (type, maskedKey, detail) => {
+      if (type === 'rotation') {
+        this.metrics.rotations.inc({ provider: providerName });
+      } else if (type === 'quarantine') {
+        this.metrics.quarantines.inc({ provider: providerName, key: maskedKey });
+      } else if (type === 'failure') {
+        this.metrics.keyFailures.inc({ provider: providerName, key: maskedKey, reason: detail.reason });
+        if (detail.reason === 'timeout' || detail.reason === 'connection') {
+          this.metrics.networkErrors.inc({ provider: providerName, type: detail.reason });
+        }
+      }
+    };
   }
 
   start() {
@@ -30,6 +133,9 @@ class ProxyServer {
       this.handleRequest(req, res);
     });
 
+    this.keyStateTimer = setInterval(() => this.saveKeyState(), this.keyStateSaveInterval);
+    this.keyStateTimer.unref();
+
     this.server.listen(this.config.getPort(), () => {
       console.log(`Multi-API proxy server running on port ${this.config.getPort()}`);
       
@@ -60,9 +166,12 @@ class ProxyServer {
     const requestId = Math.random().toString(36).substring(2, 11);
     const clientIp = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
     const startTime = Date.now();
+    let requestFormat = null; // The API format the caller speaks, once the route is known
+    let clientLabel = null; // Label of the client key the caller authenticated with
+    let clientSlot = null; // Client key ID holding one of its concurrent request slots
     
     // Only log to file for API calls, always log to console
-    const isApiCall = this.parseRoute(req.url) !== null;
+    const isApiCall = this.parseRoute(req.url) !== null || this.isUnifiedPath(req.url);
     console.log(`[REQ-${requestId}] ${req.method} ${req.url} from ${clientIp}`);
     
     try {
@@ -116,6 +225,18 @@ class ProxyServer {
         return;
       }
 
+      // Liveness and circuit breaker state for load balancers and monitoring
+      if (req.method === 'GET' && req.url.split('?')[0] === '/health') {
+        this.handleHealth(res);
+        return;
+      }
+
+      // Prometheus scrapes with its own token rather than the admin session
+      if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+        this.handleMetrics(req, res);
+        return;
+      }
+
       // Handle common browser requests that aren't API calls
       if (req.url === '/favicon.ico' || req.url === '/robots.txt') {
         res.writeHead(404, { 'Content-Type': 'text/plain' });
@@ -123,7 +244,32 @@ class ProxyServer {
         return;
       }
       
-      const routeInfo = this.parseRoute(req.url);
+      // Unified endpoints list the model aliases instead of proxying
+      if (req.method === 'GET' && this.isUnifiedModelList(req.url)) {
+        this.sendUnifiedModelList(req, res);
+        return;
+      }
+
+      // Every API request is counted once its response has ended, however it ended
+      const metricLabels = { provider: 'unknown', route: 'unmatched' };
+      res.once('close', () => {
+        this.metrics.requests.inc({ ...metricLabels, status: res.statusCode });
+        this.metrics.duration.observe(metricLabels, (Date.now() - startTime) / 1000);
+      });
+
+      const routeInfo = this.parseRoute(req.url) || this.parseAliasRoute(req.url, body);
+
+      if (routeInfo && routeInfo.error) {
+        console.log(`[REQ-${requestId}] Response: ${routeInfo.statusCode} - ${routeInfo.error}`);
+
+        if (isApiCall) {
+          const responseTime = Date.now() - startTime;
+          this.logApiRequest(requestId, req.method, req.url, 'unknown', routeInfo.statusCode, responseTime, routeInfo.error, clientIp);
+        }
+
+        this.sendError(res, routeInfo.statusCode, routeInfo.error);
+        return;
+      }
       
       if (!routeInfo) {
         console.log(`[REQ-${requestId}] Invalid path: ${req.url}`);
@@ -139,18 +285,25 @@ class ProxyServer {
       }
 
       const { providerName, apiType, path, provider, legacy } = routeInfo;
+      // Alias routes carry a body with the model already rewritten
+      let upstreamBody = routeInfo.body !== undefined ? routeInfo.body : body;
+      if (routeInfo.alias) {
+        console.log(`[REQ-${requestId}] Model alias '${routeInfo.alias}' → ${providerName}:${routeInfo.model}`);
+      }
       console.log(`[REQ-${requestId}] Proxying to provider '${providerName}' (${apiType.toUpperCase()}): ${path}`);
 
+      // The format the caller speaks, which differs from the provider's behind a facade
+      requestFormat = routeInfo.facade || apiType;
+
       // Get the appropriate header based on API type
-      const authHeader = apiType === 'gemini'
-        ? req.headers['x-goog-api-key']
-        : req.headers['authorization'];
+      const authHeader = this.getAuthHeader(req.headers, requestFormat);
 
       // Parse custom status codes and access key from header
       const customStatusCodes = this.parseStatusCodesFromAuth(authHeader);
 
-      // Validate ACCESS_KEY for this provider
-      if (!this.validateAccessKey(providerName, authHeader)) {
+      // Validate ACCESS_KEY or client key for this provider
+      const access = this.authenticateClient(providerName, authHeader);
+      if (!access.allowed) {
         console.log(`[REQ-${requestId}] Response: 401 Unauthorized - Invalid or missing ACCESS_KEY for provider '${providerName}'`);
 
         if (isApiCall) {
@@ -158,25 +311,68 @@ class ProxyServer {
           this.logApiRequest(requestId, req.method, path, providerName, 401, responseTime, 'Invalid or missing ACCESS_KEY', clientIp);
         }
 
-        this.sendError(res, 401, `Invalid or missing ACCESS_KEY for provider '${providerName}'`);
+        this.sendProviderError(res, requestFormat, 401, `Invalid or missing ACCESS_KEY for provider '${providerName}'`);
         return;
       }
       
+      // Labelled only once access is granted, so unauthenticated callers can't add series
+      metricLabels.provider = providerName;
+      metricLabels.route = normalizeRoute(path);
+
+      if (access.clientKey) {
+        clientLabel = access.clientKey.label;
+        console.log(`[REQ-${requestId}] Client key: ${clientLabel}`);
+      }
+
+      // The client key may restrict models and cap parameters like max_tokens
+      const policyViolation = access.clientKey ? checkPolicy(access.clientKey.policy, path, upstreamBody) : null;
+      if (policyViolation) {
+        const message = `${policyViolation} for client key '${clientLabel}'`;
+        console.log(`[REQ-${requestId}] Response: 403 Forbidden - ${message}`);
+
+        if (isApiCall) {
+          const responseTime = Date.now() - startTime;
+          this.logApiRequest(requestId, req.method, path, providerName, 403, responseTime, message, clientIp, clientLabel);
+        }
+
+        this.sendProviderError(res, requestFormat, 403, message);
+        return;
+      }
+
+      // Per-client limits are enforced before anything goes upstream
+      const clientKeyId = access.clientKey ? access.clientKey.id : null;
+      if (clientKeyId) {
+        const rejection = this.clientLimiter.tryAcquire(clientKeyId, access.clientKey.limits);
+        if (rejection) {
+          console.log(`[REQ-${requestId}] Response: 429 Too Many Requests - ${rejection.message} for client '${clientLabel}'`);
+
+          if (isApiCall) {
+            const responseTime = Date.now() - startTime;
+            this.logApiRequest(requestId, req.method, path, providerName, 429, responseTime, rejection.message, clientIp, clientLabel);
+          }
+
+          const retryAfter = Math.max(1, Math.ceil(rejection.retryAfterMs / 1000));
+          this.sendProviderError(res, requestFormat, 429, rejection.message, { 'Retry-After': String(retryAfter) });
+          return;
+        }
+        clientSlot = clientKeyId;
+      }
+
       // Log the initial request
       if (isApiCall) {
-        this.logApiRequest(requestId, req.method, path, providerName, null, null, null, clientIp);
+        this.logApiRequest(requestId, req.method, path, providerName, null, null, null, clientIp, clientLabel);
       }
 
       // Clean the auth header before passing to API
       const headers = this.extractRelevantHeaders(req.headers, apiType);
-      if (authHeader) {
+      const definition = this.providerRegistry.get(apiType);
+      if (authHeader && definition) {
         const cleanedAuth = this.cleanAuthHeader(authHeader);
         if (cleanedAuth) {
-          if (apiType === 'gemini') {
-            headers['x-goog-api-key'] = cleanedAuth;
-          } else {
-            headers['authorization'] = cleanedAuth;
-          }
+          // Facade callers send their own upstream key in their format's header
+          headers[definition.authHeader] = routeInfo.facade
+            ? definition.formatKey(cleanedAuth.replace(/^Bearer\s+/i, ''))
+            : cleanedAuth;
         }
         // Important: don't set undefined/null as it would override the client's API key
       }
@@ -190,10 +386,10 @@ class ProxyServer {
 
         if (isApiCall) {
           const responseTime = Date.now() - startTime;
-          this.logApiRequest(requestId, req.method, path, providerName, 503, responseTime, `Provider '${providerName}' not configured`, clientIp);
+          this.logApiRequest(requestId, req.method, path, providerName, 503, responseTime, `Provider '${providerName}' not configured`, clientIp, clientLabel);
         }
 
-        this.sendError(res, 503, `Provider '${providerName}' not configured`);
+        this.sendProviderError(res, requestFormat, 503, `Provider '${providerName}' not configured`);
         return;
       }
 
@@ -202,30 +398,233 @@ class ProxyServer {
         console.log(`[REQ-${requestId}] Using custom status codes for rotation: ${Array.from(customStatusCodes).join(', ')}`);
       }
 
-      response = await client.makeRequest(req.method, path, body, headers, customStatusCodes);
+      // Translate facade requests into the provider's own API
+      let upstreamMethod = req.method;
+      let upstreamPath = path;
+      const facade = routeInfo.facade ? this.facades[routeInfo.facade] : null;
+      let facadeRequest = null;
+      if (facade) {
+        facadeRequest = facade.translateRequest(req.method, path, upstreamBody);
+        if (facadeRequest.error) {
+          console.log(`[REQ-${requestId}] Response: ${facadeRequest.statusCode} - ${facadeRequest.error}`);
+
+          if (isApiCall) {
+            const responseTime = Date.now() - startTime;
+            this.logApiRequest(requestId, req.method, path, providerName, facadeRequest.statusCode, responseTime, facadeRequest.error, clientIp, clientLabel);
+          }
+
+          this.sendResponse(res, facade.formatError(facadeRequest.statusCode, facadeRequest.error));
+          return;
+        }
+
+        console.log(`[REQ-${requestId}] ${routeInfo.facade.toUpperCase()} facade: ${req.method} ${path} → ${facadeRequest.method} ${facadeRequest.path}`);
+        upstreamMethod = facadeRequest.method;
+        upstreamPath = facadeRequest.path;
+        upstreamBody = facadeRequest.body;
+      }
+
+      // Deterministic requests may be answered from the response cache; [NO_CACHE] skips it, and so
+      // do callers using their own upstream key, since a cached answer would never check that key
+      let served = null;
+      let cacheStatus = null;
+      let cacheKey = null;
+      if (this.responseCache.enabled && this.responseCache.isCacheable(upstreamMethod, upstreamPath, upstreamBody)) {
+        const callerSuppliedKey = this.providerRegistry.getAuthHeaders().some(header => headers[header]);
+        if (this.hasNoCacheDirective(authHeader) || callerSuppliedKey) {
+          cacheStatus = 'BYPASS';
+          this.responseCache.recordBypass();
+        } else {
+          cacheKey = this.responseCache.buildKey(providerName, upstreamMethod, upstreamPath, upstreamBody);
+          const cached = await this.responseCache.get(cacheKey);
+          if (cached) {
+            console.log(`[REQ-${requestId}] Response cache hit`);
+            served = { response: cached.response, client, providerName: cached.providerName };
+          }
+          cacheStatus = cached ? 'HIT' : 'MISS';
+        }
+      }
+
+      let coalescedWith = null;
+      let accounting = null;
+      if (!served) {
+        const sendUpstream = () => this.makeRequestWithFallback(requestId, providerName, client, apiType, upstreamMethod, upstreamPath, upstreamBody, headers, customStatusCodes);
+        const coalesceKey = this.getCoalesceKey(providerName, upstreamMethod, upstreamPath, upstreamBody, headers, customStatusCodes);
+
+        if (coalesceKey) {
+          const flight = await this.singleFlight.run(coalesceKey, requestId, sendUpstream);
+          if (flight.shared && flight.value.response.stream) {
+            // A stream can only be read once - this request goes upstream on its own
+            served = await sendUpstream();
+          } else {
+            // Each request gets its own copy, since response headers are set per request
+            served = this.copyServed(flight.value);
+          }
+
+          if (flight.shared && !served.response.stream) {
+            coalescedWith = flight.leaderId;
+            console.log(`[REQ-${requestId}] Coalesced with in-flight request REQ-${flight.leaderId}`);
+          } else if (flight.followers > 0) {
+            console.log(`[REQ-${requestId}] Response shared with ${flight.followers} coalesced request(s)`);
+          }
+        } else {
+          served = await sendUpstream();
+        }
+
+        if (cacheKey && !coalescedWith) {
+          this.responseCache.set(cacheKey, served.response, served.providerName);
+        }
+
+        // Only tokens actually spent upstream go in the usage totals, but a coalesced request's
+        // client still pays the shared response's tokens and cost towards its own quotas
+        if (coalescedWith) {
+          accounting = this.chargeCoalescedRequest(served, access.clientKey);
+        } else {
+          accounting = this.trackTokenUsage(served, access.clientKey, headers);
+        }
+      }
+      response = served.response;
+      if (facadeRequest) {
+        response = facade.translateResponse(facadeRequest, response);
+      }
+
+      // Tell the caller which provider answered, since a fallback may have taken over
+      response.headers = { ...response.headers, 'x-proxy-provider': served.providerName };
+      if (cacheStatus) {
+        response.headers['x-proxy-cache'] = cacheStatus;
+      }
+      if (coalescedWith) {
+        response.headers['x-proxy-coalesced'] = `REQ-${coalescedWith}`;
+      }
+      let providerLabel = served.providerName === providerName ? providerName : `${providerName} → ${served.providerName}`;
+      if (coalescedWith) {
+        providerLabel += ` (coalesced with REQ-${coalescedWith})`;
+      }
+
+      // Event streams are piped to the client as they arrive, so log them once they finish
+      if (response.stream) {
+        console.log(`[REQ-${requestId}] Streaming response (${response.statusCode}) to client`);
+        response.data = await this.pipeStreamResponse(res, response, requestFormat, served.client.streamStallTimeout);
+      }
       
       // Log the successful response
       if (isApiCall) {
         const responseTime = Date.now() - startTime;
         const error = response.statusCode >= 400 ? `HTTP ${response.statusCode}` : null;
-        this.logApiRequest(requestId, req.method, path, providerName, response.statusCode, responseTime, error, clientIp);
+        const cost = accounting ? accounting.cost : null;
+        this.logApiRequest(requestId, req.method, path, providerLabel, response.statusCode, responseTime, error, clientIp, clientLabel, cost);
       }
       
       this.logApiResponse(requestId, response, body);
-      this.sendResponse(res, response);
+      if (!response.stream) {
+        this.sendResponse(res, response);
+      }
     } catch (error) {
+      // Upstream timeouts (504) and connection failures (502) say what happened; anything else is our fault
+      const statusCode = error instanceof UpstreamError ? error.statusCode : 500;
       console.log(`[REQ-${requestId}] Request handling error: ${error.message}`);
-      console.log(`[REQ-${requestId}] Response: 500 Internal Server Error`);
+      console.log(`[REQ-${requestId}] Response: ${statusCode} ${statusCode === 500 ? 'Internal Server Error' : error.message}`);
       
       if (isApiCall) {
         const responseTime = Date.now() - startTime;
-        this.logApiRequest(requestId, req.method, req.url, 'unknown', 500, responseTime, error.message, clientIp);
+        this.logApiRequest(requestId, req.method, req.url, 'unknown', statusCode, responseTime, error.message, clientIp, clientLabel);
       }
       
-      this.sendError(res, 500, 'Internal server error');
+      // A stream that already started can't switch to an error response
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+
+      if (statusCode === 500) {
+        this.sendError(res, 500, 'Internal server error');
+      } else {
+        this.sendProviderError(res, requestFormat, statusCode, error.message);
+      }
+    } finally {
+      if (clientSlot) {
+        this.clientLimiter.release(clientSlot);
+      }
     }
   }
 
+  /**
+   * Reads the tokens an upstream response reported - once a stream has finished, if it is one -
+   * estimates their cost from the price table, and records both in the usage totals and against
+   * the client key's daily quotas
+   * @param {object} served { response, providerName, request } from makeRequestWithFallback
+   * @param {object|null} clientKey The client key the caller authenticated with
+   * @param {object} headers Headers sent upstream
+   * @returns {object|null} { usage, cost }, filled in once the usage is known (null for errors)
+   */
+  trackTokenUsage(served, clientKey, headers) {
+    const { response, request } = served;
+    if (response.statusCode >= 400) return null;
+
+    const callerSuppliedKey = this.providerRegistry.getAuthHeaders().some(header => headers[header]);
+    const record = {
+      key: callerSuppliedKey ? 'caller-supplied' : response.keyMask,
+      provider: served.providerName,
+      model: this.getRequestModel(request),
+      client: clientKey ? clientKey.label : null
+    };
+
+    const accounting = { usage: null, cost: null };
+    const recordUsage = (usage) => {
+      accounting.usage = usage;
+      accounting.cost = this.priceTable.estimateCost(record.model, usage);
+      this.usageStore.record({ ...record, usage, cost: accounting.cost });
+      if (clientKey && clientKey.id) {
+        this.clientLimiter.recordTokenUsage(clientKey.id, usage, accounting.cost);
+      }
+    };
+
+    if (!response.stream) {
+      recordUsage(extractTokenUsage(response.data));
+      return accounting;
+    }
+
+    const onStreamEnd = response.onStreamEnd;
+    response.onStreamEnd = (tail) => {
+      if (onStreamEnd) onStreamEnd(tail);
+      recordUsage(extractTokenUsage(tail));
+    };
+    return accounting;
+  }
+
+  /**
+   * Charges a coalesced request's client key for the response it shared: the tokens and estimated
+   * cost of the request that went upstream count towards the client's daily quotas, without
+   * being added to the usage totals a second time
+   * @param {object} served The shared { response, providerName, request }
+   * @param {object|null} clientKey The client key the caller authenticated with
+   * @returns {object|null} { usage, cost }, or null for errors
+   */
+  chargeCoalescedRequest(served, clientKey) {
+    const { response, request } = served;
+    if (response.statusCode >= 400) return null;
+
+    const usage = extractTokenUsage(response.data);
+    const cost = this.priceTable.estimateCost(this.getRequestModel(request), usage);
+    if (clientKey && clientKey.id) {
+      this.clientLimiter.recordTokenUsage(clientKey.id, usage, cost);
+    }
+    return { usage, cost };
+  }
+
+  /**
+   * @param {object} request The { path, body } sent upstream
+   * @returns {string|null} The model the request was for
+   */
+  getRequestModel(request) {
+    let parsedBody = null;
+    try {
+      parsedBody = JSON.parse(request.body);
+    } catch (error) {
+      // No JSON body - the model can only be in the path
+    }
+    return extractModel(request.path, parsedBody);
+  }
+
   readRequestBody(req) {
     return new Promise((resolve) => {
       let body = '';
@@ -256,12 +655,12 @@ class ProxyServer {
         // Extract the API path after /{provider}
         const apiPath = '/' + pathParts.slice(1).join('/') + urlObj.search;
 
-        return {
+        return this.withFacade({
           providerName: providerName,
           apiType: provider.apiType,
           path: apiPath, // Use path as-is, no adjustment needed
           provider: provider
-        };
+        });
       }
     }
     
@@ -269,29 +668,51 @@ class ProxyServer {
     if (path.startsWith('/gemini/')) {
       const geminiPath = path.substring(7); // Remove '/gemini'
 
-      return {
+      return this.withFacade({
         providerName: 'gemini',
         apiType: 'gemini',
         path: geminiPath + urlObj.search,
         legacy: true
-      };
+      });
     }
     
     // Backward compatibility - Legacy OpenAI routes: /openai/*
     if (path.startsWith('/openai/')) {
       const openaiPath = path.substring(7); // Remove '/openai'
 
-      return {
+      return this.withFacade({
         providerName: 'openai',
         apiType: 'openai',
         path: openaiPath + urlObj.search,
         legacy: true
-      };
+      });
     }
     
     return null;
   }
 
+  /**
+   * Gemini providers also take OpenAI-format requests under /{provider}/openai/*, and
+   * OpenAI-type providers take Gemini-format requests under /{provider}/gemini/*
+   * Marks such routes for translation and strips the format prefix from the path
+   */
+  withFacade(routeInfo) {
+    const match = routeInfo.path.match(/^\/(openai|gemini)(\/.*)$/);
+    if (!match || !this.getFacade(match[1], routeInfo.apiType)) return routeInfo;
+
+    return { ...routeInfo, path: match[2], facade: match[1] };
+  }
+
+  /**
+   * Finds the translator for requests in one API format sent to a provider of another type
+   * @param {string} requestFormat API format the caller speaks
+   * @param {string} apiType The provider's API type
+   * @returns {object|null} The facade module, or null if there is none for this pair
+   */
+  getFacade(requestFormat, apiType) {
+    const facade = this.facades[requestFormat];
+    return facade && facade.providerApiType === apiType ? facade : null;
+  }
 
   async getProviderClient(providerName, provider, legacy = false) {
     // Handle legacy clients
@@ -315,18 +736,17 @@ class ProxyServer {
       return null;
     }
 
-    try {
-      const keyRotator = new this.KeyRotator(provider.keys, provider.apiType);
-      let client;
+    const definition = this.providerRegistry.get(provider.apiType);
+    if (!definition) {
+      return null;
+    }
 
-      if (provider.apiType === 'openai') {
-        client = new this.OpenAIClient(keyRotator, provider.baseUrl);
-      } else if (provider.apiType === 'gemini') {
-        client = new this.GeminiClient(keyRotator, provider.baseUrl);
-      } else {
-        return null;
-      }
+    try {
+      const keyRotator = new this.KeyRotator(provider.keys, provider.apiType, this.config.getKeyRotatorOptions(providerName));
+      const client = definition.createClient(keyRotator, provider.baseUrl, this.config.getClientOptions(providerName));
 
+      this.restoreKeyState(providerName, client);
+      this.watchKeyRotator(providerName, client);
       this.providerClients.set(providerName, client);
       console.log(`[SERVER] Created client for provider '${providerName}' (${provider.apiType})`);
       return client;
@@ -336,6 +756,281 @@ class ProxyServer {
     }
   }
 
+  /**
+   * Checks if a URL is on one of the unified endpoints that route by model alias:
+   * /v1/* for OpenAI-style requests and /v1beta/models/* for Gemini-style requests.
+   * A provider that happens to be named v1 or v1beta keeps its own routes.
+   * @param {string} url Request URL
+   * @returns {boolean} True for unified endpoint URLs
+   */
+  isUnifiedPath(url) {
+    if (!url) return false;
+
+    const path = new URL(url, 'http://localhost').pathname;
+    const prefix = path.split('/')[1];
+    return (prefix === 'v1' || prefix === 'v1beta') && !this.config.getProvider(prefix);
+  }
+
+  isUnifiedModelList(url) {
+    if (!this.isUnifiedPath(url)) return false;
+
+    const path = new URL(url, 'http://localhost').pathname.replace(/\/$/, '');
+    return path === '/v1/models' || path === '/v1beta/models';
+  }
+
+  /**
+   * Lists the model aliases in OpenAI format (/v1/models) or Gemini format (/v1beta/models)
+   * Aliases of providers protected by an access key are only listed for callers that send it
+   */
+  sendUnifiedModelList(req, res) {
+    const authHeader = this.providerRegistry.getAuthHeaders().map(header => req.headers[header]).find(Boolean);
+    const aliases = [...this.config.getModelAliases().entries()]
+      .filter(([alias, target]) => this.validateAccessKey(target.providerName, authHeader));
+    const path = new URL(req.url, 'http://localhost').pathname;
+    let payload;
+
+    if (path.startsWith('/v1beta')) {
+      payload = {
+        models: aliases.map(([alias, target]) => ({
+          name: `models/${alias}`,
+          displayName: alias,
+          description: `Alias for ${target.providerName}:${target.model}`
+        }))
+      };
+    } else {
+      payload = {
+        object: 'list',
+        data: aliases.map(([alias, target]) => ({
+          id: alias,
+          object: 'model',
+          created: 0,
+          owned_by: target.providerName
+        }))
+      };
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  /**
+   * Routes a unified endpoint request to the provider and model its alias points at.
+   * OpenAI-style and Anthropic-style (/v1/messages) requests name the model in the JSON body;
+   * Gemini-style requests in the path (/v1beta/models/{model}:{method}).
+   * @param {string} url Request URL
+   * @param {string} body Request body
+   * @returns {object|null} Route info with the rewritten path and body, an { error, statusCode }
+   *   object for unknown aliases, or null if the URL isn't a unified endpoint
+   */
+  parseAliasRoute(url, body) {
+    if (!this.isUnifiedPath(url)) return null;
+
+    const urlObj = new URL(url, 'http://localhost');
+    const geminiMatch = urlObj.pathname.match(/^\/v1(?:beta)?\/models\/([^/:]+)(:.*)$/);
+    let requestType;
+    let model;
+    let parsedBody = null;
+
+    if (geminiMatch) {
+      requestType = 'gemini';
+      model = decodeURIComponent(geminiMatch[1]);
+    } else {
+      // Anthropic's Messages API also names the model in the body
+      requestType = /^\/v1\/messages(\/|$)/.test(urlObj.pathname) ? 'anthropic' : 'openai';
+      try {
+        parsedBody = JSON.parse(body);
+      } catch (error) {
+        parsedBody = null;
+      }
+      model = parsedBody && typeof parsedBody.model === 'string' ? parsedBody.model : null;
+      if (!model) {
+        return { error: 'Requests to the unified endpoint need a "model" naming a model alias', statusCode: 400 };
+      }
+    }
+
+    const target = this.config.getModelAlias(model);
+    if (!target) {
+      return { error: `Unknown model alias '${model}'`, statusCode: 404 };
+    }
+
+    const provider = this.config.getProvider(target.providerName);
+    if (!provider) {
+      return { error: `Model alias '${model}' points to provider '${target.providerName}', which is not configured`, statusCode: 503 };
+    }
+    // Requests in the other provider type's format go through a facade
+    const facade = this.getFacade(requestType, provider.apiType) ? requestType : null;
+    if (provider.apiType !== requestType && !facade) {
+      return { error: `Model alias '${model}' points to a ${provider.apiType} provider and can't serve ${requestType}-style requests`, statusCode: 400 };
+    }
+
+    let path;
+    let rewrittenBody = body;
+    if (requestType === 'gemini') {
+      path = `/models/${target.model}${geminiMatch[2]}${urlObj.search}`;
+    } else {
+      path = urlObj.pathname.substring('/v1'.length) + urlObj.search;
+      rewrittenBody = JSON.stringify({ ...parsedBody, model: target.model });
+    }
+
+    return {
+      providerName: target.providerName,
+      apiType: provider.apiType,
+      path,
+      provider,
+      body: rewrittenBody,
+      alias: model,
+      model: target.model,
+      facade
+    };
+  }
+
+  /**
+   * Sends a request to a provider and, if it can't serve it (every key rate limited, upstream
+   * failing), retries the same request down the provider's fallback chain in order
+   * @returns {Promise<object>} { response, client, providerName } for the provider that answered last
+   */
+  async makeRequestWithFallback(requestId, providerName, client, apiType, method, path, body, headers, customStatusCodes) {
+    // A caller using their own upstream key can't have it sent to a different provider
+    const callerSuppliedKey = this.providerRegistry.getAuthHeaders().some(header => headers[header]);
+    const chain = callerSuppliedKey ? [] : this.config.getFallbackChain(providerName);
+    const candidates = [{ providerName, client, modelMap: null }, ...chain];
+
+    let result = null;
+    let lastError = null;
+
+    for (let i = 0; i < candidates.length; i++) {
+      const candidate = candidates[i];
+      const candidateClient = candidate.client || await this.getProviderClient(candidate.providerName, candidate.provider);
+      if (!candidateClient) continue;
+
+      const request = i === 0 ? { path, body } : this.mapFallbackModel(apiType, path, body, candidate.modelMap);
+      if (i > 0) {
+        console.log(`[REQ-${requestId}] Falling back to provider '${candidate.providerName}'`);
+      }
+
+      // Fail fast while the upstream is known to be down
+      const breaker = this.getCircuitBreaker(candidateClient.baseUrl);
+      if (!breaker.allowRequest()) {
+        const retryIn = Math.max(1, Math.ceil(breaker.getRetryInMs() / 1000));
+        console.log(`[REQ-${requestId}] Circuit open for provider '${candidate.providerName}' - skipping`);
+        if (!result) {
+          lastError = lastError || new UpstreamError(`Provider '${candidate.providerName}' is failing (circuit breaker open, retry in ${retryIn}s)`, 503);
+        }
+        continue;
+      }
+
+      try {
+        const response = await candidateClient.makeRequest(method, request.path, request.body, headers, customStatusCodes);
+        this.recordCircuitResult(breaker, response);
+        result = { response, client: candidateClient, providerName: candidate.providerName, request };
+        lastError = null;
+
+        if (!this.shouldFallBack(response)) break;
+        console.log(`[REQ-${requestId}] Provider '${candidate.providerName}' returned ${response.statusCode}`);
+      } catch (error) {
+        console.log(`[REQ-${requestId}] Provider '${candidate.providerName}' failed: ${error.message}`);
+        if (error instanceof UpstreamError) {
+          breaker.recordFailure(error.message);
+        } else {
+          breaker.release();
+        }
+        lastError = error;
+      }
+    }
+
+    // Prefer the last real response over an error from a later provider
+    if (result) return result;
+    throw lastError || new Error(`No client available for provider '${providerName}'`);
+  }
+
+  /**
+   * Identifies requests that may share one upstream call: non-streaming requests to a provider
+   * with coalescing enabled, sent with the proxy's own keys
+   * @returns {string|null} The coalescing key, or null if the request must go upstream on its own
+   */
+  getCoalesceKey(providerName, method, requestPath, body, headers, customStatusCodes) {
+    const provider = this.config.getProvider(providerName);
+    if (!provider || !provider.coalesce) return null;
+
+    // A caller's own upstream key has to be checked by the upstream
+    if (this.providerRegistry.getAuthHeaders().some(header => headers[header])) return null;
+
+    if (/streamGenerateContent/.test(requestPath)) return null;
+    try {
+      if (JSON.parse(body).stream === true) return null;
+    } catch (error) {
+      // Not a JSON body, so not a streaming request
+    }
+
+    // Forwarded headers (API versions, beta flags) and rotation status codes can change the answer too
+    const forwardedHeaders = Object.keys(headers)
+      .filter(name => !['content-type', 'accept', 'user-agent'].includes(name.toLowerCase()))
+      .map(name => `${name.toLowerCase()}=${headers[name]}`)
+      .sort();
+    const statusCodes = customStatusCodes ? Array.from(customStatusCodes).sort().join(',') : '';
+
+    return buildRequestKey([providerName, method, requestPath, forwardedHeaders.join('&'), statusCodes], body);
+  }
+
+  copyServed(served) {
+    return { ...served, response: { ...served.response, headers: { ...served.response.headers } } };
+  }
+
+  getCircuitBreaker(baseUrl) {
+    if (!this.circuitBreakers.has(baseUrl)) {
+      this.circuitBreakers.set(baseUrl, new CircuitBreaker(baseUrl, this.config.getCircuitBreakerOptions()));
+    }
+    return this.circuitBreakers.get(baseUrl);
+  }
+
+  /**
+   * Upstream 5xx responses count against the breaker; responses the client made up
+   * without asking the upstream (all keys quarantined or over budget) don't count either way
+   */
+  recordCircuitResult(breaker, response) {
+    if (response.local) {
+      breaker.release();
+    } else if (response.statusCode >= 500) {
+      breaker.recordFailure(`HTTP ${response.statusCode}`);
+    } else {
+      breaker.recordSuccess();
+    }
+  }
+
+  shouldFallBack(response) {
+    return response.statusCode === 429 || response.statusCode >= 500;
+  }
+
+  /**
+   * Rewrites the model of a request headed to a fallback provider
+   * OpenAI-type requests name the model in the JSON body, Gemini requests in the path
+   * @param {string} apiType API type shared by both providers
+   * @param {string} path Request path
+   * @param {string} body Request body
+   * @param {object|null} modelMap Map of original model -> fallback model ('*' matches any model)
+   * @returns {object} { path, body } to send to the fallback provider
+   */
+  mapFallbackModel(apiType, path, body, modelMap) {
+    if (!modelMap) return { path, body };
+
+    const mapModel = (model) => modelMap[model] || modelMap['*'] || model;
+
+    if (apiType === 'gemini') {
+      return { path: path.replace(/(\/models\/)([^/:?]+)/, (match, prefix, model) => prefix + mapModel(model)), body };
+    }
+
+    try {
+      const parsed = JSON.parse(body);
+      if (parsed && typeof parsed.model === 'string') {
+        parsed.model = mapModel(parsed.model);
+        return { path, body: JSON.stringify(parsed) };
+      }
+    } catch (error) {
+      // Not a JSON body - send it unchanged
+    }
+    return { path, body };
+  }
+
   parseStatusCodesFromAuth(authHeader) {
     // Extract [STATUS_CODES:...] from the Authorization header
     const match = authHeader?.match(/\[STATUS_CODES:([^\]]+)\]/i);
@@ -393,28 +1088,63 @@ class ProxyServer {
     return match[1].trim();
   }
 
+  hasNoCacheDirective(authHeader) {
+    // [NO_CACHE] in the auth header skips the response cache for this request
+    return /\[NO_CACHE\]/i.test(authHeader || '');
+  }
+
   validateAccessKey(provider, authHeader) {
+    return this.authenticateClient(provider, authHeader).allowed;
+  }
+
+  /**
+   * Checks the [ACCESS_KEY:...] a request carries. A provider needs one once it has an ACCESS_KEY
+   * or any client key covers it; either kind of key is accepted.
+   * @param {string} provider Provider name
+   * @param {string} authHeader The caller's auth header
+   * @returns {object} { allowed, clientKey } - clientKey is the matching client key (its label is
+   *   ACCESS_KEY for the provider's own key), or null when the provider is open
+   */
+  authenticateClient(provider, authHeader) {
     const providerConfig = this.config.getProvider(provider);
-    if (!providerConfig || !providerConfig.accessKey) {
+    const sharedKey = providerConfig ? providerConfig.accessKey : null;
+    if (!sharedKey && !this.clientKeyStore.hasKeysFor(provider)) {
       // No access key required for this provider
-      return true;
+      return { allowed: true, clientKey: null };
     }
 
     const providedAccessKey = this.parseAccessKeyFromAuth(authHeader);
     if (!providedAccessKey) {
-      return false;
+      return { allowed: false, clientKey: null };
+    }
+
+    if (sharedKey && safeEqual(providedAccessKey, sharedKey)) {
+      return { allowed: true, clientKey: { id: null, label: 'ACCESS_KEY' } };
     }
 
-    return providedAccessKey === providerConfig.accessKey;
+    const clientKey = this.clientKeyStore.authenticate(provider, providedAccessKey);
+    return { allowed: Boolean(clientKey), clientKey };
+  }
+
+  /**
+   * Picks the header a caller puts its key (and [STATUS_CODES]/[ACCESS_KEY] directives) in
+   * @param {object} headers Request headers
+   * @param {string} requestFormat API format the caller speaks
+   * @returns {string|undefined} The header value
+   */
+  getAuthHeader(headers, requestFormat) {
+    const definition = this.providerRegistry.get(requestFormat);
+    return headers[definition ? definition.authHeader : 'authorization'];
   }
 
   cleanAuthHeader(authHeader) {
-    // Remove [STATUS_CODES:...] and [ACCESS_KEY:...] from the auth header before passing to the actual API
+    // Remove [STATUS_CODES:...], [ACCESS_KEY:...] and [NO_CACHE] from the auth header before passing to the actual API
     if (!authHeader) return authHeader;
 
     const cleaned = authHeader
       .replace(/\[STATUS_CODES:[^\]]+\]/gi, '')
       .replace(/\[ACCESS_KEY:[^\]]+\]/gi, '')
+      .replace(/\[NO_CACHE\]/gi, '')
       .trim();
 
     // If after cleaning we're left with just "Bearer" or "Bearer ", return null
@@ -428,38 +1158,153 @@ class ProxyServer {
 
   extractRelevantHeaders(headers, apiType) {
     const relevantHeaders = {};
-    let headersToInclude;
+    const definition = this.providerRegistry.get(apiType);
+    // The auth header is never in the list - we handle it separately
+    const headersToInclude = definition ? definition.passthroughHeaders : [];
+
+    for (const [key, value] of Object.entries(headers)) {
+      if (headersToInclude.includes(key.toLowerCase())) {
+        relevantHeaders[key] = value;
+      }
+    }
+
+    return relevantHeaders;
+  }
+
+  sendResponse(res, response) {
+    res.writeHead(response.statusCode, response.headers);
+    res.end(response.data);
+  }
+
+  /**
+   * Pipes an upstream event stream to the client chunk by chunk
+   * If the stream breaks after content was forwarded, it is closed with an error event in the provider's format
+   * @param {http.ServerResponse} res The client response
+   * @param {object} response Upstream response with a readable `stream` and optional primed `initialChunks`
+   * @param {string} apiType The provider's API type, used to format in-stream errors
+   * @param {number} stallTimeout Milliseconds the stream may stay silent before it is treated as broken
+   * @returns {Promise<string>} Capped copy of the streamed body for logging
+   */
+  pipeStreamResponse(res, response, apiType, stallTimeout = 30000) {
+    return new Promise((resolve) => {
+      const upstream = response.stream;
+      const storedChunks = [];
+      let storedBytes = 0;
+      const usageCapture = new StreamUsageCapture(); // Start and end of the stream, where usage is reported
+      let truncated = false;
+      let finished = false;
+      let idleTimer = null;
+
+      const store = (chunk) => {
+        usageCapture.push(chunk);
+
+        if (storedBytes < this.maxStoredStreamBytes) {
+          const remaining = this.maxStoredStreamBytes - storedBytes;
+          const slice = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+          storedChunks.push(slice);
+          storedBytes += slice.length;
+          truncated = truncated || slice.length < chunk.length;
+        } else {
+          truncated = true;
+        }
+      };
+
+      const finish = (interruption = null) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(idleTimer);
+
+        if (!res.writableEnded && !res.destroyed) {
+          if (interruption) {
+            console.log(`[SERVER] Upstream stream interrupted: ${interruption}`);
+            const errorEvent = this.formatStreamError(apiType, `Upstream stream interrupted: ${interruption}`);
+            res.write(errorEvent);
+            store(Buffer.from(errorEvent));
+          }
+          res.end();
+        }
+
+        if (response.onStreamEnd) {
+          response.onStreamEnd(usageCapture.getText());
+        }
+
+        let captured = Buffer.concat(storedChunks).toString('utf8');
+        if (truncated) {
+          captured += `\n... [stream truncated after ${this.maxStoredStreamBytes} bytes]`;
+        }
+        resolve(captured);
+      };
+
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          finish(`no data for ${stallTimeout}ms`);
+          upstream.destroy();
+        }, stallTimeout);
+      };
+
+      res.writeHead(response.statusCode, response.headers);
+
+      // Replay whatever the client read while waiting for the first event
+      for (const chunk of response.initialChunks || []) {
+        res.write(chunk);
+        store(chunk);
+      }
+
+      upstream.on('data', (chunk) => {
+        resetIdleTimer();
+
+        // Respect backpressure from slow clients
+        if (!res.write(chunk)) {
+          upstream.pause();
+          res.once('drain', () => upstream.resume());
+        }
+        store(chunk);
+      });
+
+      upstream.on('end', () => finish());
+      upstream.on('close', () => {
+        if (!upstream.readableEnded) {
+          finish('connection closed');
+        }
+      });
+      upstream.on('error', (error) => finish(error.message));
 
-    if (apiType === 'gemini') {
-      headersToInclude = [
-        'content-type',
-        'accept',
-        'user-agent',
-        'x-goog-user-project'
-        // Don't include x-goog-api-key here - we handle it separately
-      ];
-    } else if (apiType === 'openai') {
-      headersToInclude = [
-        'content-type',
-        'accept',
-        'user-agent',
-        'openai-organization',
-        'openai-project'
-      ];
-    }
+      // Stop reading from upstream if the client disconnects mid-stream
+      res.on('close', () => {
+        if (!upstream.readableEnded) {
+          upstream.destroy();
+        }
+      });
 
-    for (const [key, value] of Object.entries(headers)) {
-      if (headersToInclude.includes(key.toLowerCase())) {
-        relevantHeaders[key] = value;
-      }
-    }
+      resetIdleTimer();
+      upstream.resume();
+    });
+  }
 
-    return relevantHeaders;
+  /**
+   * Builds an in-stream error event in the given API type's format
+   */
+  formatStreamError(apiType, message) {
+    const definition = this.providerRegistry.get(apiType);
+    return definition
+      ? definition.formatStreamError(message)
+      : `data: ${JSON.stringify({ error: { message: message } })}\n\n`;
   }
 
-  sendResponse(res, response) {
-    res.writeHead(response.statusCode, response.headers);
-    res.end(response.data);
+  /**
+   * Sends an error in the format callers of the given API type expect
+   */
+  sendProviderError(res, apiType, statusCode, message, headers = {}) {
+    const definition = this.providerRegistry.get(apiType);
+    if (!definition) {
+      this.sendError(res, statusCode, message);
+      return;
+    }
+
+    console.log(`[SERVER] Sending error response: ${statusCode} - ${message}`);
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(definition.formatError(statusCode, message));
   }
 
   sendError(res, statusCode, message) {
@@ -534,7 +1379,8 @@ class ProxyServer {
       429: 'Too Many Requests',
       500: 'Internal Server Error',
       502: 'Bad Gateway',
-      503: 'Service Unavailable'
+      503: 'Service Unavailable',
+      504: 'Gateway Timeout'
     };
     return statusTexts[statusCode] || 'Unknown Status';
   }
@@ -611,8 +1457,32 @@ class ProxyServer {
       await this.handleUpdateEnvVars(res, body);
     } else if (path === '/admin/api/test' && req.method === 'POST') {
       await this.handleTestApiKey(res, body);
-    } else if (path === '/admin/api/logs' && req.method === 'GET') {
-      await this.handleGetLogs(res);
+    } else if (path === '/admin/api/restore-key' && req.method === 'POST') {
+      await this.handleRestoreKey(res, body);
+    } else if (path === '/admin/api/key-status' && req.method === 'GET') {
+      this.handleGetKeyStatus(res);
+    } else if (path === '/admin/api/cache' && req.method === 'GET') {
+      this.handleGetCacheStats(res);
+    } else if (path === '/admin/api/cache/clear' && req.method === 'POST') {
+      this.handleClearCache(res);
+    } else if (path === '/admin/api/client-keys' && req.method === 'GET') {
+      this.handleGetClientKeys(res);
+    } else if (path === '/admin/api/client-keys' && req.method === 'POST') {
+      this.handleCreateClientKey(res, body);
+    } else if (path === '/admin/api/client-keys/update' && req.method === 'POST') {
+      this.handleUpdateClientKey(res, body);
+    } else if (path === '/admin/api/client-keys/delete' && req.method === 'POST') {
+      this.handleDeleteClientKey(res, body);
+    } else if (path === '/admin/api/usage' && req.method === 'GET') {
+      this.handleGetUsage(res, req.url);
+    } else if (path === '/admin/api/prices' && req.method === 'GET') {
+      this.handleGetPrices(res);
+    } else if (path === '/admin/api/prices' && req.method === 'POST') {
+      this.handleUpdatePrices(res, body);
+    } else if (path === '/admin/api/provider-types' && req.method === 'GET') {
+      this.handleGetProviderTypes(res);
+    } else if (path === '/admin/api/logs/query' && req.method === 'GET') {
+      await this.handleQueryLogs(res, req.url);
     } else if (path.startsWith('/admin/api/response/') && req.method === 'GET') {
       await this.handleGetResponse(res, path);
     } else {
@@ -765,6 +1635,8 @@ class ProxyServer {
       const basicConfig = {};
       const providers = {};
       const otherConfig = {};
+      const providerSuffixes = this.config.getProviderEnvSuffixes();
+      const providerSettingPattern = new RegExp(`^(.+?)_(.+?)_(${providerSuffixes.join('|')})$`);
 
       Object.entries(finalEnvVars).forEach(([key, value]) => {
         // Skip empty BASE_URL values
@@ -772,43 +1644,20 @@ class ProxyServer {
           return;
         }
 
+        const match = key.match(providerSettingPattern);
         if (key === 'PORT' || key === 'ADMIN_PASSWORD') {
           basicConfig[key] = value;
-        } else if (key.endsWith('_API_KEYS') || key.endsWith('_BASE_URL') || key.endsWith('_ACCESS_KEY') || key.endsWith('_DEFAULT_MODEL') || key.endsWith('_MODEL_HISTORY')) {
+        } else if (match) {
           // Extract provider info
-          const match = key.match(/^(.+?)_(.+?)_(API_KEYS|BASE_URL|ACCESS_KEY|DEFAULT_MODEL|MODEL_HISTORY)$/);
-          if (match) {
-            const apiType = match[1];
-            const providerName = match[2];
-            const keyType = match[3];
-            const providerKey = `${apiType}_${providerName}`;
-
-            if (!providers[providerKey]) {
-              providers[providerKey] = {
-                apiType,
-                providerName,
-                keys: '',
-                baseUrl: '',
-                accessKey: '',
-                defaultModel: '',
-                modelHistory: ''
-              };
-            }
+          const apiType = match[1];
+          const providerName = match[2];
+          const keyType = match[3];
+          const providerKey = `${apiType}_${providerName}`;
 
-            if (keyType === 'API_KEYS') {
-              providers[providerKey].keys = value;
-            } else if (keyType === 'BASE_URL') {
-              providers[providerKey].baseUrl = value;
-            } else if (keyType === 'ACCESS_KEY') {
-              providers[providerKey].accessKey = value;
-            } else if (keyType === 'DEFAULT_MODEL') {
-              providers[providerKey].defaultModel = value;
-            } else if (keyType === 'MODEL_HISTORY') {
-              providers[providerKey].modelHistory = value;
-            }
-          } else {
-            otherConfig[key] = value;
+          if (!providers[providerKey]) {
+            providers[providerKey] = { apiType, providerName, settings: {} };
           }
+          providers[providerKey].settings[keyType] = value;
         } else {
           otherConfig[key] = value;
         }
@@ -824,77 +1673,26 @@ class ProxyServer {
       }
 
       // Write providers grouped by type and sorted alphabetically by provider name
-      const openaiProviders = Object.values(providers)
-        .filter(p => p.apiType === 'OPENAI')
-        .sort((a, b) => a.providerName.toLowerCase().localeCompare(b.providerName.toLowerCase()));
-      const geminiProviders = Object.values(providers)
-        .filter(p => p.apiType === 'GEMINI')
-        .sort((a, b) => a.providerName.toLowerCase().localeCompare(b.providerName.toLowerCase()));
-      const otherProviders = Object.values(providers)
-        .filter(p => p.apiType !== 'OPENAI' && p.apiType !== 'GEMINI')
-        .sort((a, b) => a.providerName.toLowerCase().localeCompare(b.providerName.toLowerCase()));
-
-      if (openaiProviders.length > 0) {
-        envContent += '# OpenAI Compatible Providers\n';
-        for (const provider of openaiProviders) {
-          if (provider.keys) {
-            envContent += `${provider.apiType}_${provider.providerName}_API_KEYS=${provider.keys}\n`;
-          }
-          if (provider.baseUrl) {
-            envContent += `${provider.apiType}_${provider.providerName}_BASE_URL=${provider.baseUrl}\n`;
-          }
-          if (provider.accessKey) {
-            envContent += `${provider.apiType}_${provider.providerName}_ACCESS_KEY=${provider.accessKey}\n`;
-          }
-          if (provider.defaultModel) {
-            envContent += `${provider.apiType}_${provider.providerName}_DEFAULT_MODEL=${provider.defaultModel}\n`;
-          }
-          if (provider.modelHistory) {
-            envContent += `${provider.apiType}_${provider.providerName}_MODEL_HISTORY=${provider.modelHistory}\n`;
-          }
-          envContent += '\n';
-        }
-      }
+      const byName = (a, b) => a.providerName.toLowerCase().localeCompare(b.providerName.toLowerCase());
+      const definitions = this.providerRegistry.list();
+      const knownTypes = definitions.map(definition => definition.apiType.toUpperCase());
+      const providerGroups = [
+        ...definitions.map(definition => ({
+          title: `${definition.name} Providers`,
+          providers: Object.values(providers).filter(p => p.apiType === definition.apiType.toUpperCase()).sort(byName)
+        })),
+        { title: 'Other Providers', providers: Object.values(providers).filter(p => !knownTypes.includes(p.apiType)).sort(byName) }
+      ];
 
-      if (geminiProviders.length > 0) {
-        envContent += '# Gemini Providers\n';
-        for (const provider of geminiProviders) {
-          if (provider.keys) {
-            envContent += `${provider.apiType}_${provider.providerName}_API_KEYS=${provider.keys}\n`;
-          }
-          if (provider.baseUrl) {
-            envContent += `${provider.apiType}_${provider.providerName}_BASE_URL=${provider.baseUrl}\n`;
-          }
-          if (provider.accessKey) {
-            envContent += `${provider.apiType}_${provider.providerName}_ACCESS_KEY=${provider.accessKey}\n`;
-          }
-          if (provider.defaultModel) {
-            envContent += `${provider.apiType}_${provider.providerName}_DEFAULT_MODEL=${provider.defaultModel}\n`;
-          }
-          if (provider.modelHistory) {
-            envContent += `${provider.apiType}_${provider.providerName}_MODEL_HISTORY=${provider.modelHistory}\n`;
-          }
-          envContent += '\n';
-        }
-      }
+      for (const group of providerGroups) {
+        if (group.providers.length === 0) continue;
 
-      if (otherProviders.length > 0) {
-        envContent += '# Other Providers\n';
-        for (const provider of otherProviders) {
-          if (provider.keys) {
-            envContent += `${provider.apiType}_${provider.providerName}_API_KEYS=${provider.keys}\n`;
-          }
-          if (provider.baseUrl) {
-            envContent += `${provider.apiType}_${provider.providerName}_BASE_URL=${provider.baseUrl}\n`;
-          }
-          if (provider.accessKey) {
-            envContent += `${provider.apiType}_${provider.providerName}_ACCESS_KEY=${provider.accessKey}\n`;
-          }
-          if (provider.defaultModel) {
-            envContent += `${provider.apiType}_${provider.providerName}_DEFAULT_MODEL=${provider.defaultModel}\n`;
-          }
-          if (provider.modelHistory) {
-            envContent += `${provider.apiType}_${provider.providerName}_MODEL_HISTORY=${provider.modelHistory}\n`;
+        envContent += `# ${group.title}\n`;
+        for (const provider of group.providers) {
+          for (const suffix of providerSuffixes) {
+            if (provider.settings[suffix]) {
+              envContent += `${provider.apiType}_${provider.providerName}_${suffix}=${provider.settings[suffix]}\n`;
+            }
           }
           envContent += '\n';
         }
@@ -927,15 +1725,7 @@ class ProxyServer {
   async handleTestApiKey(res, body) {
     try {
       const { apiType, apiKey, baseUrl } = JSON.parse(body);
-      let testResult = { success: false, error: 'Unknown API type' };
-      
-      if (apiType === 'gemini') {
-        // Test Gemini API key with custom base URL if provided
-        testResult = await this.testGeminiKey(apiKey, baseUrl);
-      } else if (apiType === 'openai') {
-        // Test OpenAI API key with custom base URL if provided
-        testResult = await this.testOpenaiKey(apiKey, baseUrl);
-      }
+      const testResult = await this.testApiKey(apiType, apiKey, baseUrl);
       
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(testResult));
@@ -943,36 +1733,38 @@ class ProxyServer {
       this.sendError(res, 500, 'Failed to test API key');
     }
   }
-  
-  async testGeminiKey(apiKey, baseUrl = null) {
+
+  /**
+   * Checks a key against the provider with the API type's key test probe
+   * @returns {Promise<object>} { success, error }
+   */
+  async testApiKey(apiType, apiKey, baseUrl = null) {
+    const definition = this.providerRegistry.get(apiType);
+    if (!definition) {
+      return { success: false, error: 'Unknown API type' };
+    }
+    if (!definition.testKey) {
+      return { success: true, error: null, skipped: true };
+    }
+
     const testId = Math.random().toString(36).substring(2, 11);
-    const testBaseUrl = baseUrl || 'https://generativelanguage.googleapis.com/v1';
+    const testBaseUrl = (baseUrl || definition.defaultBaseUrl || '').replace(/\/$/, '');
+    const testPath = definition.keyTestPath(testBaseUrl);
     const startTime = Date.now();
     
-    // Determine the correct path based on base URL
-    let testPath = '/models';
-    let fullUrl;
-    
-    if (testBaseUrl.includes('/v1') || testBaseUrl.includes('/v1beta')) {
-      // Base URL already includes version, just append models
-      fullUrl = `${testBaseUrl.endsWith('/') ? testBaseUrl.slice(0, -1) : testBaseUrl}/models?key=${apiKey}`;
-    } else {
-      // Base URL doesn't include version, add /v1/models
-      fullUrl = `${testBaseUrl.endsWith('/') ? testBaseUrl.slice(0, -1) : testBaseUrl}/v1/models?key=${apiKey}`;
-      testPath = '/v1/models';
-    }
-    
     try {
-      const testResponse = await fetch(fullUrl);
-      const responseText = await testResponse.text();
-      const contentType = testResponse.headers.get('content-type') || 'unknown';
+      // Go through the client's transport so the test reaches the same endpoints proxied requests do
+      const client = definition.createClient(null, testBaseUrl);
+      const testResponse = this.toTestResponse(await definition.testKey(client, apiKey, testPath));
+      const responseText = testResponse.text;
+      const contentType = testResponse.contentType;
       const responseTime = Date.now() - startTime;
       
       // Store response data for viewing
       this.storeResponseData(testId, {
         method: 'GET',
         endpoint: testPath,
-        apiType: 'Gemini',
+        apiType: definition.name,
         status: testResponse.status,
         statusText: testResponse.statusText,
         contentType: contentType,
@@ -982,9 +1774,9 @@ class ProxyServer {
       
       // Log with structured format
       const error = !testResponse.ok ? `API test failed: ${testResponse.status} ${testResponse.statusText}` : null;
-      this.logApiRequest(testId, 'GET', testPath, 'gemini', testResponse.status, responseTime, error, 'admin-test');
+      this.logApiRequest(testId, 'GET', testPath, apiType, testResponse.status, responseTime, error, 'admin-test');
       
-      console.log(`[TEST-${testId}] GET ${testPath} (Gemini) → ${testResponse.status} ${testResponse.statusText} | ${contentType} ${responseText.length}b`);
+      console.log(`[TEST-${testId}] GET ${testPath} (${definition.name}) → ${testResponse.status} ${testResponse.statusText} | ${contentType} ${responseText.length}b`);
       
       return { 
         success: testResponse.ok, 
@@ -993,126 +1785,347 @@ class ProxyServer {
     } catch (error) {
       const responseTime = Date.now() - startTime;
       
-      console.log(`[TEST-${testId}] GET ${testPath} (Gemini) → ERROR: ${error.message}`);
-      this.logApiRequest(testId, 'GET', testPath, 'gemini', null, responseTime, error.message, 'admin-test');
+      console.log(`[TEST-${testId}] GET ${testPath} (${definition.name}) → ERROR: ${error.message}`);
+      this.logApiRequest(testId, 'GET', testPath, apiType, null, responseTime, error.message, 'admin-test');
       
       return { success: false, error: error.message };
     }
   }
-  
-  async testOpenaiKey(apiKey, baseUrl = null) {
-    const testId = Math.random().toString(36).substring(2, 11);
-    const testBaseUrl = baseUrl || 'https://api.openai.com/v1';
-    const startTime = Date.now();
-    
-    // Construct the full URL - just append /models to the base URL
-    const fullUrl = `${testBaseUrl.endsWith('/') ? testBaseUrl.slice(0, -1) : testBaseUrl}/models`;
-    
-    // Determine display path for logging
-    let testPath = '/models';
-    if (testBaseUrl.includes('/openai/v1')) {
-      testPath = '/openai/v1/models';
-    } else if (testBaseUrl.includes('/v1')) {
-      testPath = '/v1/models';
-    }
-    
+
+  /**
+   * Re-tests a quarantined key and puts it back into rotation if the upstream accepts it again
+   */
+  async handleRestoreKey(res, body) {
     try {
-      const testResponse = await fetch(fullUrl, {
-        headers: { 'Authorization': `Bearer ${apiKey}` }
-      });
-      
-      const responseText = await testResponse.text();
-      const contentType = testResponse.headers.get('content-type') || 'unknown';
-      const responseTime = Date.now() - startTime;
-      
-      // Store response data for viewing
-      this.storeResponseData(testId, {
-        method: 'GET',
-        endpoint: testPath,
-        apiType: 'OpenAI',
-        status: testResponse.status,
-        statusText: testResponse.statusText,
-        contentType: contentType,
-        responseData: responseText,
-        requestBody: null
-      });
-      
-      // Log with structured format
-      const error = !testResponse.ok ? `API test failed: ${testResponse.status} ${testResponse.statusText}` : null;
-      this.logApiRequest(testId, 'GET', testPath, 'openai', testResponse.status, responseTime, error, 'admin-test');
-      
-      console.log(`[TEST-${testId}] GET ${testPath} (OpenAI) → ${testResponse.status} ${testResponse.statusText} | ${contentType} ${responseText.length}b`);
-      
-      return { 
-        success: testResponse.ok, 
-        error: error
-      };
+      const { providerName, keyIndex } = JSON.parse(body);
+      const provider = this.config.getProvider(providerName);
+      const apiKey = provider ? provider.keys[keyIndex] : null;
+      if (!apiKey) {
+        this.sendError(res, 404, 'API key not found');
+        return;
+      }
+
+      const testResult = await this.testApiKey(provider.apiType, apiKey, provider.baseUrl);
+      if (testResult.success) {
+        // Make sure the provider's client exists (and loaded its saved state), then restore the key
+        // everywhere it is in use, including the legacy clients
+        await this.getProviderClient(providerName, provider);
+        const clients = [this.geminiClient, this.openaiClient, ...this.providerClients.values()];
+        for (const client of clients.filter(Boolean)) {
+          client.keyRotator.restoreKey(apiKey);
+        }
+        this.saveKeyState();
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(testResult));
     } catch (error) {
-      const responseTime = Date.now() - startTime;
-      
-      console.log(`[TEST-${testId}] GET ${testPath} (OpenAI) → ERROR: ${error.message}`);
-      this.logApiRequest(testId, 'GET', testPath, 'openai', null, responseTime, error.message, 'admin-test');
-      
-      return { success: false, error: error.message };
+      this.sendError(res, 500, 'Failed to restore API key');
     }
   }
   
-  async handleGetLogs(res) {
+  handleGetKeyStatus(res) {
     try {
-      // Return logs from memory buffer only (last 100 entries)
-      const recentLogs = this.logBuffer.slice(-100).map(log => {
-        // Handle both old string format and new object format
-        if (typeof log === 'string') {
-          // Parse old string format: "2024-01-15T10:30:45.123Z [REQ-abc123] POST /endpoint"
-          const match = log.match(/^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z)\s+(.*)$/);
-          if (match) {
-            return {
-              timestamp: match[1],
-              requestId: 'legacy',
-              method: 'UNKNOWN',
-              endpoint: 'unknown',
-              provider: 'unknown',
-              status: null,
-              responseTime: null,
-              error: null,
-              clientIp: null,
-              message: match[2] // Keep original message for backward compatibility
-            };
-          }
-          return {
-            timestamp: new Date().toISOString(),
-            requestId: 'unknown',
-            method: 'UNKNOWN',
-            endpoint: 'unknown',
-            provider: 'unknown',
-            status: null,
-            responseTime: null,
-            error: null,
-            clientIp: null,
-            message: log
-          };
-        }
-        return log; // Already an object
-      });
-      
+      const providers = {};
+
+      for (const [providerName, provider] of this.config.getProviders().entries()) {
+        // Providers that haven't served a request yet have no client; show their saved state instead
+        const client = this.providerClients.get(providerName) || null;
+        const keys = client ? client.keyRotator.getKeyStates() : this.getSavedKeyStates(providerName, provider);
+        const strategy = client ? client.keyRotator.strategy : this.config.getKeyRotatorOptions(providerName).strategy;
+
+        const breaker = this.circuitBreakers.get(client ? client.baseUrl : provider.baseUrl);
+        const circuit = breaker ? breaker.getState() : null;
+
+        providers[providerName] = { apiType: provider.apiType, strategy, keys, circuit };
+      }
+
+      // The legacy /gemini and /openai clients rotate their keys separately from the providers
+      const legacyClients = { [LEGACY_CLIENT_NAMES.gemini]: this.geminiClient, [LEGACY_CLIENT_NAMES.openai]: this.openaiClient };
+      for (const [name, client] of Object.entries(legacyClients)) {
+        if (!client) continue;
+
+        const breaker = this.circuitBreakers.get(client.baseUrl);
+        providers[name] = {
+          apiType: client.keyRotator.apiType,
+          strategy: client.keyRotator.strategy,
+          keys: client.keyRotator.getKeyStates(),
+          circuit: breaker ? breaker.getState() : null,
+          legacy: true
+        };
+      }
+
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ 
-        logs: recentLogs,
-        totalEntries: recentLogs.length,
-        format: 'json' // Indicate the new format
-      }));
+      res.end(JSON.stringify({ providers, serverTime: Date.now() }));
     } catch (error) {
-      console.error('Failed to get logs:', error.message);
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ 
-        error: 'Failed to retrieve logs',
-        logs: []
-      }));
+      this.sendError(res, 500, 'Failed to get key status');
     }
   }
+
+  /**
+   * Key states as saved in the key state file, in the shape of KeyRotator.getKeyStates()
+   */
+  getSavedKeyStates(providerName, provider) {
+    const saved = this.keyStateStore.get(providerName);
+    const savedKeys = (saved && saved.keys) || {};
+    const now = Date.now();
+
+    return provider.keys.map((key, index) => {
+      const keyState = savedKeys[this.KeyRotator.hashKey(key)] || {};
+      const cooldownUntil = keyState.cooldownUntil > now ? keyState.cooldownUntil : null;
+      return {
+        index,
+        maskedKey: this.config.maskApiKey(key),
+        cooldownUntil,
+        cooldownRemainingMs: cooldownUntil ? cooldownUntil - now : 0,
+        inFlight: 0,
+        lastUsed: keyState.lastUsed || null,
+        budget: null,
+        budgetWaitMs: 0,
+        quarantined: keyState.quarantined && keyState.quarantined.reason ? keyState.quarantined : null
+      };
+    });
+  }
+
+  handleGetCacheStats(res) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(this.responseCache.getStats()));
+  }
+
+  handleClearCache(res) {
+    this.responseCache.clear();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+  }
+
+  /**
+   * Token usage totals. Query parameters: granularity (hourly or daily), since and until (ISO dates)
+   */
+  handleGetUsage(res, url) {
+    const params = new URL(url, 'http://localhost').searchParams;
+    const since = params.get('since') ? Date.parse(params.get('since')) : null;
+    const until = params.get('until') ? Date.parse(params.get('until')) : null;
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      this.sendError(res, 400, 'since and until must be dates');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(this.usageStore.getSummary({ granularity: params.get('granularity'), since, until })));
+  }
+
+  handleGetPrices(res) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ prices: this.priceTable.list() }));
+  }
+
+  /**
+   * Replaces the price table. The body is { prices } or an imported table on its own, either
+   * a list of { model, input, output, cachedInput } or a map of model -> prices.
+   */
+  handleUpdatePrices(res, body) {
+    let prices;
+    try {
+      const parsed = JSON.parse(body);
+      prices = this.priceTable.replace(parsed && parsed.prices !== undefined ? parsed.prices : parsed);
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ prices }));
+  }
+
+  handleGetClientKeys(res) {
+    const keys = this.clientKeyStore.list().map(key => ({ ...key, usage: this.clientLimiter.getUsage(key.id, key.limits) }));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ keys }));
+  }
+
+  /**
+   * Creates a client key. The response is the only place the key appears in the clear.
+   */
+  handleCreateClientKey(res, body) {
+    let created;
+    try {
+      created = this.clientKeyStore.create(JSON.parse(body));
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(created));
+  }
+
+  handleUpdateClientKey(res, body) {
+    let updated;
+    try {
+      const { id, ...changes } = JSON.parse(body);
+      updated = this.clientKeyStore.update(id, changes);
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+      return;
+    }
+
+    if (!updated) {
+      this.sendError(res, 404, 'Client key not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ key: updated }));
+  }
+
+  handleDeleteClientKey(res, body) {
+    let deleted;
+    try {
+      deleted = this.clientKeyStore.delete(JSON.parse(body).id);
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+      return;
+    }
+
+    if (!deleted) {
+      this.sendError(res, 404, 'Client key not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+  }
+
+  /**
+   * Public health check: whether the proxy is up and which providers' circuit breakers are open.
+   * Answers 503 only when every provider's upstream is failing.
+   */
+  handleHealth(res) {
+    const providers = {};
+    for (const [providerName, provider] of this.config.getProviders().entries()) {
+      const breaker = this.circuitBreakers.get(provider.baseUrl);
+      const circuit = breaker ? breaker.getState() : null;
+      providers[providerName] = {
+        apiType: provider.apiType,
+        circuit: circuit ? circuit.state : CircuitBreaker.STATES.CLOSED,
+        retryInMs: circuit ? circuit.retryInMs : 0
+      };
+    }
+
+    const states = Object.values(providers).map(provider => provider.circuit);
+    const open = states.filter(state => state !== CircuitBreaker.STATES.CLOSED).length;
+    const status = open === 0 ? 'ok' : (open === states.length ? 'down' : 'degraded');
+
+    res.writeHead(status === 'down' ? 503 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status, uptimeSeconds: Math.round(process.uptime()), providers }));
+  }
+
+  /**
+   * Serves the metrics in the Prometheus text format. With METRICS_TOKEN set, scrapers must send
+   * it as a bearer token.
+   */
+  handleMetrics(req, res) {
+    const token = this.config.getMetricsToken();
+    if (token) {
+      const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+      if (!match || !safeEqual(match[1].trim(), token)) {
+        res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer' });
+        res.end('Unauthorized\n');
+        return;
+      }
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(this.metrics.registry.render());
+  }
+
+  /**
+   * Lists the registered API types with what the admin panel shows for each
+   */
+  handleGetProviderTypes(res) {
+    const types = this.providerRegistry.list().map(definition => ({
+      apiType: definition.apiType,
+      name: definition.name,
+      defaultBaseUrl: definition.defaultBaseUrl || '',
+      exampleModel: definition.exampleModel || '',
+      unifiedEndpoint: definition.unifiedEndpoint || '',
+      curlTemplate: definition.curlTemplate || ''
+    }));
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ types }));
+  }
+
+  /**
+   * Adapts a raw client response to the fields the key test helpers report
+   * @param {object} response Response from a client's sendRequest
+   * @returns {object} Status, status text, ok flag, content type and body text
+   */
+  toTestResponse(response) {
+    return {
+      status: response.statusCode,
+      statusText: this.getStatusText(response.statusCode),
+      ok: response.statusCode >= 200 && response.statusCode < 300,
+      contentType: response.headers['content-type'] || 'unknown',
+      text: response.data || ''
+    };
+  }
   
-  
-  logApiRequest(requestId, method, endpoint, provider, status = null, responseTime = null, error = null, clientIp = null) {
+  /**
+   * Searches the request log, newest first. Query parameters: provider, status (a code or a class
+   * like 4xx), clientKey, since, until, q (text anywhere in the entry), cursor and limit.
+   */
+  async handleQueryLogs(res, url) {
+    const params = new URL(url, 'http://localhost').searchParams;
+    const since = params.get('since') ? Date.parse(params.get('since')) : null;
+    const until = params.get('until') ? Date.parse(params.get('until')) : null;
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      this.sendError(res, 400, 'since and until must be dates');
+      return;
+    }
+
+    const status = params.get('status');
+    if (status && !/^([1-5]xx|\d{3})$/i.test(status)) {
+      this.sendError(res, 400, 'status must be a status code or a class like 4xx');
+      return;
+    }
+
+    const filters = {
+      provider: params.get('provider') || null,
+      status,
+      clientKey: params.get('clientKey') || null,
+      since,
+      until,
+      text: params.get('q') || null,
+      cursor: params.get('cursor') || null,
+      limit: params.get('limit')
+    };
+
+    let result;
+    if (this.requestLog.enabled) {
+      try {
+        result = await this.requestLog.query(filters);
+      } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+          this.sendError(res, 400, error.message);
+        } else {
+          console.error('Failed to search request logs:', error.message);
+          this.sendError(res, 500, 'Failed to search request logs');
+        }
+        return;
+      }
+    } else {
+      // Without a log directory only the in-memory buffer can be searched
+      const matches = this.requestLog.buildMatcher(filters);
+      const entries = this.logBuffer
+        .filter(entry => entry.status !== null && matches(entry, JSON.stringify(entry)))
+        .reverse();
+      result = { entries, nextCursor: null };
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ...result, persistent: this.requestLog.enabled }));
+  }
+
+  logApiRequest(requestId, method, endpoint, provider, status = null, responseTime = null, error = null, clientIp = null, clientKey = null, cost = null) {
     const logEntry = {
       timestamp: new Date().toISOString(),
       requestId: requestId || 'unknown',
@@ -1122,7 +2135,9 @@ class ProxyServer {
       status: status,
       responseTime: responseTime,
       error: error,
-      clientIp: clientIp
+      clientIp: clientIp,
+      clientKey: clientKey,
+      cost: cost
     };
     
     // Add to buffer (keep last 100 entries in RAM only)
@@ -1130,6 +2145,11 @@ class ProxyServer {
     if (this.logBuffer.length > 100) {
       this.logBuffer.shift();
     }
+
+    // Requests are logged again when they finish; only the finished entry goes to disk
+    if (status !== null || error !== null) {
+      this.requestLog.append(logEntry);
+    }
   }
 
   
@@ -1172,12 +2192,13 @@ class ProxyServer {
       const firstKey = this.responseStorage.keys().next().value;
       this.responseStorage.delete(firstKey);
     }
+    this.requestLog.appendResponse(testId, responseData);
   }
 
   async handleGetResponse(res, path) {
     try {
       const testId = path.split('/').pop(); // Extract testId from path
-      const responseData = this.responseStorage.get(testId);
+      const responseData = this.responseStorage.get(testId) || await this.requestLog.getResponse(testId);
       
       if (!responseData) {
         this.sendError(res, 404, 'Response not found');
@@ -1208,14 +2229,27 @@ class ProxyServer {
    */
   reinitializeClients() {
     console.log('[SERVER] Reinitializing API clients with updated configuration...');
+
+    // Keep what the old rotators learned; the new ones pick it up for keys that are still configured
+    this.captureKeyState();
     
     // Clear all provider clients
     this.providerClients.clear();
+
+    // Cache settings may have changed; entries on disk are picked up again
+    this.responseCache = new ResponseCache(this.config.getResponseCacheOptions());
+
+    // Breakers keep their state (the upstream didn't change) but pick up new settings
+    for (const breaker of this.circuitBreakers.values()) {
+      breaker.configure(this.config.getCircuitBreakerOptions());
+    }
     
     // Reinitialize legacy clients for backward compatibility
     if (this.config.hasGeminiKeys()) {
-      const geminiKeyRotator = new this.KeyRotator(this.config.getGeminiApiKeys(), 'gemini');
-      this.geminiClient = new this.GeminiClient(geminiKeyRotator, this.config.getGeminiBaseUrl());
+      const geminiKeyRotator = new this.KeyRotator(this.config.getGeminiApiKeys(), 'gemini', this.config.getKeyRotatorOptions('gemini'));
+      this.geminiClient = this.providerRegistry.get('gemini').createClient(geminiKeyRotator, this.config.getGeminiBaseUrl(), this.config.getClientOptions('gemini'));
+      this.restoreKeyState(LEGACY_CLIENT_NAMES.gemini, this.geminiClient);
+      this.watchKeyRotator(LEGACY_CLIENT_NAMES.gemini, this.geminiClient);
       console.log('[SERVER] Legacy Gemini client reinitialized');
     } else {
       this.geminiClient = null;
@@ -1223,8 +2257,10 @@ class ProxyServer {
     }
     
     if (this.config.hasOpenaiKeys()) {
-      const openaiKeyRotator = new this.KeyRotator(this.config.getOpenaiApiKeys(), 'openai');
-      this.openaiClient = new this.OpenAIClient(openaiKeyRotator, this.config.getOpenaiBaseUrl());
+      const openaiKeyRotator = new this.KeyRotator(this.config.getOpenaiApiKeys(), 'openai', this.config.getKeyRotatorOptions('openai'));
+      this.openaiClient = this.providerRegistry.get('openai').createClient(openaiKeyRotator, this.config.getOpenaiBaseUrl(), this.config.getClientOptions('openai'));
+      this.restoreKeyState(LEGACY_CLIENT_NAMES.openai, this.openaiClient);
+      this.watchKeyRotator(LEGACY_CLIENT_NAMES.openai, this.openaiClient);
       console.log('[SERVER] Legacy OpenAI client reinitialized');
     } else {
       this.openaiClient = null;
@@ -1234,10 +2270,57 @@ class ProxyServer {
     console.log(`[SERVER] ${this.config.getProviders().size} providers available for dynamic initialization`);
   }
 
+  restoreKeyState(providerName, client) {
+    if (client) {
+      client.keyRotator.importState(this.keyStateStore.get(providerName));
+    }
+  }
+
+  /**
+   * @returns {Array} [providerName, keyRotator] for every live client, the legacy clients under
+   *   their LEGACY_CLIENT_NAMES
+   */
+  getKeyRotators() {
+    const rotators = new Map();
+    if (this.geminiClient) {
+      rotators.set(LEGACY_CLIENT_NAMES.gemini, this.geminiClient.keyRotator);
+    }
+    if (this.openaiClient) {
+      rotators.set(LEGACY_CLIENT_NAMES.openai, this.openaiClient.keyRotator);
+    }
+    for (const [providerName, client] of this.providerClients.entries()) {
+      rotators.set(providerName, client.keyRotator);
+    }
+    return [...rotators.entries()];
+  }
+
+  /**
+   * Copies every live rotator's state into the key state store
+   */
+  captureKeyState() {
+    for (const [providerName, keyRotator] of this.getKeyRotators()) {
+      this.keyStateStore.set(providerName, keyRotator.exportState());
+    }
+  }
+
+  saveKeyState() {
+    this.captureKeyState();
+    this.keyStateStore.save();
+    this.usageStore.save();
+    this.clientLimiter.save();
+  }
+
+  /**
+   * @returns {Promise} Resolves once the request log and the response cache have written everything they were given
+   */
   stop() {
+    clearInterval(this.keyStateTimer);
+    this.saveKeyState();
+
     if (this.server) {
       this.server.close();
     }
+    return Promise.all([this.requestLog.close(), this.responseCache.flush()]);
   }
 }
 
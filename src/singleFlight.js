@@ -0,0 +1,43 @@
+/**
+ * Coalesces identical concurrent work: while a call for a key is running, further calls
+ * with the same key wait for it and share its result instead of starting their own.
+ */
+class SingleFlight {
+  constructor() {
+    this.inFlight = new Map(); // Map of key -> { id, promise, followers }
+    this.stats = { leaders: 0, coalesced: 0 };
+  }
+
+  /**
+   * Runs fn for the key unless an identical call is already running
+   * @param {string} key What makes calls identical
+   * @param {string} id Identifies this call in logs (e.g. the request ID)
+   * @param {function(): Promise<*>} fn The work to do
+   * @returns {Promise<object>} { value, leaderId, shared } - shared is true for calls that waited on another
+   */
+  async run(key, id, fn) {
+    const existing = this.inFlight.get(key);
+    if (existing) {
+      existing.followers++;
+      this.stats.coalesced++;
+      const value = await existing.promise;
+      return { value, leaderId: existing.id, shared: true };
+    }
+
+    const flight = { id, promise: Promise.resolve().then(fn), followers: 0 };
+    this.inFlight.set(key, flight);
+    this.stats.leaders++;
+    try {
+      const value = await flight.promise;
+      return { value, leaderId: id, shared: false, followers: flight.followers };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, inFlight: this.inFlight.size };
+  }
+}
+
+module.exports = SingleFlight;
@@ -0,0 +1,128 @@
+const { UpstreamError } = require('./networkUtils');
+
+/**
+ * Waits for the first server-sent event on an upstream stream before the proxy commits to it.
+ * Anything read so far is returned so it can be replayed ahead of the rest of the stream.
+ * Rejects with an UpstreamError (and destroys the stream) if it errors, ends or stays silent
+ * before the first event - a 504 for silence, a 502 otherwise.
+ * @param {stream.Readable} stream Upstream response stream
+ * @param {number} stallTimeout Milliseconds to wait for the first event
+ * @returns {Promise<Buffer[]>} Chunks received up to and including the first event
+ */
+function primeEventStream(stream, stallTimeout) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = '';
+    let timer = null;
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      stream.removeListener('data', onData);
+      stream.removeListener('end', onEnd);
+      stream.removeListener('close', onClose);
+      stream.removeListener('error', onError);
+    };
+
+    const fail = (message, statusCode = 502) => {
+      cleanup();
+      stream.destroy();
+      reject(new UpstreamError(message, statusCode));
+    };
+
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      received += chunk.toString('utf8');
+
+      // Comments and blank keep-alive lines don't count, only an actual data line does
+      if (/^data:/m.test(received)) {
+        cleanup();
+        stream.pause();
+        resolve(chunks);
+      }
+    };
+    const onEnd = () => fail('Stream ended before the first event');
+    const onClose = () => fail('Stream closed before the first event');
+    const onError = (error) => fail(`Stream failed before the first event: ${error.message}`, error.statusCode || 502);
+
+    timer = setTimeout(() => fail(`Stream stalled for ${stallTimeout}ms before the first event`, 504), stallTimeout);
+
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('close', onClose);
+    stream.on('error', onError);
+  });
+}
+
+/**
+ * Builds a server-sent error event in the shape the given API type uses for in-stream errors
+ * @param {string} apiType The provider's API type
+ * @param {string} message Error message for the client
+ * @returns {string} A complete SSE event
+ */
+function formatStreamError(apiType, message) {
+  let payload;
+
+  if (apiType === 'anthropic') {
+    payload = {
+      type: 'error',
+      error: {
+        type: 'api_error',
+        message: message
+      }
+    };
+    return `event: error\ndata: ${JSON.stringify(payload)}\n\n`;
+  }
+
+  if (apiType === 'gemini') {
+    payload = {
+      error: {
+        code: 502,
+        message: message,
+        status: 'UNAVAILABLE'
+      }
+    };
+  } else {
+    payload = {
+      error: {
+        message: message,
+        type: 'server_error',
+        code: 'stream_interrupted'
+      }
+    };
+  }
+
+  return `data: ${JSON.stringify(payload)}\n\n`;
+}
+
+/**
+ * Keeps the parts of an event stream that report token usage without holding the whole stream:
+ * the start, where Anthropic's message_start carries the input tokens, and the end, where
+ * running and final totals are reported.
+ */
+class StreamUsageCapture {
+  constructor(headBytes = 4 * 1024, tailBytes = 16 * 1024) {
+    this.headBytes = headBytes;
+    this.tailBytes = tailBytes;
+    this.head = '';
+    this.tail = '';
+    this.totalBytes = 0;
+  }
+
+  push(chunk) {
+    const text = chunk.toString('utf8');
+    this.totalBytes += text.length;
+    if (this.head.length < this.headBytes) {
+      this.head += text.substring(0, this.headBytes - this.head.length);
+    }
+    this.tail = (this.tail + text).slice(-this.tailBytes);
+  }
+
+  /**
+   * @returns {string} The stream's start and end, or the whole stream if the tail holds all of it
+   */
+  getText() {
+    return this.totalBytes > this.tailBytes ? `${this.head}\n${this.tail}` : this.tail;
+  }
+}
+
+module.exports = { primeEventStream, formatStreamError, StreamUsageCapture };
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How long buckets are kept at each granularity
+const RETENTION_MS = {
+  hourly: 7 * DAY_MS,
+  daily: 90 * DAY_MS
+};
+
+const BUCKET_MS = {
+  hourly: HOUR_MS,
+  daily: DAY_MS
+};
+
+// Breakdowns kept inside every bucket, and the record field each one is keyed by
+const DIMENSIONS = {
+  byKey: 'key',
+  byProvider: 'provider',
+  byModel: 'model',
+  byClient: 'client'
+};
+
+const TOTAL_FIELDS = ['requests', 'promptTokens', 'completionTokens', 'cachedTokens', 'totalTokens', 'cost'];
+
+function emptyTotals() {
+  return Object.fromEntries(TOTAL_FIELDS.map(field => [field, 0]));
+}
+
+// Fields missing from buckets saved by older versions count as 0
+function addTotals(target, source) {
+  for (const field of TOTAL_FIELDS) {
+    target[field] = (target[field] || 0) + (source[field] || 0);
+  }
+}
+
+/**
+ * Aggregates token usage per upstream key, provider, model and client key into hourly and
+ * daily buckets (UTC), kept in a local JSON file. Hourly buckets are kept for a week, daily
+ * buckets for 90 days.
+ */
+class UsageStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.buckets = { hourly: {}, daily: {} }; // Map of granularity -> bucket start (ms) -> bucket
+    this.dirty = false;
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.buckets.hourly = (parsed && parsed.hourly) || {};
+      this.buckets.daily = (parsed && parsed.daily) || {};
+      this.prune();
+      console.log(`[USAGE] Loaded ${Object.keys(this.buckets.daily).length} days of usage from ${this.filePath}`);
+    } catch (error) {
+      console.warn(`[USAGE] Ignoring unreadable usage file ${this.filePath}: ${error.message}`);
+      this.buckets = { hourly: {}, daily: {} };
+    }
+  }
+
+  /**
+   * Counts one upstream response
+   * @param {object} record { key, provider, model, client, usage, cost, time } - usage is
+   *   { promptTokens, completionTokens, totalTokens, cachedTokens } or null if the response
+   *   reported none, cost the estimated spend or null if the model has no price
+   */
+  record(record) {
+    const time = record.time || Date.now();
+    const totals = { ...emptyTotals(), ...(record.usage || {}), requests: 1, cost: record.cost || 0 };
+
+    for (const granularity of Object.keys(BUCKET_MS)) {
+      const start = Math.floor(time / BUCKET_MS[granularity]) * BUCKET_MS[granularity];
+      const buckets = this.buckets[granularity];
+      if (!buckets[start]) {
+        buckets[start] = { total: emptyTotals(), byKey: {}, byProvider: {}, byModel: {}, byClient: {} };
+      }
+
+      const bucket = buckets[start];
+      addTotals(bucket.total, totals);
+      for (const [dimension, field] of Object.entries(DIMENSIONS)) {
+        const name = record[field] || 'unknown';
+        if (!bucket[dimension][name]) bucket[dimension][name] = emptyTotals();
+        addTotals(bucket[dimension][name], totals);
+      }
+    }
+
+    this.dirty = true;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [granularity, buckets] of Object.entries(this.buckets)) {
+      for (const start of Object.keys(buckets)) {
+        if (Number(start) < now - RETENTION_MS[granularity]) {
+          delete buckets[start];
+          this.dirty = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Gets the buckets in a time range and their combined totals
+   * @param {object} options { granularity: 'hourly' | 'daily', since, until } - times in ms
+   * @returns {object} { granularity, buckets: [{ start, total, byKey, ... }], totals: { total, byKey, ... } }
+   */
+  getSummary(options = {}) {
+    const granularity = options.granularity === 'daily' ? 'daily' : 'hourly';
+    const since = options.since || Date.now() - (granularity === 'daily' ? 30 * DAY_MS : DAY_MS);
+    const until = options.until || Date.now();
+
+    const buckets = Object.entries(this.buckets[granularity])
+      .filter(([start]) => Number(start) + BUCKET_MS[granularity] > since && Number(start) <= until)
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([start, bucket]) => ({ start: new Date(Number(start)).toISOString(), ...bucket }));
+
+    const totals = { total: emptyTotals(), byKey: {}, byProvider: {}, byModel: {}, byClient: {} };
+    for (const bucket of buckets) {
+      addTotals(totals.total, bucket.total);
+      for (const dimension of Object.keys(DIMENSIONS)) {
+        for (const [name, values] of Object.entries(bucket[dimension])) {
+          if (!totals[dimension][name]) totals[dimension][name] = emptyTotals();
+          addTotals(totals[dimension][name], values);
+        }
+      }
+    }
+
+    return { granularity, since: new Date(since).toISOString(), until: new Date(until).toISOString(), buckets, totals };
+  }
+
+  /**
+   * Writes the usage file if anything changed since the last write, replacing it atomically
+   */
+  save() {
+    if (!this.filePath || !this.dirty) return;
+
+    this.prune();
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ savedAt: new Date().toISOString(), ...this.buckets }));
+      fs.renameSync(tempPath, this.filePath);
+      this.dirty = false;
+    } catch (error) {
+      console.error(`[USAGE] Failed to save usage to ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = UsageStore;
@@ -0,0 +1,89 @@
+/**
+ * Reads token usage from a parsed response object.
+ * OpenAI-style and Anthropic bodies report `usage`, Gemini bodies report `usageMetadata`.
+ * Prompt tokens include those read from the provider's prompt cache, which cachedTokens counts
+ * separately (Anthropic reports cache reads and writes apart from input_tokens, so they're added in).
+ * @param {object} parsed Parsed response body or stream event
+ * @returns {object|null} { promptTokens, completionTokens, totalTokens, cachedTokens }, or null if absent
+ */
+function readUsage(parsed) {
+  if (!parsed || typeof parsed !== 'object') return null;
+
+  // Anthropic's message_start event carries the usage on the message it starts
+  if (parsed.type === 'message_start' && parsed.message) {
+    return readUsage(parsed.message);
+  }
+
+  if (parsed.usage && typeof parsed.usage === 'object') {
+    const usage = parsed.usage;
+    const details = usage.prompt_tokens_details || usage.input_tokens_details || {};
+    const cached = details.cached_tokens || usage.cache_read_input_tokens || 0;
+    const prompt = usage.prompt_tokens ||
+      (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0);
+    const completion = usage.completion_tokens || usage.output_tokens || 0;
+    return {
+      promptTokens: prompt,
+      completionTokens: completion,
+      totalTokens: usage.total_tokens || prompt + completion,
+      cachedTokens: cached
+    };
+  }
+
+  if (parsed.usageMetadata && typeof parsed.usageMetadata === 'object') {
+    const prompt = parsed.usageMetadata.promptTokenCount || 0;
+    const completion = parsed.usageMetadata.candidatesTokenCount || 0;
+    return {
+      promptTokens: prompt,
+      completionTokens: completion,
+      totalTokens: parsed.usageMetadata.totalTokenCount || prompt + completion,
+      cachedTokens: parsed.usageMetadata.cachedContentTokenCount || 0
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Extracts token usage from a response body, either plain JSON or server-sent events.
+ * For streams the last event carrying usage wins, since Gemini repeats running totals.
+ * If it has no input tokens (Anthropic's message_delta), they're taken from an earlier event.
+ * @param {string} body Response body (or the start and end of a stream, see StreamUsageCapture)
+ * @returns {object|null} { promptTokens, completionTokens, totalTokens, cachedTokens }, or null if absent
+ */
+function extractTokenUsage(body) {
+  if (!body || typeof body !== 'string') return null;
+
+  try {
+    return readUsage(JSON.parse(body));
+  } catch (error) {
+    // Not a single JSON document - fall through to event parsing
+  }
+
+  const dataLines = body.split('\n').filter(line => line.startsWith('data:'));
+  let latest = null;
+  for (let i = dataLines.length - 1; i >= 0; i--) {
+    let usage;
+    try {
+      usage = readUsage(JSON.parse(dataLines[i].slice(5).trim()));
+    } catch (error) {
+      continue; // [DONE] markers and partial events at the start of a tail aren't JSON
+    }
+    if (!usage) continue;
+
+    if (!latest) {
+      latest = usage;
+      if (latest.promptTokens) return latest;
+    } else if (usage.promptTokens) {
+      return {
+        promptTokens: usage.promptTokens,
+        completionTokens: latest.completionTokens,
+        totalTokens: usage.promptTokens + latest.completionTokens,
+        cachedTokens: usage.cachedTokens
+      };
+    }
+  }
+
+  return latest;
+}
+
+module.exports = { extractTokenUsage };
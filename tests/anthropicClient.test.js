@@ -0,0 +1,147 @@
+const http = require('http');
+const AnthropicClient = require('../src/anthropicClient');
+const { PassThrough } = require('stream');
+const KeyRotator = require('../src/keyRotator');
+
+describe('AnthropicClient', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    const createClient = (baseUrl = 'https://anthropic.example.com/v1', keys = ['sk-ant-first-1111', 'sk-ant-second-2222']) => {
+        const rotator = new KeyRotator(keys, 'anthropic', { strategy: 'sequential' });
+        const client = new AnthropicClient(rotator, baseUrl, { networkRetries: 0 });
+        return { client, rotator };
+    };
+
+    const reply = (statusCode, body, headers = {}) => ({ statusCode, headers: { 'content-type': 'application/json', ...headers }, data: JSON.stringify(body) });
+    const message = { type: 'message', content: [{ type: 'text', text: 'Hi' }], usage: { input_tokens: 10, output_tokens: 2 } };
+
+    test('should rotate on 429 and 529 and cool down the rate-limited key', async () => {
+        const { client, rotator } = createClient('https://anthropic.example.com/v1', ['sk-ant-first-1111', 'sk-ant-second-2222', 'sk-ant-third-3333']);
+        const send = jest.spyOn(client, 'sendRequest')
+            .mockResolvedValueOnce(reply(429, { type: 'error', error: { type: 'rate_limit_error', message: 'Slow down' } }, { 'retry-after': '30' }))
+            .mockResolvedValueOnce(reply(529, { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }))
+            .mockResolvedValueOnce(reply(200, message));
+
+        const response = await client.makeRequest('POST', '/messages', '{}');
+
+        expect(response.statusCode).toBe(200);
+        expect(send.mock.calls.map(call => call[4])).toEqual(['sk-ant-first-1111', 'sk-ant-second-2222', 'sk-ant-third-3333']);
+        expect(rotator.getCooldownRemaining('sk-ant-first-1111')).toBeGreaterThan(25000);
+        expect(rotator.getCooldownRemaining('sk-ant-second-2222')).toBe(0);
+    });
+
+    test('should return the last 529 once every key is overloaded', async () => {
+        const { client } = createClient();
+        jest.spyOn(client, 'sendRequest').mockResolvedValue(reply(529, { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }));
+
+        const response = await client.makeRequest('POST', '/messages', '{}');
+
+        expect(response.statusCode).toBe(529);
+    });
+
+    test('should quarantine a key rejected with 401 and keep keys behind a permission error', async () => {
+        const { client, rotator } = createClient();
+        jest.spyOn(client, 'sendRequest')
+            .mockResolvedValueOnce(reply(401, { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } }))
+            .mockResolvedValueOnce(reply(403, { type: 'error', error: { type: 'permission_error', message: 'Your API key does not have permission to use the specified resource.' } }));
+
+        const response = await client.makeRequest('POST', '/messages', '{}');
+
+        expect(response.statusCode).toBe(403);
+        expect(rotator.quarantined.has('sk-ant-first-1111')).toBe(true);
+        expect(rotator.quarantined.has('sk-ant-second-2222')).toBe(false);
+    });
+
+    test('should answer locally once every key is quarantined', async () => {
+        const { client, rotator } = createClient();
+        rotator.quarantineKey('sk-ant-first-1111', 'HTTP 401');
+        rotator.quarantineKey('sk-ant-second-2222', 'HTTP 401');
+        const send = jest.spyOn(client, 'sendRequest');
+
+        const response = await client.makeRequest('POST', '/messages', '{}');
+
+        expect(response.statusCode).toBe(503);
+        expect(response.local).toBe(true);
+        expect(send).not.toHaveBeenCalled();
+    });
+
+    test('should name the provider in the errors it answers with', async () => {
+        const rotator = new KeyRotator(['sk-ant-first-1111'], 'anthropic');
+        const client = new AnthropicClient(rotator, 'https://anthropic.example.com/v1', { providerName: 'claude' });
+        rotator.quarantineKey('sk-ant-first-1111', 'HTTP 401');
+
+        const response = await client.makeRequest('POST', '/messages', '{}');
+
+        expect(JSON.parse(response.data)).toEqual({
+            type: 'error',
+            error: { type: 'api_error', message: "All API keys for provider 'claude' are quarantined" }
+        });
+    });
+
+    describe('with a caller-supplied x-api-key', () => {
+        let server;
+        let received;
+
+        beforeEach(async () => {
+            received = [];
+            server = http.createServer((req, res) => {
+                received.push(req.headers['x-api-key']);
+                const status = req.headers['x-api-key'] === 'sk-ant-caller' ? 401 : 200;
+                res.writeHead(status, { 'content-type': 'application/json' });
+                res.end(JSON.stringify(status === 401 ? { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } } : message));
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should send the caller key upstream and not quarantine pool keys when it is rejected', async () => {
+            const { client, rotator } = createClient(`http://127.0.0.1:${server.address().port}/v1`);
+
+            const response = await client.makeRequest('POST', '/messages', '{}', { 'x-api-key': 'sk-ant-caller' });
+
+            expect(response.statusCode).toBe(401);
+            expect(received).toEqual(['sk-ant-caller']);
+            expect(rotator.quarantined.size).toBe(0);
+        });
+
+        test('should send a pool key when the caller supplies none', async () => {
+            const { client } = createClient(`http://127.0.0.1:${server.address().port}/v1`);
+
+            const response = await client.makeRequest('POST', '/messages', '{}');
+
+            expect(response.statusCode).toBe(200);
+            expect(received).toEqual(['sk-ant-first-1111']);
+        });
+    });
+
+    test('should fail over streams that end before their first event without using up network retries', async () => {
+        const { client, rotator } = createClient(undefined, ['sk-ant-first-1111', 'sk-ant-second-2222', 'sk-ant-third-3333']);
+        const send = jest.spyOn(client, 'sendRequest');
+        const stream = text => {
+            const body = new PassThrough();
+            body.end(text);
+            return { statusCode: 200, headers: { 'content-type': 'text/event-stream' }, stream: body };
+        };
+        send.mockResolvedValueOnce(stream(''));
+        send.mockResolvedValueOnce(stream(': keep-alive\n\n'));
+        send.mockResolvedValueOnce(stream('event: message_start\ndata: {"type":"message_start"}\n\n'));
+
+        const response = await client.makeRequest('POST', '/messages', '{}');
+
+        expect(response.statusCode).toBe(200);
+        expect(Buffer.concat(response.initialChunks).toString()).toContain('data:');
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(rotator.quarantined.size).toBe(0);
+    });
+});
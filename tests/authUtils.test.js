@@ -0,0 +1,58 @@
+const { getAuthFailureReason, safeEqual } = require('../src/authUtils');
+
+describe('getAuthFailureReason', () => {
+    test('should treat 401 as a key failure and keep the upstream message', () => {
+        const response = { statusCode: 401, data: JSON.stringify({ error: { message: 'Incorrect API key provided' } }) };
+
+        expect(getAuthFailureReason(response)).toBe('HTTP 401: Incorrect API key provided');
+        expect(getAuthFailureReason({ statusCode: 401, data: 'Unauthorized' })).toBe('HTTP 401');
+    });
+
+    test('should treat a 403 as a key failure only when it names the key as invalid', () => {
+        const invalidKey = JSON.stringify({ error: { message: 'Invalid API key', code: 'invalid_api_key' } });
+        const region = JSON.stringify({ error: { message: 'Country, region, or territory not supported', code: 'unsupported_country_region_territory' } });
+        const permission = JSON.stringify({ error: { code: 403, message: 'Permission denied on tuned model', status: 'PERMISSION_DENIED' } });
+
+        expect(getAuthFailureReason({ statusCode: 403, data: invalidKey })).toBe('HTTP 403: Invalid API key');
+        expect(getAuthFailureReason({ statusCode: 403, data: region })).toBeNull();
+        expect(getAuthFailureReason({ statusCode: 403, data: permission })).toBeNull();
+        expect(getAuthFailureReason({ statusCode: 403, data: 'Forbidden' })).toBeNull();
+    });
+
+    test('should recognise Gemini invalid key errors', () => {
+        const data = JSON.stringify({ error: { code: 400, message: 'API key not valid.', details: [{ reason: 'API_KEY_INVALID' }] } });
+
+        expect(getAuthFailureReason({ statusCode: 400, data })).toBe('HTTP 400: API key not valid.');
+    });
+
+    test('should recognise billing and suspension errors', () => {
+        const suspended = JSON.stringify({
+            error: {
+                code: 403,
+                message: "Permission denied: Consumer 'api_key:AIza...' has been suspended.",
+                status: 'PERMISSION_DENIED',
+                details: [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'CONSUMER_SUSPENDED', domain: 'googleapis.com' }]
+            }
+        });
+        const billing = JSON.stringify({ error: { message: 'Your account is not active, please check your billing details on our website.', type: 'billing_not_active', code: 'billing_not_active' } });
+        const deactivated = JSON.stringify({ error: { message: 'Your OpenAI account has been deactivated.', type: 'invalid_request_error', code: 'account_deactivated' } });
+
+        expect(getAuthFailureReason({ statusCode: 403, data: suspended })).toBe("HTTP 403: Permission denied: Consumer 'api_key:AIza...' has been suspended.");
+        expect(getAuthFailureReason({ statusCode: 429, data: billing })).toBe('HTTP 429: Your account is not active, please check your billing details on our website.');
+        expect(getAuthFailureReason({ statusCode: 403, data: deactivated })).toBe('HTTP 403: Your OpenAI account has been deactivated.');
+    });
+
+    test('should ignore other responses', () => {
+        expect(getAuthFailureReason({ statusCode: 400, data: '{"error":{"message":"bad model"}}' })).toBeNull();
+        expect(getAuthFailureReason({ statusCode: 429, data: '' })).toBeNull();
+        expect(getAuthFailureReason({ statusCode: 200, data: '{}' })).toBeNull();
+    });
+});
+
+describe('safeEqual', () => {
+    test('should compare secrets of any length', () => {
+        expect(safeEqual('secret', 'secret')).toBe(true);
+        expect(safeEqual('secret', 'secreT')).toBe(false);
+        expect(safeEqual('secret', 'a-much-longer-secret')).toBe(false);
+    });
+});
@@ -0,0 +1,69 @@
+const CircuitBreaker = require('../src/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+    let breaker;
+
+    beforeEach(() => {
+        breaker = new CircuitBreaker('https://api.example.com/v1', { failureThreshold: 3, cooldownSeconds: 30 });
+    });
+
+    test('should open after the threshold of consecutive failures', () => {
+        breaker.recordFailure('HTTP 502');
+        breaker.recordFailure('HTTP 503');
+        expect(breaker.allowRequest()).toBe(true);
+
+        breaker.recordFailure('Upstream connect timeout after 10000ms');
+        expect(breaker.getState().state).toBe('open');
+        expect(breaker.allowRequest()).toBe(false);
+        expect(breaker.getRetryInMs()).toBeGreaterThan(29000);
+    });
+
+    test('should reset the count on success', () => {
+        breaker.recordFailure('HTTP 500');
+        breaker.recordFailure('HTTP 500');
+        breaker.recordSuccess();
+        breaker.recordFailure('HTTP 500');
+
+        expect(breaker.getState().state).toBe('closed');
+        expect(breaker.getState().consecutiveFailures).toBe(1);
+    });
+
+    test('should let a single probe through once the cool-off is over', () => {
+        for (let i = 0; i < 3; i++) breaker.recordFailure('HTTP 502');
+        breaker.openedAt -= 31000;
+
+        expect(breaker.allowRequest()).toBe(true);
+        expect(breaker.getState().state).toBe('half-open');
+        expect(breaker.allowRequest()).toBe(false);
+
+        breaker.recordSuccess();
+        expect(breaker.getState().state).toBe('closed');
+        expect(breaker.allowRequest()).toBe(true);
+    });
+
+    test('should reopen when the probe fails', () => {
+        for (let i = 0; i < 3; i++) breaker.recordFailure('HTTP 502');
+        breaker.openedAt -= 31000;
+        breaker.allowRequest();
+
+        breaker.recordFailure('HTTP 502');
+        expect(breaker.getState().state).toBe('open');
+        expect(breaker.allowRequest()).toBe(false);
+    });
+
+    test('should free the probe slot when the probe says nothing about the upstream', () => {
+        for (let i = 0; i < 3; i++) breaker.recordFailure('HTTP 502');
+        breaker.openedAt -= 31000;
+        breaker.allowRequest();
+
+        breaker.release();
+        expect(breaker.allowRequest()).toBe(true);
+    });
+
+    test('should never open with a zero threshold', () => {
+        const disabled = new CircuitBreaker('https://api.example.com/v1', { failureThreshold: 0 });
+        for (let i = 0; i < 10; i++) disabled.recordFailure('HTTP 500');
+
+        expect(disabled.allowRequest()).toBe(true);
+    });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ClientKeyStore = require('../src/clientKeyStore');
+
+describe('ClientKeyStore', () => {
+    let dir;
+    let filePath;
+    let logSpy;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-keys-'));
+        filePath = path.join(dir, 'client-keys.json');
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should create a key, store only its hash and load it back', () => {
+        const store = new ClientKeyStore(filePath);
+        const { key, entry } = store.create({ label: 'search-team', providers: 'Groq, openai' });
+
+        expect(key).toMatch(/^ck-[0-9a-f]{48}$/);
+        expect(entry).toMatchObject({ label: 'search-team', providers: ['groq', 'openai'], enabled: true, expiresAt: null, expired: false });
+        expect(entry.hash).toBeUndefined();
+        expect(fs.readFileSync(filePath, 'utf8')).not.toContain(key);
+
+        const reloaded = new ClientKeyStore(filePath);
+        expect(reloaded.authenticate('groq', key).label).toBe('search-team');
+    });
+
+    test('should only accept enabled, unexpired keys for their providers', () => {
+        const store = new ClientKeyStore(filePath);
+        const scoped = store.create({ label: 'scoped', providers: ['groq'] });
+        const global = store.create({ label: 'global' });
+
+        expect(store.authenticate('openai', scoped.key)).toBeNull();
+        expect(store.authenticate('openai', global.key).label).toBe('global');
+        expect(store.authenticate('groq', 'ck-wrong')).toBeNull();
+
+        store.update(global.entry.id, { enabled: false });
+        expect(store.authenticate('openai', global.key)).toBeNull();
+
+        store.update(scoped.entry.id, { expiresAt: '2000-01-01' });
+        expect(store.authenticate('groq', scoped.key)).toBeNull();
+        expect(store.list().find(entry => entry.label === 'scoped').expired).toBe(true);
+    });
+
+    test('should keep providers locked while any key covers them', () => {
+        const store = new ClientKeyStore(filePath);
+        expect(store.hasKeysFor('groq')).toBe(false);
+
+        const { entry } = store.create({ label: 'scoped', providers: ['groq'] });
+        store.update(entry.id, { enabled: false });
+        expect(store.hasKeysFor('groq')).toBe(true);
+        expect(store.hasKeysFor('openai')).toBe(false);
+
+        store.delete(entry.id);
+        expect(store.hasKeysFor('groq')).toBe(false);
+    });
+
+    test('should reject missing or duplicate labels and bad expiry dates', () => {
+        const store = new ClientKeyStore(filePath);
+        const { entry } = store.create({ label: 'team' });
+
+        expect(() => store.create({ label: ' ' })).toThrow('label');
+        expect(() => store.create({ label: 'team' })).toThrow('already exists');
+        expect(() => store.create({ label: 'other', expiresAt: 'soon' })).toThrow('date');
+        expect(store.update(entry.id, { label: 'team' }).label).toBe('team');
+        expect(store.update('missing', { enabled: false })).toBeNull();
+        expect(() => store.update(entry.id, { limits: { rpm: 'ten' } })).toThrow('whole number');
+        expect(() => store.update(entry.id, { limits: { rph: 10 } })).toThrow('Unknown limit');
+    });
+
+    test('should keep only the limits that are set', () => {
+        const store = new ClientKeyStore(filePath);
+        const { entry } = store.create({ label: 'team', limits: { rpm: '60', tpd: '', concurrent: 0 } });
+
+        expect(entry.limits).toEqual({ rpm: 60 });
+        expect(store.update(entry.id, { limits: { tpd: 100000 } }).limits).toEqual({ tpd: 100000 });
+        expect(store.update(entry.id, { limits: { spend: '2.50' } }).limits).toEqual({ spend: 2.5 });
+        expect(() => store.update(entry.id, { limits: { spend: '-1' } })).toThrow('non-negative amount');
+        expect(() => store.update(entry.id, { limits: { tpd: '1.5' } })).toThrow('whole number');
+    });
+});
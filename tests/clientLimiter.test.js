@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ClientLimiter = require('../src/clientLimiter');
+
+describe('ClientLimiter', () => {
+    let limiter;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+        limiter = new ClientLimiter();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should allow requests up to the per-minute limit and say when to retry', () => {
+        const limits = { rpm: 2 };
+
+        expect(limiter.tryAcquire('team', limits)).toBeNull();
+        jest.advanceTimersByTime(10 * 1000);
+        expect(limiter.tryAcquire('team', limits)).toBeNull();
+
+        const rejection = limiter.tryAcquire('team', limits);
+        expect(rejection.limit).toBe('rpm');
+        expect(rejection.retryAfterMs).toBe(50 * 1000);
+
+        jest.advanceTimersByTime(50 * 1000 + 1);
+        expect(limiter.tryAcquire('team', limits)).toBeNull();
+    });
+
+    test('should hold concurrent slots until they are released', () => {
+        const limits = { concurrent: 1 };
+
+        expect(limiter.tryAcquire('team', limits)).toBeNull();
+        expect(limiter.tryAcquire('team', limits).limit).toBe('concurrent');
+        expect(limiter.tryAcquire('other', limits)).toBeNull();
+
+        limiter.release('team');
+        expect(limiter.tryAcquire('team', limits)).toBeNull();
+    });
+
+    test('should stop a client once its daily tokens are spent', () => {
+        const limits = { tpd: 1000 };
+
+        expect(limiter.tryAcquire('team', limits)).toBeNull();
+        limiter.recordTokenUsage('team', { totalTokens: 1200 });
+        limiter.recordTokenUsage('team', null);
+
+        const rejection = limiter.tryAcquire('team', limits);
+        expect(rejection.limit).toBe('tpd');
+        expect(rejection.message).toContain('1000 tokens per day');
+        expect(limiter.getUsage('team', limits).tpd).toMatchObject({ used: 1200, limit: 1000 });
+
+        jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+        expect(limiter.tryAcquire('team', limits)).toBeNull();
+    });
+
+    test('should stop a client once its daily spend cap is reached', () => {
+        const limits = { spend: 0.5 };
+
+        expect(limiter.tryAcquire('team', limits)).toBeNull();
+        limiter.recordTokenUsage('team', { totalTokens: 1000 }, 0.3);
+        jest.advanceTimersByTime(60 * 60 * 1000);
+        expect(limiter.tryAcquire('team', limits)).toBeNull();
+        limiter.recordTokenUsage('team', null, 0.25);
+
+        const rejection = limiter.tryAcquire('team', limits);
+        expect(rejection.limit).toBe('spend');
+        expect(rejection.message).toContain('$0.5 per day');
+        expect(rejection.retryAfterMs).toBe(23 * 60 * 60 * 1000);
+        expect(limiter.getUsage('team', limits).tpd.used).toBe(1000);
+    });
+
+    test('should report usage without limits', () => {
+        limiter.tryAcquire('team', {});
+        limiter.tryAcquire('team', {});
+
+        expect(limiter.getUsage('team')).toEqual({
+            rpm: { used: 2, limit: 0, waitMs: 0 },
+            tpd: { used: 0, limit: 0, waitMs: 0 },
+            spend: { used: 0, limit: 0, waitMs: 0 },
+            concurrent: { used: 2, limit: 0, waitMs: 0 }
+        });
+    });
+
+    describe('saved usage', () => {
+        let dir;
+        let filePath;
+        let logSpy;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-usage-'));
+            filePath = path.join(dir, 'client-usage.json');
+            logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            logSpy.mockRestore();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should carry daily token and spend usage over a restart', () => {
+            const saved = new ClientLimiter(filePath);
+            saved.tryAcquire('team', {});
+            saved.recordTokenUsage('team', { totalTokens: 1200 }, 0.6);
+            saved.release('team');
+            saved.save();
+
+            jest.advanceTimersByTime(60 * 60 * 1000);
+            const restarted = new ClientLimiter(filePath);
+            expect(restarted.tryAcquire('team', { tpd: 1000 }).limit).toBe('tpd');
+            expect(restarted.tryAcquire('team', { spend: 0.5 }).limit).toBe('spend');
+            expect(restarted.getUsage('team').concurrent.used).toBe(0);
+
+            jest.advanceTimersByTime(23 * 60 * 60 * 1000);
+            expect(restarted.tryAcquire('team', { tpd: 1000 })).toBeNull();
+        });
+
+        test('should save the last day of events merged per minute', () => {
+            const saved = new ClientLimiter(filePath);
+            saved.recordTokenUsage('team', { totalTokens: 10 });
+            jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+            for (let i = 0; i < 5; i++) {
+                saved.recordTokenUsage('team', { totalTokens: 100 });
+                jest.advanceTimersByTime(5 * 1000);
+            }
+            saved.save();
+
+            const events = JSON.parse(fs.readFileSync(filePath, 'utf8')).clients.team;
+            expect(events).toEqual([{ time: Date.now() - 5 * 1000, requests: 0, tokens: 500, cost: 0 }]);
+        });
+
+        test('should ignore an unreadable client usage file', () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            fs.writeFileSync(filePath, '{not json');
+
+            const restarted = new ClientLimiter(filePath);
+            expect(restarted.getUsage('team').tpd.used).toBe(0);
+            expect(warnSpy).toHaveBeenCalled();
+            warnSpy.mockRestore();
+        });
+    });
+});
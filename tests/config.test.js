@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Config = require('../src/config');
+
+describe('Config', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(process, 'cwd').mockReturnValue(dir);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const loadConfig = (env = []) => {
+        fs.writeFileSync(path.join(dir, '.env'), ['PORT=0', 'ADMIN_PASSWORD=secret', ...env].join('\n'));
+        return new Config();
+    };
+
+    describe('parseFallbackModels', () => {
+        test('should map any model with provider:model and one model with provider:from=to', () => {
+            const config = loadConfig();
+
+            expect(config.parseFallbackModels('openrouter:meta-llama/llama-3.1-8b-instruct, OpenAI:gpt-4o=gpt-4o-mini,openai:o1 = o1-mini')).toEqual({
+                openrouter: { '*': 'meta-llama/llama-3.1-8b-instruct' },
+                openai: { 'gpt-4o': 'gpt-4o-mini', o1: 'o1-mini' }
+            });
+        });
+
+        test('should keep colons in model names after the provider', () => {
+            const config = loadConfig();
+
+            expect(config.parseFallbackModels('ollama:llama3:8b')).toEqual({ ollama: { '*': 'llama3:8b' } });
+        });
+
+        test('should skip malformed entries', () => {
+            const config = loadConfig();
+
+            expect(config.parseFallbackModels(undefined)).toEqual({});
+            expect(config.parseFallbackModels('gpt-4o-mini,:gpt-4o,groq:,groq:=llama,groq:llama=, ,,')).toEqual({});
+            expect(config.parseFallbackModels('nonsense,groq:llama-3.1-8b')).toEqual({ groq: { '*': 'llama-3.1-8b' } });
+        });
+    });
+
+    describe('parseModelAliases', () => {
+        test('should map aliases to models', () => {
+            const config = loadConfig();
+
+            expect(config.parseModelAliases('fast-chat=llama-3.1-8b-instant, smart = llama-3.3-70b')).toEqual({
+                'fast-chat': 'llama-3.1-8b-instant',
+                smart: 'llama-3.3-70b'
+            });
+        });
+
+        test('should skip malformed entries', () => {
+            const config = loadConfig();
+
+            expect(config.parseModelAliases(undefined)).toEqual({});
+            expect(config.parseModelAliases('fast-chat,=llama,smart=, ,,')).toEqual({});
+            expect(config.parseModelAliases('tuned=ft:gpt-4o:org=team')).toEqual({ tuned: 'ft:gpt-4o:org=team' });
+        });
+    });
+
+    test('should build fallback chains and the alias table from provider settings', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const config = loadConfig([
+            'OPENAI_GROQ_API_KEYS=gsk-1111',
+            'OPENAI_GROQ_FALLBACK=openrouter,gemini',
+            'OPENAI_GROQ_FALLBACK_MODELS=openrouter:meta-llama/llama-3.1-8b-instruct,bad-entry',
+            'OPENAI_GROQ_MODEL_ALIASES=fast-chat=llama-3.1-8b-instant,broken',
+            'OPENAI_OPENROUTER_API_KEYS=sk-or-2222',
+            'GEMINI_GEMINI_API_KEYS=AIza-3333',
+            'GEMINI_GEMINI_MODEL_ALIASES=fast-chat=gemini-2.0-flash,flash=gemini-2.0-flash'
+        ]);
+
+        expect(config.getFallbackChain('groq').map(entry => [entry.providerName, entry.modelMap])).toEqual([
+            ['openrouter', { '*': 'meta-llama/llama-3.1-8b-instruct' }]
+        ]);
+        expect(config.getModelAlias('fast-chat')).toEqual({ providerName: 'groq', model: 'llama-3.1-8b-instant' });
+        expect(config.getModelAlias('flash')).toEqual({ providerName: 'gemini', model: 'gemini-2.0-flash' });
+        expect(config.getModelAlias('broken')).toBeNull();
+        expect(warnSpy.mock.calls.map(call => call[0])).toEqual([
+            expect.stringContaining("Model alias 'fast-chat' is defined by both 'groq' and 'gemini'"),
+            expect.stringContaining("fallback provider 'gemini' is gemini, not openai")
+        ]);
+    });
+});
@@ -0,0 +1,77 @@
+const GeminiClient = require('../src/geminiClient');
+const { PassThrough } = require('stream');
+const KeyRotator = require('../src/keyRotator');
+
+describe('GeminiClient', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    const createClient = (keys = ['AIza-first-key-1111', 'AIza-second-key-2222']) => {
+        const rotator = new KeyRotator(keys, 'gemini', { strategy: 'sequential' });
+        const client = new GeminiClient(rotator, 'https://gemini.example.com', { networkRetries: 0 });
+        return { client, rotator, send: jest.spyOn(client, 'sendRequest') };
+    };
+
+    const reply = (statusCode, body) => ({ statusCode, headers: { 'content-type': 'application/json' }, data: JSON.stringify(body) });
+
+    test('should quarantine a key Gemini reports as API_KEY_INVALID', async () => {
+        const { client, rotator, send } = createClient();
+        send.mockResolvedValueOnce(reply(400, { error: { code: 400, message: 'API key not valid.', details: [{ reason: 'API_KEY_INVALID' }] } }));
+        send.mockResolvedValueOnce(reply(200, { candidates: [] }));
+
+        const response = await client.makeRequest('POST', '/v1beta/models/gemini-pro:generateContent', '{}');
+
+        expect(response.statusCode).toBe(200);
+        expect(rotator.quarantined.has('AIza-first-key-1111')).toBe(true);
+    });
+
+    test('should quarantine a key whose consumer is suspended', async () => {
+        const { client, rotator, send } = createClient();
+        send.mockResolvedValueOnce(reply(403, {
+            error: { code: 403, message: "Permission denied: Consumer 'api_key:AIza...' has been suspended.", status: 'PERMISSION_DENIED', details: [{ reason: 'CONSUMER_SUSPENDED' }] }
+        }));
+        send.mockResolvedValueOnce(reply(200, { candidates: [] }));
+
+        const response = await client.makeRequest('POST', '/v1beta/models/gemini-pro:generateContent', '{}');
+
+        expect(response.statusCode).toBe(200);
+        expect(rotator.quarantined.has('AIza-first-key-1111')).toBe(true);
+    });
+
+    test('should pass PERMISSION_DENIED on a resource through and keep the key in rotation', async () => {
+        const { client, rotator, send } = createClient();
+        send.mockResolvedValue(reply(403, { error: { code: 403, message: 'You do not have permission to access the File abc or it may not exist.', status: 'PERMISSION_DENIED' } }));
+
+        const response = await client.makeRequest('POST', '/v1beta/models/gemini-pro:generateContent', '{}');
+
+        expect(response.statusCode).toBe(403);
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(rotator.quarantined.size).toBe(0);
+    });
+
+    test('should fail over streams that end before their first event without using up network retries', async () => {
+        const { client, rotator, send } = createClient(['AIza-first-key-1111', 'AIza-second-key-2222', 'AIza-third-key-3333']);
+        const stream = text => {
+            const body = new PassThrough();
+            body.end(text);
+            return { statusCode: 200, headers: { 'content-type': 'text/event-stream' }, stream: body };
+        };
+        send.mockResolvedValueOnce(stream(''));
+        send.mockResolvedValueOnce(stream(': keep-alive\n\n'));
+        send.mockResolvedValueOnce(stream('data: {"candidates":[]}\n\n'));
+
+        const response = await client.makeRequest('POST', '/models/gemini-2.0-flash:streamGenerateContent?alt=sse', '{}');
+
+        expect(response.statusCode).toBe(200);
+        expect(Buffer.concat(response.initialChunks).toString()).toContain('data:');
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(rotator.quarantined.size).toBe(0);
+    });
+});
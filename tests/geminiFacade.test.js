@@ -0,0 +1,152 @@
+const geminiFacade = require('../src/geminiFacade');
+
+describe('geminiFacade', () => {
+    describe('translateRequest', () => {
+        test('should map generateContent to chat completions with system and generation settings', () => {
+            const request = geminiFacade.translateRequest('POST', '/v1beta/models/llama-3.1-8b-instant:generateContent', JSON.stringify({
+                systemInstruction: { parts: [{ text: 'Be brief' }] },
+                contents: [{ role: 'user', parts: [{ text: 'Hi' }] }],
+                generationConfig: { maxOutputTokens: 50, topP: 0.9, stopSequences: ['END'] }
+            }));
+
+            expect(request.path).toBe('/chat/completions');
+            expect(JSON.parse(request.body)).toEqual({
+                model: 'llama-3.1-8b-instant',
+                messages: [
+                    { role: 'system', content: 'Be brief' },
+                    { role: 'user', content: 'Hi' }
+                ],
+                max_tokens: 50,
+                top_p: 0.9,
+                stop: ['END']
+            });
+        });
+
+        test('should only stream with alt=sse and ask for usage totals', () => {
+            const body = JSON.stringify({ contents: [{ parts: [{ text: 'Hi' }] }] });
+            const sse = geminiFacade.translateRequest('POST', '/models/m:streamGenerateContent?alt=sse', body);
+            const array = geminiFacade.translateRequest('POST', '/models/m:streamGenerateContent', body);
+
+            expect(JSON.parse(sse.body).stream_options).toEqual({ include_usage: true });
+            expect(sse.stream).toBe(true);
+            expect(JSON.parse(array.body).stream).toBeUndefined();
+            expect(array.array).toBe(true);
+        });
+
+        test('should reject file URIs as an invalid argument', () => {
+            const request = geminiFacade.translateRequest('POST', '/models/m:generateContent', JSON.stringify({
+                contents: [{ parts: [{ text: 'Describe' }, { fileData: { mimeType: 'image/png', fileUri: 'https://generativelanguage.googleapis.com/v1beta/files/abc' } }] }]
+            }));
+
+            expect(request.statusCode).toBe(400);
+            expect(request.error).toContain('File URIs are not supported');
+            expect(JSON.parse(geminiFacade.formatError(request.statusCode, request.error).data).error.status).toBe('INVALID_ARGUMENT');
+        });
+
+        test('should reject unsupported methods', () => {
+            const request = geminiFacade.translateRequest('POST', '/models/m:countTokens', '{}');
+            expect(request.statusCode).toBe(404);
+        });
+    });
+
+    describe('function calling', () => {
+        test('should turn declarations, calls and responses into tools and tool messages', () => {
+            const openai = geminiFacade.toOpenAIChatRequest({
+                contents: [
+                    { role: 'user', parts: [{ text: 'Weather?' }] },
+                    { role: 'model', parts: [{ functionCall: { name: 'weather', args: { city: 'Paris' } } }] },
+                    { role: 'user', parts: [{ functionResponse: { name: 'weather', response: { temp: 20 } } }] }
+                ],
+                tools: [{ functionDeclarations: [{ name: 'weather', parameters: { type: 'OBJECT', properties: { city: { type: 'STRING' } } } }] }],
+                toolConfig: { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['weather'] } }
+            }, 'm');
+
+            const toolCall = openai.messages[1].tool_calls[0];
+            expect(toolCall.function).toEqual({ name: 'weather', arguments: '{"city":"Paris"}' });
+            expect(openai.messages[2]).toEqual({ role: 'tool', tool_call_id: toolCall.id, content: '{"temp":20}' });
+            expect(openai.tools[0].function.parameters).toEqual({ type: 'object', properties: { city: { type: 'string' } } });
+            expect(openai.tool_choice).toEqual({ type: 'function', function: { name: 'weather' } });
+        });
+
+        test('should report tool calls as function call parts', () => {
+            const response = geminiFacade.toGeminiResponse({
+                choices: [{ index: 0, message: { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } }] }, finish_reason: 'tool_calls' }],
+                usage: { prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 }
+            }, 'm');
+
+            expect(response.candidates[0]).toEqual({
+                content: { role: 'model', parts: [{ functionCall: { name: 'weather', args: { city: 'Paris' } } }] },
+                index: 0,
+                finishReason: 'STOP'
+            });
+            expect(response.usageMetadata).toEqual({ promptTokenCount: 3, candidatesTokenCount: 4, totalTokenCount: 7 });
+        });
+    });
+
+    describe('createStreamTranslator', () => {
+        test('should forward text and send assembled tool calls with the usage totals at the end', (done) => {
+            const translator = geminiFacade.createStreamTranslator('m');
+            let output = '';
+            translator.on('data', (chunk) => { output += chunk; });
+            translator.on('end', () => {
+                const events = output.trim().split('\n\n').map(event => JSON.parse(event.slice(6)));
+                expect(events).toHaveLength(2);
+                expect(events[0].candidates[0].content.parts).toEqual([{ text: 'Checking' }]);
+
+                const last = events[1];
+                expect(last.candidates[0].content.parts).toEqual([{ functionCall: { name: 'weather', args: { city: 'Paris' } } }]);
+                expect(last.candidates[0].finishReason).toBe('STOP');
+                expect(last.usageMetadata.totalTokenCount).toBe(9);
+                expect(translator.usage.total_tokens).toBe(9);
+                done();
+            });
+
+            const chunk = (choices, extra = {}) => `data: ${JSON.stringify({ choices, ...extra })}\n\n`;
+            translator.write(chunk([{ index: 0, delta: { role: 'assistant', content: 'Checking' } }]));
+            translator.write(chunk([{ index: 0, delta: { tool_calls: [{ index: 0, id: 'c1', function: { name: 'weather', arguments: '{"ci' } }] } }]));
+            translator.write(chunk([{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: 'ty":"Paris"}' } }] } }]));
+            translator.write(chunk([{ index: 0, delta: {}, finish_reason: 'tool_calls' }]));
+            translator.write(chunk([], { usage: { prompt_tokens: 4, completion_tokens: 5, total_tokens: 9 } }));
+            translator.end('data: [DONE]\n\n');
+        });
+
+        test('should end a stream with an error event when tool call arguments are not valid JSON', (done) => {
+            const translator = geminiFacade.createStreamTranslator('m');
+            let output = '';
+            translator.on('data', (chunk) => { output += chunk; });
+            translator.on('end', () => {
+                const events = output.trim().split('\n\n').map(event => JSON.parse(event.slice(6)));
+                expect(events).toHaveLength(1);
+                expect(events[0].error).toMatchObject({ code: 502, status: 'INTERNAL' });
+                done();
+            });
+
+            translator.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { name: 'weather', arguments: '{"ci' } }] }, finish_reason: 'tool_calls' }] })}\n\n`);
+            translator.end('data: [DONE]\n\n');
+        });
+    });
+
+    describe('translateResponse', () => {
+        test('should convert OpenAI errors to the Gemini error format', () => {
+            const response = geminiFacade.translateResponse({ kind: 'chat', model: 'm' }, {
+                statusCode: 429,
+                headers: { 'retry-after': '10' },
+                data: JSON.stringify({ error: { message: 'Rate limit reached', type: 'requests' } })
+            });
+
+            expect(response.headers['retry-after']).toBe('10');
+            expect(JSON.parse(response.data)).toEqual({ error: { code: 429, message: 'Rate limit reached', status: 'RESOURCE_EXHAUSTED' } });
+        });
+
+        test('should report tool call arguments that are not valid JSON', () => {
+            const response = geminiFacade.translateResponse({ kind: 'chat', model: 'm' }, {
+                statusCode: 200,
+                headers: {},
+                data: JSON.stringify({ choices: [{ index: 0, message: { tool_calls: [{ id: 'c1', type: 'function', function: { name: 'weather', arguments: '{"city":' } }] }, finish_reason: 'tool_calls' }] })
+            });
+
+            expect(response.statusCode).toBe(502);
+            expect(JSON.parse(response.data).error.message).toMatch(/^Upstream returned arguments for function 'weather' that aren't valid JSON/);
+        });
+    });
+});
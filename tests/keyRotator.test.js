@@ -25,6 +25,240 @@ describe('KeyRotator', () => {
         expect(rotator.lastFailedKey).toBe('key1');
     });
 
+    describe('cooldowns', () => {
+        test('should report remaining cooldown per key', () => {
+            rotator.setCooldown('key1', 5000);
+
+            expect(rotator.getCooldownRemaining('key1')).toBeGreaterThan(4000);
+            expect(rotator.getCooldownRemaining('key2')).toBe(0);
+            expect(rotator.getKeyStates()[0].cooldownUntil).not.toBeNull();
+        });
+
+        test('should fall back to the configured cooldown without an upstream hint', () => {
+            const configured = new KeyRotator(mockKeys, 'test-api', { cooldownSeconds: 10 });
+            configured.setCooldown('key2');
+
+            const remaining = configured.getCooldownRemaining('key2');
+            expect(remaining).toBeGreaterThan(9000);
+            expect(remaining).toBeLessThanOrEqual(10000);
+        });
+
+        test('should skip cooling keys while others are available', () => {
+            rotator.setCooldown('key1', 5000);
+            const ctx = rotator.createRequestContext();
+
+            expect(ctx.apiKeys).toHaveLength(2);
+            expect(ctx.apiKeys).not.toContain('key1');
+            expect(ctx.getStats().skippedCoolingKeys).toBe(1);
+        });
+
+        test('should try soonest-recovering keys first when all keys are cooling', () => {
+            rotator.setCooldown('key1', 3000);
+            rotator.setCooldown('key2', 1000);
+            rotator.setCooldown('key3', 2000);
+            const ctx = rotator.createRequestContext();
+
+            expect(ctx.apiKeys).toEqual(['key2', 'key3', 'key1']);
+        });
+
+        test('should make a key available again once its cooldown is cleared', () => {
+            rotator.setCooldown('key1', 5000);
+            rotator.clearCooldown('key1');
+
+            expect(rotator.getCooldownRemaining('key1')).toBe(0);
+            expect(rotator.createRequestContext().apiKeys).toHaveLength(3);
+        });
+    });
+
+    describe('rotation strategies', () => {
+        test('should fall back to smart-shuffle for unknown strategies', () => {
+            const unknown = new KeyRotator(mockKeys, 'test-api', { strategy: 'bogus' });
+            expect(unknown.strategy).toBe('smart-shuffle');
+        });
+
+        test('should start each request one key further with round-robin', () => {
+            const roundRobin = new KeyRotator(mockKeys, 'test-api', { strategy: 'round-robin' });
+
+            expect(roundRobin.createRequestContext().apiKeys).toEqual(['key1', 'key2', 'key3']);
+            expect(roundRobin.createRequestContext().apiKeys).toEqual(['key2', 'key3', 'key1']);
+            expect(roundRobin.createRequestContext().apiKeys).toEqual(['key3', 'key1', 'key2']);
+        });
+
+        test('should prefer keys that were never or least recently used', () => {
+            const lru = new KeyRotator(mockKeys, 'test-api', { strategy: 'least-recently-used' });
+            lru.lastUsed.set('key1', 2000);
+            lru.lastUsed.set('key3', 1000);
+
+            expect(lru.createRequestContext().apiKeys).toEqual(['key2', 'key3', 'key1']);
+        });
+
+        test('should prefer keys with fewer requests in flight', () => {
+            const leastInFlight = new KeyRotator(mockKeys, 'test-api', { strategy: 'least-in-flight' });
+            leastInFlight.acquireKey('key1');
+            leastInFlight.acquireKey('key1');
+            leastInFlight.acquireKey('key2');
+
+            expect(leastInFlight.createRequestContext().apiKeys).toEqual(['key3', 'key2', 'key1']);
+
+            leastInFlight.releaseKey('key1');
+            leastInFlight.releaseKey('key1');
+            expect(leastInFlight.getKeyStates()[0].inFlight).toBe(0);
+        });
+
+        test('should only use zero-weight keys as a last resort', () => {
+            const weighted = new KeyRotator(mockKeys, 'test-api', { strategy: 'weighted', weights: [0, 5, 1] });
+
+            for (let i = 0; i < 5; i++) {
+                expect(weighted.createRequestContext().apiKeys[2]).toBe('key1');
+            }
+        });
+
+        test('should stick to the primary key until it cools down', () => {
+            const sequential = new KeyRotator(mockKeys, 'test-api', { strategy: 'sequential' });
+            expect(sequential.createRequestContext().apiKeys).toEqual(['key1', 'key2', 'key3']);
+
+            sequential.setCooldown('key1', 5000);
+            expect(sequential.createRequestContext().apiKeys).toEqual(['key2', 'key3']);
+        });
+    });
+
+    describe('budgets', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should skip keys that used up their request budget', () => {
+            const budgeted = new KeyRotator(mockKeys, 'test-api', { limits: [{ rpm: 2 }, null, null] });
+            budgeted.acquireKey('key1');
+            budgeted.acquireKey('key1');
+
+            const ctx = budgeted.createRequestContext();
+            expect(ctx.apiKeys).not.toContain('key1');
+            expect(ctx.getStats().overBudgetKeys).toBe(1);
+            expect(budgeted.getBudgetWait('key1')).toBeGreaterThan(59000);
+        });
+
+        test('should count reported tokens against the token budget', () => {
+            const budgeted = new KeyRotator(['key1'], 'test-api', { limits: [{ tpm: 100 }] });
+            budgeted.recordTokenUsage('key1', { totalTokens: 60 });
+            expect(budgeted.getBudgetWait('key1')).toBe(0);
+
+            budgeted.recordTokenUsage('key1', { totalTokens: 60 });
+            expect(budgeted.getBudgetUsage('key1').tpm.used).toBe(120);
+            expect(budgeted.getBudgetWait('key1')).toBeGreaterThan(0);
+        });
+
+        test('should keep usage per window and drop what left the shorter one', () => {
+            const budgeted = new KeyRotator(['key1'], 'test-api', { limits: [{ rpm: 2, tpm: 100, rpd: 3 }] });
+            const now = Date.now();
+            budgeted.acquireKey('key1');
+            budgeted.recordTokenUsage('key1', { totalTokens: 80 });
+            jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+            budgeted.acquireKey('key1');
+            budgeted.acquireKey('key1');
+
+            expect(budgeted.getBudgetUsage('key1')).toMatchObject({ rpm: { used: 2 }, tpm: { used: 0 }, rpd: { used: 3 } });
+            expect(budgeted.getBudgetWait('key1')).toBeGreaterThan(22 * 60 * 60 * 1000);
+            expect(budgeted.getUsageEvents('key1').map(event => event.requests)).toEqual([1, 1, 1]);
+        });
+
+        test('should take the retry wait only from keys in rotation', () => {
+            const budgeted = new KeyRotator(['key1', 'key2'], 'test-api', { limits: [{ rpm: 1 }, { rpd: 1 }] });
+            budgeted.acquireKey('key1');
+            budgeted.acquireKey('key2');
+            budgeted.quarantineKey('key1', 'HTTP 401');
+
+            expect([...budgeted.getOverBudgetKeys().keys()]).toEqual(['key2']);
+            expect(budgeted.createRequestContext().getBudgetRetryMs()).toBeGreaterThan(23 * 60 * 60 * 1000);
+        });
+
+        test('should report when every key is over budget', () => {
+            const budgeted = new KeyRotator(['key1', 'key2'], 'test-api', { limits: [{ rpd: 1 }, { rpd: 1 }] });
+            budgeted.acquireKey('key1');
+            budgeted.acquireKey('key2');
+
+            const ctx = budgeted.createRequestContext();
+            expect(ctx.allKeysOverBudget()).toBe(true);
+            expect(ctx.getNextKey()).toBeNull();
+            expect(ctx.getBudgetRetryMs()).toBeGreaterThan(23 * 60 * 60 * 1000);
+        });
+
+        test('should let a key back in once old usage leaves the window', () => {
+            const budgeted = new KeyRotator(['key1'], 'test-api', { limits: [{ rpm: 1 }] });
+            budgeted.acquireKey('key1');
+            jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61000);
+
+            expect(budgeted.getBudgetWait('key1')).toBe(0);
+            expect(budgeted.getUsageEvents('key1')).toHaveLength(0);
+        });
+    });
+
+    describe('quarantine', () => {
+        test('should leave quarantined keys out of rotation until restored', () => {
+            rotator.quarantineKey('key2', 'HTTP 401: revoked');
+
+            expect(rotator.createRequestContext().apiKeys).not.toContain('key2');
+            expect(rotator.getKeyStates()[1].quarantined.reason).toBe('HTTP 401: revoked');
+
+            expect(rotator.restoreKey('key2')).toBe(true);
+            expect(rotator.createRequestContext().apiKeys).toContain('key2');
+        });
+
+        test('should report when every key is quarantined', () => {
+            mockKeys.forEach(key => rotator.quarantineKey(key, 'HTTP 403'));
+
+            expect(rotator.allKeysQuarantined()).toBe(true);
+        });
+    });
+
+    describe('events', () => {
+        test('should report rotations, failures and quarantines with masked keys', () => {
+            const keyRotator = new KeyRotator(['sk-aaaa1111', 'sk-bbbb2222'], 'test-api');
+            const events = [];
+            keyRotator.onEvent = (type, maskedKey, detail) => events.push([type, maskedKey, detail]);
+
+            const context = keyRotator.createRequestContext();
+            const first = context.getNextKey();
+            keyRotator.recordFailure(first, 429);
+            context.markKeyAsRateLimited(first);
+            const second = context.getNextKey();
+            keyRotator.quarantineKey(second, 'HTTP 401');
+
+            expect(events).toEqual([
+                ['failure', keyRotator.maskApiKey(first), { reason: '429' }],
+                ['rotation', keyRotator.maskApiKey(second), {}],
+                ['quarantine', keyRotator.maskApiKey(second), { reason: 'HTTP 401' }]
+            ]);
+        });
+
+        test('should work without a listener', () => {
+            expect(() => rotator.recordFailure('key1', 'timeout')).not.toThrow();
+        });
+    });
+
+    describe('state persistence', () => {
+        test('should restore cooldowns, budgets and the last failed key for keys that are still configured', () => {
+            const original = new KeyRotator(mockKeys, 'test-api', { limits: [{ rpm: 5 }, null, null] });
+            original.setCooldown('key2', 5000);
+            original.acquireKey('key1');
+            original.updateLastFailedKey('key3');
+
+            const state = JSON.parse(JSON.stringify(original.exportState()));
+            expect(JSON.stringify(state)).not.toContain('key2');
+
+            const restored = new KeyRotator(['key1', 'key2', 'key4'], 'test-api', { limits: [{ rpm: 5 }, null, null] });
+            restored.importState(state);
+
+            expect(restored.getCooldownRemaining('key2')).toBeGreaterThan(4000);
+            expect(restored.getBudgetUsage('key1').rpm.used).toBe(1);
+            expect(restored.lastFailedKey).toBeNull(); // key3 is no longer configured
+        });
+
+        test('should ignore missing state', () => {
+            expect(() => rotator.importState(null)).not.toThrow();
+        });
+    });
+
     describe('RequestKeyContext', () => {
         let context;
 
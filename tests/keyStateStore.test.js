@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KeyStateStore = require('../src/keyStateStore');
+
+describe('KeyStateStore', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'key-state-'));
+        filePath = path.join(dir, 'key-state.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should save provider state and load it back', () => {
+        const store = new KeyStateStore(filePath);
+        store.set('groq', { lastFailedKey: 'abc', keys: {} });
+        store.save();
+
+        const reloaded = new KeyStateStore(filePath);
+        expect(reloaded.get('groq')).toEqual({ lastFailedKey: 'abc', keys: {} });
+        expect(reloaded.get('missing')).toBeNull();
+    });
+
+    test('should skip writing when nothing changed', () => {
+        const store = new KeyStateStore(filePath);
+        store.set('groq', { keys: {} });
+        store.save();
+
+        fs.utimesSync(filePath, new Date(0), new Date(0));
+        store.save();
+        expect(fs.statSync(filePath).mtimeMs).toBe(0);
+    });
+
+    test('should start empty when the file is unreadable', () => {
+        fs.writeFileSync(filePath, '{not json');
+        const store = new KeyStateStore(filePath);
+
+        expect(store.get('groq')).toBeNull();
+    });
+});
@@ -0,0 +1,70 @@
+const { MetricsRegistry, normalizeRoute } = require('../src/metrics');
+
+describe('MetricsRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new MetricsRegistry('test_');
+    });
+
+    test('should render counters per label set', () => {
+        const requests = registry.counter('requests_total', 'Requests', ['provider', 'status']);
+        requests.inc({ provider: 'groq', status: 200 });
+        requests.inc({ status: 200, provider: 'groq' });
+        requests.inc({ provider: 'groq', status: 429 }, 3);
+
+        const output = registry.render();
+        expect(output).toContain('# HELP test_requests_total Requests\n# TYPE test_requests_total counter\n');
+        expect(output).toContain('test_requests_total{provider="groq",status="200"} 2\n');
+        expect(output).toContain('test_requests_total{provider="groq",status="429"} 3\n');
+    });
+
+    test('should render cumulative histogram buckets with sum and count', () => {
+        const duration = registry.histogram('duration_seconds', 'Duration', ['route'], [0.1, 1]);
+        duration.observe({ route: '/chat' }, 0.05);
+        duration.observe({ route: '/chat' }, 0.5);
+        duration.observe({ route: '/chat' }, 5);
+
+        const output = registry.render();
+        expect(output).toContain('test_duration_seconds_bucket{route="/chat",le="0.1"} 1\n');
+        expect(output).toContain('test_duration_seconds_bucket{route="/chat",le="1"} 2\n');
+        expect(output).toContain('test_duration_seconds_bucket{route="/chat",le="+Inf"} 3\n');
+        expect(output).toContain('test_duration_seconds_sum{route="/chat"} 5.55\n');
+        expect(output).toContain('test_duration_seconds_count{route="/chat"} 3\n');
+    });
+
+    test('should read gauges when rendering', () => {
+        let cooling = 1;
+        registry.gauge('keys_in_cooldown', 'Cooling keys', ['provider'], () => [{ labels: { provider: 'openai' }, value: cooling }]);
+
+        expect(registry.render()).toContain('test_keys_in_cooldown{provider="openai"} 1\n');
+        cooling = 0;
+        expect(registry.render()).toContain('test_keys_in_cooldown{provider="openai"} 0\n');
+    });
+
+    test('should escape label values and refuse duplicate metrics', () => {
+        const counter = registry.counter('errors_total', 'Errors', ['reason']);
+        counter.inc({ reason: 'say "hi"\\\n' });
+
+        expect(registry.render()).toContain('test_errors_total{reason="say \\"hi\\"\\\\\\n"} 1\n');
+        expect(() => registry.counter('errors_total', 'Again')).toThrow('already defined');
+    });
+});
+
+describe('normalizeRoute', () => {
+    test('should replace model names in known routes', () => {
+        expect(normalizeRoute('/v1beta/models/gemini-2.0-flash:streamGenerateContent?alt=sse')).toBe('/v1beta/models/{model}:streamGenerateContent');
+        expect(normalizeRoute('/v1/models/gpt-4o')).toBe('/v1/models/{model}');
+        expect(normalizeRoute('/v1/chat/completions')).toBe('/v1/chat/completions');
+        expect(normalizeRoute('/chat/completions')).toBe('/chat/completions');
+        expect(normalizeRoute('/v1/messages')).toBe('/v1/messages');
+    });
+
+    test('should count every other path as other', () => {
+        expect(normalizeRoute('/v1/files/file-abc123def456')).toBe('other');
+        expect(normalizeRoute('/v1/chat/completions/x8f2k')).toBe('other');
+        expect(normalizeRoute('/v7/chat/completions')).toBe('other');
+        expect(normalizeRoute('/random-4f1c9a')).toBe('other');
+        expect(normalizeRoute('')).toBe('other');
+    });
+});
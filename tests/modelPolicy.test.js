@@ -0,0 +1,76 @@
+const { extractModel, matchesModelPattern, normalizePolicy, checkPolicy } = require('../src/modelPolicy');
+
+describe('modelPolicy', () => {
+    test('should read the model from the body or the Gemini path', () => {
+        expect(extractModel('/chat/completions', { model: 'gpt-4o-mini' })).toBe('gpt-4o-mini');
+        expect(extractModel('/models/gemini-2.0-flash:generateContent?alt=sse', {})).toBe('gemini-2.0-flash');
+        expect(extractModel('/embeddings', { model: 'models/text-embedding-004' })).toBe('text-embedding-004');
+        expect(extractModel('/models', null)).toBeNull();
+    });
+
+    test('should take the model from the path on Gemini routes whatever the body says', () => {
+        expect(extractModel('/models/gemini-pro:generateContent', { model: 'gemini-1.5-flash' })).toBe('gemini-pro');
+
+        const policy = normalizePolicy({ allowModels: '*-flash' });
+        expect(checkPolicy(policy, '/models/gemini-pro:generateContent', '{"model":"gemini-1.5-flash"}'))
+            .toBe("Model 'gemini-pro' is not allowed");
+    });
+
+    test('should reject a request body without a model when models are allow-listed', () => {
+        const policy = normalizePolicy({ allowModels: '*-mini' });
+
+        expect(checkPolicy(policy, '/chat/completions', '{"messages":[]}')).toBe('Requests must name an allowed model');
+        expect(checkPolicy(policy, '/chat/completions', 'not json')).toBe('Requests must name an allowed model');
+        expect(checkPolicy(policy, '/models', '')).toBeNull();
+        expect(checkPolicy(normalizePolicy({ denyModels: 'gpt-4*' }), '/chat/completions', '{"messages":[]}')).toBeNull();
+    });
+
+    test('should match wildcard patterns against whole model names', () => {
+        expect(matchesModelPattern('gpt-4o-mini', '*-mini')).toBe(true);
+        expect(matchesModelPattern('GPT-4o', 'gpt-4*')).toBe(true);
+        expect(matchesModelPattern('gpt-4o-mini-2024', '*-mini')).toBe(false);
+        expect(matchesModelPattern('gpt-4.1', 'gpt-4.1')).toBe(true);
+        expect(matchesModelPattern('gpt-401', 'gpt-4.1')).toBe(false);
+    });
+
+    test('should allow only listed models and let deny patterns win', () => {
+        const policy = normalizePolicy({ allowModels: '*-mini, *-flash', denyModels: ['gemini-1.5-*'] });
+
+        expect(checkPolicy(policy, '/chat/completions', '{"model":"gpt-4o-mini"}')).toBeNull();
+        expect(checkPolicy(policy, '/models/gemini-2.0-flash:generateContent', '{}')).toBeNull();
+        expect(checkPolicy(policy, '/chat/completions', '{"model":"gpt-4o"}')).toBe("Model 'gpt-4o' is not allowed");
+        expect(checkPolicy(policy, '/models/gemini-1.5-flash:generateContent', '{}')).toBe("Model 'gemini-1.5-flash' is not allowed");
+        expect(checkPolicy(policy, '/models', '')).toBeNull();
+    });
+
+    test('should cap parameters in every API format', () => {
+        const policy = normalizePolicy({ caps: { max_tokens: 4096, n: '1' } });
+
+        expect(checkPolicy(policy, '/chat/completions', '{"model":"m","max_tokens":4096}')).toBeNull();
+        expect(checkPolicy(policy, '/chat/completions', '{"model":"m","max_completion_tokens":8000}'))
+            .toBe('max_completion_tokens 8000 exceeds the maximum of 4096');
+        expect(checkPolicy(policy, '/models/m:generateContent', '{"generationConfig":{"maxOutputTokens":5000}}'))
+            .toBe('generationConfig.maxOutputTokens 5000 exceeds the maximum of 4096');
+        expect(checkPolicy(policy, '/chat/completions', '{"model":"m","n":2}')).toBe('n 2 exceeds the maximum of 1');
+    });
+
+    test('should cap snake_case Gemini fields and numeric strings', () => {
+        const policy = normalizePolicy({ caps: { max_tokens: 4096, temperature: 1 } });
+
+        expect(checkPolicy(policy, '/models/m:generateContent', '{"generation_config":{"max_output_tokens":100000}}'))
+            .toBe('generation_config.max_output_tokens 100000 exceeds the maximum of 4096');
+        expect(checkPolicy(policy, '/models/m:generateContent', '{"generationConfig":{"max_output_tokens":5000}}'))
+            .toBe('generationConfig.max_output_tokens 5000 exceeds the maximum of 4096');
+        expect(checkPolicy(policy, '/chat/completions', '{"model":"m","max_tokens":"100000"}'))
+            .toBe('max_tokens 100000 exceeds the maximum of 4096');
+        expect(checkPolicy(policy, '/chat/completions', '{"model":"m","temperature":"1.5"}'))
+            .toBe('temperature 1.5 exceeds the maximum of 1');
+        expect(checkPolicy(policy, '/chat/completions', '{"model":"m","max_tokens":"100"}')).toBeNull();
+    });
+
+    test('should reject malformed caps', () => {
+        expect(normalizePolicy()).toEqual({ allowModels: [], denyModels: [], caps: {} });
+        expect(() => normalizePolicy({ caps: { max_tokens: 'lots' } })).toThrow('non-negative number');
+        expect(() => normalizePolicy({ caps: { 'max-tokens': 1 } })).toThrow('Unknown parameter');
+    });
+});
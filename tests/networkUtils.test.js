@@ -0,0 +1,88 @@
+const http = require('http');
+const { UpstreamError, applyTimeouts, toUpstreamError, getBackoffDelayMs } = require('../src/networkUtils');
+
+describe('applyTimeouts', () => {
+    let server;
+    let port;
+
+    beforeAll((done) => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/slow-headers') return; // Never answers
+            res.writeHead(200, { 'content-type': 'text/plain' });
+            res.write('partial');
+            if (req.url === '/fast') res.end();
+            if (req.url === '/long-stream') setTimeout(() => res.end(' done'), 150);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        server.closeAllConnections();
+        server.close(done);
+    });
+
+    const request = (path, timeouts, isStream) => new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path, agent: false }, (res) => {
+            let data = '';
+            res.on('error', reject);
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => resolve(data));
+        });
+        applyTimeouts(req, timeouts, isStream);
+        req.on('error', reject);
+        req.end();
+    });
+
+    test('should leave responses that finish in time alone', async () => {
+        await expect(request('/fast', { connect: 1000, firstByte: 1000, total: 1000 })).resolves.toBe('partial');
+    });
+
+    test('should fail with a 504 when the headers take too long', async () => {
+        await expect(request('/slow-headers', { connect: 1000, firstByte: 50, total: 1000 }))
+            .rejects.toMatchObject({ statusCode: 504, message: 'Upstream first byte timeout after 50ms' });
+    });
+
+    test('should fail with a 504 when the body takes too long', async () => {
+        await expect(request('/slow-body', { connect: 1000, firstByte: 1000, total: 50 }))
+            .rejects.toMatchObject({ statusCode: 504, message: 'Upstream total timeout after 50ms' });
+    });
+
+    test('should not cut off streams at the total timeout', async () => {
+        await expect(request('/long-stream', { connect: 1000, firstByte: 1000, total: 50 }, () => true)).resolves.toBe('partial done');
+    });
+});
+
+describe('toUpstreamError', () => {
+    test('should report connection failures as 502 with the cause', () => {
+        const error = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:1'), { code: 'ECONNREFUSED' });
+        const upstreamError = toUpstreamError(error);
+
+        expect(upstreamError.statusCode).toBe(502);
+        expect(upstreamError.timeout).toBe(false);
+        expect(upstreamError.message).toContain('ECONNREFUSED');
+    });
+
+    test('should keep timeouts as they are', () => {
+        const timeout = new UpstreamError('Upstream connect timeout after 10ms', 504);
+        expect(toUpstreamError(timeout)).toBe(timeout);
+    });
+});
+
+describe('getBackoffDelayMs', () => {
+    test('should grow exponentially with jitter up to the cap', () => {
+        for (let i = 0; i < 20; i++) {
+            const first = getBackoffDelayMs(1, 100, 1000);
+            const third = getBackoffDelayMs(3, 100, 1000);
+            const tenth = getBackoffDelayMs(10, 100, 1000);
+
+            expect(first).toBeGreaterThanOrEqual(50);
+            expect(first).toBeLessThanOrEqual(100);
+            expect(third).toBeGreaterThanOrEqual(200);
+            expect(third).toBeLessThanOrEqual(400);
+            expect(tenth).toBeLessThanOrEqual(1000);
+        }
+    });
+});
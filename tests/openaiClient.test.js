@@ -0,0 +1,154 @@
+const http = require('http');
+const { once } = require('events');
+const OpenAIClient = require('../src/openaiClient');
+const { PassThrough } = require('stream');
+const KeyRotator = require('../src/keyRotator');
+
+describe('OpenAIClient', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    const createClient = (keys = ['sk-first-key-1111', 'sk-second-key-2222']) => {
+        const rotator = new KeyRotator(keys, 'openai', { strategy: 'sequential' });
+        const client = new OpenAIClient(rotator, 'https://api.example.com', { networkRetries: 0 });
+        return { client, rotator, send: jest.spyOn(client, 'sendRequest') };
+    };
+
+    const reply = (statusCode, body) => ({ statusCode, headers: { 'content-type': 'application/json' }, data: JSON.stringify(body) });
+
+    test('should quarantine a key rejected as invalid and answer with the next one', async () => {
+        const { client, rotator, send } = createClient();
+        send.mockResolvedValueOnce(reply(401, { error: { message: 'Incorrect API key provided', code: 'invalid_api_key' } }));
+        send.mockResolvedValueOnce(reply(200, { id: 'ok' }));
+
+        const response = await client.makeRequest('POST', '/v1/chat/completions', '{}');
+
+        expect(response.statusCode).toBe(200);
+        expect(rotator.quarantined.has('sk-first-key-1111')).toBe(true);
+        expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    test('should quarantine keys whose account is unbilled or deactivated', async () => {
+        const { client, rotator, send } = createClient(['sk-first-key-1111', 'sk-second-key-2222', 'sk-third-key-3333']);
+        send.mockResolvedValueOnce(reply(429, { error: { message: 'Your account is not active, please check your billing details on our website.', type: 'billing_not_active', code: 'billing_not_active' } }));
+        send.mockResolvedValueOnce(reply(401, { error: { message: 'Your OpenAI account has been deactivated.', type: 'invalid_request_error', code: 'account_deactivated' } }));
+        send.mockResolvedValueOnce(reply(200, { id: 'ok' }));
+
+        const response = await client.makeRequest('POST', '/v1/chat/completions', '{}');
+
+        expect(response.statusCode).toBe(200);
+        expect([...rotator.quarantined.keys()]).toEqual(['sk-first-key-1111', 'sk-second-key-2222']);
+    });
+
+    test('should pass a request-caused 403 through and keep the key in rotation', async () => {
+        const { client, rotator, send } = createClient();
+        send.mockResolvedValue(reply(403, { error: { message: 'Country, region, or territory not supported', code: 'unsupported_country_region_territory' } }));
+
+        const response = await client.makeRequest('POST', '/v1/chat/completions', '{}');
+
+        expect(response.statusCode).toBe(403);
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(rotator.quarantined.size).toBe(0);
+        expect(rotator.allKeysQuarantined()).toBe(false);
+    });
+
+    test('should rotate a 403 configured to rotate without quarantining any key', async () => {
+        const { client, rotator, send } = createClient();
+        send.mockResolvedValue(reply(403, { error: { message: 'Request flagged by moderation' } }));
+
+        const response = await client.makeRequest('POST', '/v1/chat/completions', '{}', {}, new Set([403]));
+
+        expect(response.statusCode).toBe(403);
+        expect(send).toHaveBeenCalledTimes(2);
+        expect(rotator.quarantined.size).toBe(0);
+    });
+
+    test('should fail over streams that end before their first event without using up network retries', async () => {
+        const { client, rotator, send } = createClient(['sk-first-key-1111', 'sk-second-key-2222', 'sk-third-key-3333']);
+        const stream = text => {
+            const body = new PassThrough();
+            body.end(text);
+            return { statusCode: 200, headers: { 'content-type': 'text/event-stream' }, stream: body };
+        };
+        send.mockResolvedValueOnce(stream(''));
+        send.mockResolvedValueOnce(stream(': keep-alive\n\n'));
+        send.mockResolvedValueOnce(stream('data: {"choices":[]}\n\n'));
+
+        const response = await client.makeRequest('POST', '/v1/chat/completions', '{}');
+
+        expect(response.statusCode).toBe(200);
+        expect(Buffer.concat(response.initialChunks).toString()).toContain('data:');
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(rotator.quarantined.size).toBe(0);
+    });
+
+    test('should try every key after network failures before the retries run out', async () => {
+        const { client, send } = createClient(['sk-first-key-1111', 'sk-second-key-2222', 'sk-third-key-3333', 'sk-fourth-key-4444']);
+        send.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+        send.mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+        send.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+        send.mockResolvedValueOnce(reply(200, { id: 'ok' }));
+
+        const response = await client.makeRequest('POST', '/v1/chat/completions', '{}');
+
+        expect(response.statusCode).toBe(200);
+        expect(send.mock.calls.map(call => call[4])).toEqual(['sk-first-key-1111', 'sk-second-key-2222', 'sk-third-key-3333', 'sk-fourth-key-4444']);
+    });
+
+    describe('with a plain-HTTP base URL', () => {
+        let server;
+        let received;
+
+        const listen = async (host) => {
+            server = http.createServer((req, res) => {
+                received.push({ url: req.url, authorization: req.headers.authorization, host: req.headers.host });
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ data: [] }));
+            });
+            server.listen(0, host);
+            await once(server, 'listening');
+            return server.address().port;
+        };
+
+        beforeEach(() => {
+            received = [];
+        });
+
+        afterEach(() => {
+            server.close();
+        });
+
+        test('should reach an http: upstream on a custom port', async () => {
+            const port = await listen('127.0.0.1');
+            const client = new OpenAIClient(null, `http://127.0.0.1:${port}/v1`);
+
+            const response = await client.sendRequest('GET', '/models', null, {}, 'sk-local-key-1111');
+
+            expect(response.statusCode).toBe(200);
+            expect(received).toEqual([{ url: '/v1/models', authorization: 'Bearer sk-local-key-1111', host: `127.0.0.1:${port}` }]);
+        });
+
+        test('should strip the brackets from IPv6 hosts', async () => {
+            const port = await listen('::1');
+            const client = new OpenAIClient(new KeyRotator(['sk-local-key-1111'], 'openai'), `http://[::1]:${port}/v1`);
+
+            const response = await client.makeRequest('POST', '/chat/completions', '{}');
+
+            expect(response.statusCode).toBe(200);
+            expect(received.map(entry => entry.url)).toEqual(['/v1/chat/completions']);
+        });
+    });
+
+    test('should reject base URLs that are neither http: nor https:', async () => {
+        const client = new OpenAIClient(null, 'ftp://models.example.com/v1');
+
+        await expect(client.sendRequest('GET', '/models', null, {}, 'sk-local-key-1111')).rejects.toThrow('Unsupported upstream protocol: ftp:');
+    });
+});
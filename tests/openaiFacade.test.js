@@ -0,0 +1,150 @@
+const openaiFacade = require('../src/openaiFacade');
+
+describe('openaiFacade', () => {
+    describe('translateRequest', () => {
+        test('should map chat completions to generateContent with system and generation settings', () => {
+            const request = openaiFacade.translateRequest('POST', '/chat/completions', JSON.stringify({
+                model: 'gemini-2.0-flash',
+                messages: [
+                    { role: 'system', content: 'Be brief' },
+                    { role: 'user', content: 'Hi' }
+                ],
+                max_tokens: 50,
+                stop: 'END'
+            }));
+
+            expect(request.path).toBe('/models/gemini-2.0-flash:generateContent');
+            expect(JSON.parse(request.body)).toEqual({
+                contents: [{ role: 'user', parts: [{ text: 'Hi' }] }],
+                systemInstruction: { parts: [{ text: 'Be brief' }] },
+                generationConfig: { maxOutputTokens: 50, stopSequences: ['END'] }
+            });
+        });
+
+        test('should use the SSE streaming method for stream requests', () => {
+            const request = openaiFacade.translateRequest('POST', '/chat/completions', JSON.stringify({
+                model: 'models/gemini-2.0-flash',
+                stream: true,
+                stream_options: { include_usage: true },
+                messages: [{ role: 'user', content: 'Hi' }]
+            }));
+
+            expect(request.path).toBe('/models/gemini-2.0-flash:streamGenerateContent?alt=sse');
+            expect(request.includeUsage).toBe(true);
+        });
+
+        test('should reject messages it cannot translate', () => {
+            const request = openaiFacade.translateRequest('POST', '/chat/completions', JSON.stringify({
+                model: 'gemini-2.0-flash',
+                messages: [{ role: 'tool', tool_call_id: 'missing', content: 'x' }]
+            }));
+
+            expect(request.statusCode).toBe(400);
+            expect(request.error).toContain('missing');
+        });
+
+        test('should send data URL images inline and reject other image URLs', () => {
+            const translate = url => openaiFacade.translateRequest('POST', '/chat/completions', JSON.stringify({
+                model: 'gemini-2.0-flash',
+                messages: [{ role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url } }] }]
+            }));
+
+            const inline = translate('data:image/png;base64,iVBORw0KGgo=');
+            expect(JSON.parse(inline.body).contents[0].parts[1]).toEqual({ inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } });
+
+            const remote = translate('https://example.com/cat.png');
+            expect(remote.statusCode).toBe(400);
+            expect(remote.error).toContain('data: URLs');
+        });
+
+        test('should batch embedding inputs', () => {
+            const request = openaiFacade.translateRequest('POST', '/embeddings', JSON.stringify({
+                model: 'text-embedding-004',
+                input: ['a', 'b']
+            }));
+
+            expect(request.path).toBe('/models/text-embedding-004:batchEmbedContents');
+            expect(JSON.parse(request.body).requests).toHaveLength(2);
+        });
+    });
+
+    describe('tool calls', () => {
+        test('should turn tools, calls and results into function declarations and parts', () => {
+            const gemini = openaiFacade.toGeminiChatRequest({
+                messages: [
+                    { role: 'user', content: 'Weather?' },
+                    { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } }] },
+                    { role: 'tool', tool_call_id: 'c1', content: '{"temp":20}' }
+                ],
+                tools: [{ type: 'function', function: { name: 'weather', parameters: { type: 'object', additionalProperties: false } } }],
+                tool_choice: 'required'
+            });
+
+            expect(gemini.contents[1].parts[0]).toEqual({ functionCall: { name: 'weather', args: { city: 'Paris' } } });
+            expect(gemini.contents[2].parts[0]).toEqual({ functionResponse: { name: 'weather', response: { temp: 20 } } });
+            expect(gemini.tools[0].functionDeclarations[0].parameters).toEqual({ type: 'object' });
+            expect(gemini.toolConfig.functionCallingConfig.mode).toBe('ANY');
+        });
+
+        test('should report function calls as tool_calls', () => {
+            const completion = openaiFacade.toOpenAIChatCompletion({
+                candidates: [{ content: { parts: [{ functionCall: { name: 'weather', args: { city: 'Paris' } } }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 4, totalTokenCount: 7 }
+            }, 'gemini-2.0-flash');
+
+            const choice = completion.choices[0];
+            expect(choice.finish_reason).toBe('tool_calls');
+            expect(choice.message.content).toBeNull();
+            expect(choice.message.tool_calls[0].function).toEqual({ name: 'weather', arguments: '{"city":"Paris"}' });
+            expect(completion.usage).toEqual({ prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 });
+        });
+    });
+
+    describe('createChatStreamTranslator', () => {
+        test('should emit chat completion chunks, a usage chunk and [DONE]', (done) => {
+            const translator = openaiFacade.createChatStreamTranslator('gemini-2.0-flash', true);
+            let output = '';
+            translator.on('data', (chunk) => { output += chunk; });
+            translator.on('end', () => {
+                const events = output.trim().split('\n\n').map(event => event.slice(6));
+                expect(events[events.length - 1]).toBe('[DONE]');
+
+                const chunks = events.slice(0, -1).map(event => JSON.parse(event));
+                expect(chunks[0].choices[0].delta).toEqual({ role: 'assistant', content: 'Hel' });
+                expect(chunks[1].choices[0].delta).toEqual({ content: 'lo' });
+                expect(chunks[2].choices[0].finish_reason).toBe('stop');
+                expect(chunks[3].usage.total_tokens).toBe(5);
+                expect(translator.usageMetadata.totalTokenCount).toBe(5);
+                done();
+            });
+
+            // Event boundaries deliberately split across writes
+            translator.write('data: {"candidates":[{"content":{"parts":[{"text":"Hel"}]}}]}\r\n\r\ndata: {"candi');
+            translator.end('dates":[{"content":{"parts":[{"text":"lo"}]},"finishReason":"STOP"}],"usageMetadata":{"totalTokenCount":5}}\r\n\r\n');
+        });
+    });
+
+    describe('translateResponse', () => {
+        test('should convert Gemini errors to the OpenAI error format', () => {
+            const response = openaiFacade.translateResponse({ kind: 'chat', model: 'x' }, {
+                statusCode: 429,
+                headers: { 'retry-after': '10' },
+                data: JSON.stringify({ error: { code: 429, message: 'Quota exceeded', status: 'RESOURCE_EXHAUSTED' } })
+            });
+
+            expect(response.statusCode).toBe(429);
+            expect(response.headers['retry-after']).toBe('10');
+            expect(JSON.parse(response.data).error).toEqual({ message: 'Quota exceeded', type: 'rate_limit_error', code: 'RESOURCE_EXHAUSTED' });
+        });
+
+        test('should list Gemini models in OpenAI format', () => {
+            const response = openaiFacade.translateResponse({ kind: 'models' }, {
+                statusCode: 200,
+                headers: {},
+                data: JSON.stringify({ models: [{ name: 'models/gemini-2.0-flash' }] })
+            });
+
+            expect(JSON.parse(response.data).data[0]).toEqual({ id: 'gemini-2.0-flash', object: 'model', created: 0, owned_by: 'google' });
+        });
+    });
+});
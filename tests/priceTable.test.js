@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PriceTable = require('../src/priceTable');
+
+describe('PriceTable', () => {
+    let dir;
+    let filePath;
+    let logSpy;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+        filePath = path.join(dir, 'prices.json');
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should estimate cost from prices per million tokens', () => {
+        const table = new PriceTable(filePath);
+        table.replace([{ model: 'gpt-4o', input: 2.5, output: 10, cachedInput: 1.25 }]);
+
+        const cost = table.estimateCost('gpt-4o', { promptTokens: 1000, completionTokens: 500, cachedTokens: 400 });
+        expect(cost).toBeCloseTo((600 * 2.5 + 400 * 1.25 + 500 * 10) / 1000000, 10);
+    });
+
+    test('should charge cached tokens at the input price without a cached price', () => {
+        const table = new PriceTable(filePath);
+        table.replace([{ model: 'llama-8b', input: 0.05, output: 0.08 }]);
+
+        expect(table.list()[0].cachedInput).toBeNull();
+        expect(table.estimateCost('llama-8b', { promptTokens: 1000000, completionTokens: 0, cachedTokens: 500000 })).toBeCloseTo(0.05, 10);
+    });
+
+    test('should prefer an exact model name, then the longest pattern', () => {
+        const table = new PriceTable(filePath);
+        table.replace([
+            { model: 'gpt-4o*', input: 2.5, output: 10 },
+            { model: 'gpt-4o-mini*', input: 0.15, output: 0.6 },
+            { model: 'GPT-4o-mini-special', input: 1, output: 1 }
+        ]);
+
+        expect(table.find('gpt-4o-2024-08-06').input).toBe(2.5);
+        expect(table.find('gpt-4o-mini-2024-07-18').input).toBe(0.15);
+        expect(table.find('gpt-4o-mini-special').input).toBe(1);
+        expect(table.find('claude-3-haiku')).toBeNull();
+        expect(table.estimateCost('claude-3-haiku', { promptTokens: 10, completionTokens: 10 })).toBeNull();
+        expect(table.estimateCost('gpt-4o', null)).toBeNull();
+    });
+
+    test('should import a model map and load it back', () => {
+        const table = new PriceTable(filePath);
+        table.replace({ 'gemini-2.0-flash': { input: '0.1', output: '0.4', cachedInput: '0.025' } });
+
+        const reloaded = new PriceTable(filePath);
+        expect(reloaded.list()).toEqual([{ model: 'gemini-2.0-flash', input: 0.1, output: 0.4, cachedInput: 0.025 }]);
+    });
+
+    test('should reject malformed prices and keep the old table', () => {
+        const table = new PriceTable(filePath);
+        table.replace([{ model: 'gpt-4o', input: 2.5, output: 10 }]);
+
+        expect(() => table.replace([{ model: 'gpt-4o', input: -1, output: 10 }])).toThrow('input price');
+        expect(() => table.replace([{ model: 'gpt-4o', input: 1 }])).toThrow('output price');
+        expect(() => table.replace([{ input: 1, output: 1 }])).toThrow('needs a model');
+        expect(() => table.replace([{ model: 'a', input: 1, output: 1 }, { model: 'A', input: 1, output: 1 }])).toThrow('priced twice');
+        expect(table.list()).toHaveLength(1);
+    });
+});
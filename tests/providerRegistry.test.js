@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProviderRegistry, providerRegistry } = require('../src/providerRegistry');
+
+describe('ProviderRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new ProviderRegistry();
+    });
+
+    test('should register the built-in API types', () => {
+        expect(providerRegistry.list().map(definition => definition.apiType)).toEqual(['openai', 'gemini', 'anthropic']);
+        expect(providerRegistry.getAuthHeaders()).toEqual(['authorization', 'x-goog-api-key', 'x-api-key']);
+        expect(providerRegistry.get('openai').formatKey('sk-1')).toBe('Bearer sk-1');
+    });
+
+    test('should fill in defaults for optional parts', () => {
+        const registered = registry.register({
+            apiType: 'custom',
+            createClient: () => ({}),
+            passthroughHeaders: ['Content-Type', 'X-Custom-Version']
+        });
+
+        expect(registered.name).toBe('custom');
+        expect(registered.authHeader).toBe('authorization');
+        expect(registered.formatKey('abc')).toBe('abc');
+        expect(registered.passthroughHeaders).toEqual(['content-type', 'x-custom-version']);
+        expect(registered.keyTestPath('https://example.com/v1')).toBe('/models');
+        expect(JSON.parse(registered.formatError(401, 'nope')).error.message).toBe('nope');
+        expect(registered.formatStreamError('boom')).toMatch(/^data: .*boom.*\n\n$/);
+    });
+
+    test('should reject definitions without a usable apiType or client factory', () => {
+        expect(() => registry.register({ apiType: 'My-Type', createClient: () => ({}) })).toThrow('apiType');
+        expect(() => registry.register({ apiType: 'custom' })).toThrow('createClient');
+        expect(registry.has('custom')).toBe(false);
+    });
+
+    test('should load plugins from a directory and skip broken ones', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-plugins-'));
+        fs.writeFileSync(path.join(dir, 'custom.js'), `module.exports = [
+            { apiType: 'customa', authHeader: 'X-Api-Token', createClient: () => ({}) },
+            { apiType: 'customb', createClient: () => ({}) }
+        ];`);
+        fs.writeFileSync(path.join(dir, 'broken.js'), 'module.exports = { apiType: "broken" };');
+        fs.writeFileSync(path.join(dir, 'README.md'), 'not a plugin');
+
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        let failures;
+        try {
+            registry.loadPlugins(dir);
+            registry.loadPlugins(dir); // already loaded files are not loaded again
+            failures = errorSpy.mock.calls.length;
+        } finally {
+            errorSpy.mockRestore();
+            logSpy.mockRestore();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        expect(registry.list().map(definition => definition.apiType)).toEqual(['customa', 'customb']);
+        expect(registry.getAuthHeaders()).toEqual(['x-api-token', 'authorization']);
+        expect(failures).toBe(1);
+    });
+
+    test('should ignore a missing plugin directory', () => {
+        expect(() => registry.loadPlugins(path.join(os.tmpdir(), 'no-such-plugin-dir'))).not.toThrow();
+        expect(registry.list()).toHaveLength(0);
+    });
+});
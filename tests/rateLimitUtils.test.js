@@ -0,0 +1,53 @@
+const { getRetryDelayMs, parseDuration } = require('../src/rateLimitUtils');
+
+describe('rateLimitUtils', () => {
+    test('should parse provider duration strings', () => {
+        expect(parseDuration('1s')).toBe(1000);
+        expect(parseDuration('6m0s')).toBe(360000);
+        expect(parseDuration('2m59.56s')).toBe(179560);
+        expect(parseDuration('20ms')).toBe(20);
+        expect(parseDuration('nonsense')).toBeNull();
+    });
+
+    test('should prefer Retry-After over other hints', () => {
+        const response = {
+            headers: { 'retry-after': '7', 'x-ratelimit-reset-requests': '30s' },
+            data: null
+        };
+        expect(getRetryDelayMs(response)).toBe(7000);
+    });
+
+    test('should use the reset of the exhausted limit', () => {
+        const response = {
+            headers: {
+                'x-ratelimit-remaining-requests': '12',
+                'x-ratelimit-reset-requests': '2s',
+                'x-ratelimit-remaining-tokens': '0',
+                'x-ratelimit-reset-tokens': '1m30s'
+            },
+            data: null
+        };
+        expect(getRetryDelayMs(response)).toBe(90000);
+    });
+
+    test('should read Gemini RetryInfo details from the body', () => {
+        const response = {
+            headers: {},
+            data: JSON.stringify({
+                error: {
+                    code: 429,
+                    status: 'RESOURCE_EXHAUSTED',
+                    details: [
+                        { '@type': 'type.googleapis.com/google.rpc.QuotaFailure' },
+                        { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '37s' }
+                    ]
+                }
+            })
+        };
+        expect(getRetryDelayMs(response)).toBe(37000);
+    });
+
+    test('should return null without any hint', () => {
+        expect(getRetryDelayMs({ headers: {}, data: 'Too many requests' })).toBeNull();
+    });
+});
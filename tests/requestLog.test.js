@@ -0,0 +1,208 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RequestLog = require('../src/requestLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('RequestLog', () => {
+    let dir;
+    let logSpy;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'request-log-'));
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        logSpy.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const entry = (requestId, fields = {}) => ({
+        timestamp: new Date().toISOString(),
+        requestId,
+        method: 'POST',
+        endpoint: '/v1/chat/completions',
+        provider: 'openai',
+        status: 200,
+        responseTime: 120,
+        error: null,
+        clientIp: '127.0.0.1',
+        clientKey: null,
+        cost: null,
+        ...fields
+    });
+
+    const ids = async (log, filters) => (await log.query(filters)).entries.map(e => e.requestId);
+
+    test('should return entries newest first and filter them', async () => {
+        const log = new RequestLog({ directory: dir });
+        log.append(entry('REQ-1', { provider: 'groq → openrouter', status: 200, clientKey: 'search' }));
+        log.append(entry('REQ-2', { provider: 'openai', status: 429, error: 'Rate limited' }));
+        log.append(entry('REQ-3', { provider: 'openrouter', status: 503, clientKey: 'search' }));
+        await log.close();
+
+        expect(await ids(log, {})).toEqual(['REQ-3', 'REQ-2', 'REQ-1']);
+        expect(await ids(log, { provider: 'openrouter' })).toEqual(['REQ-3', 'REQ-1']);
+        expect(await ids(log, { status: '5xx' })).toEqual(['REQ-3']);
+        expect(await ids(log, { status: '429' })).toEqual(['REQ-2']);
+        expect(await ids(log, { clientKey: 'search' })).toEqual(['REQ-3', 'REQ-1']);
+        expect(await ids(log, { text: 'rate LIMITED' })).toEqual(['REQ-2']);
+    });
+
+    test('should read lines across chunk boundaries, multi-byte characters included', async () => {
+        const log = new RequestLog({ directory: dir });
+        for (let i = 1; i <= 300; i++) {
+            log.append(entry(`REQ-${i}`, { error: `Fehler ${'ü'.repeat(i % 40)} ${'x'.repeat(i * 7)}` }));
+        }
+        await log.close();
+
+        const { entries } = await log.query({ limit: 500 });
+        expect(entries).toHaveLength(300);
+        expect(entries[0].requestId).toBe('REQ-300');
+        expect(entries[299].requestId).toBe('REQ-1');
+        expect(entries[150].error.startsWith(`Fehler ${'ü'.repeat(150 % 40)} `)).toBe(true);
+    });
+
+    test('should filter by time range', async () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2024-01-10T12:00:00Z'));
+        const log = new RequestLog({ directory: dir });
+        log.append(entry('REQ-1'));
+        jest.advanceTimersByTime(60000);
+        log.append(entry('REQ-2'));
+        jest.advanceTimersByTime(60000);
+        log.append(entry('REQ-3'));
+        jest.useRealTimers();
+        await log.close();
+
+        const result = await log.query({ since: Date.parse('2024-01-10T12:00:30Z'), until: Date.parse('2024-01-10T12:01:30Z') });
+        expect(result.entries.map(e => e.requestId)).toEqual(['REQ-2']);
+    });
+
+    const readAllPages = async (log, filters) => {
+        const pages = [];
+        let cursor = null;
+        do {
+            const page = await log.query({ ...filters, cursor });
+            pages.push(page.entries.map(e => e.requestId));
+            cursor = page.nextCursor;
+        } while (cursor);
+        return pages;
+    };
+
+    test('should page through entries across files with a cursor', async () => {
+        const log = new RequestLog({ directory: dir, maxFileBytes: 600 });
+        for (let i = 1; i <= 7; i++) {
+            log.append(entry(`REQ-${i}`));
+        }
+        await log.close();
+        expect(log.listFiles('requests').length).toBeGreaterThan(1);
+
+        const pages = await readAllPages(log, { limit: 3 });
+        expect(pages.flat()).toEqual(['REQ-7', 'REQ-6', 'REQ-5', 'REQ-4', 'REQ-3', 'REQ-2', 'REQ-1']);
+        expect(pages[0]).toHaveLength(3);
+        await expect(log.query({ cursor: 'nonsense' })).rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+    });
+
+    test('should stop a search after reading maxScanBytes and continue from the cursor', async () => {
+        const log = new RequestLog({ directory: dir, maxScanBytes: 1000 });
+        for (let i = 1; i <= 20; i++) {
+            log.append(entry(`REQ-${i}`, { status: i === 1 ? 500 : 200 }));
+        }
+        await log.close();
+
+        const first = await log.query({ status: '5xx' });
+        expect(first.entries).toEqual([]);
+        expect(first.nextCursor).not.toBeNull();
+
+        const pages = await readAllPages(log, { status: '5xx' });
+        expect(pages.length).toBeGreaterThan(2);
+        expect(pages.flat()).toEqual(['REQ-1']);
+    });
+
+    test('should start a new file when the day changes', async () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2024-01-10T23:59:00Z'));
+        const log = new RequestLog({ directory: dir });
+        log.append(entry('REQ-1'));
+        jest.advanceTimersByTime(120000);
+        log.append(entry('REQ-2'));
+        jest.useRealTimers();
+        await log.close();
+
+        expect(log.listFiles('requests')).toHaveLength(2);
+    });
+
+    test('should keep appending to the latest file after a restart', async () => {
+        const first = new RequestLog({ directory: dir });
+        first.append(entry('REQ-1'));
+        await first.close();
+        const second = new RequestLog({ directory: dir });
+        second.append(entry('REQ-2'));
+        await second.close();
+
+        expect(second.listFiles('requests')).toHaveLength(1);
+        expect(await ids(second, {})).toEqual(['REQ-2', 'REQ-1']);
+    });
+
+    test('should delete old files past the retention period and the size cap', async () => {
+        const old = path.join(dir, 'requests-2024-01-01T00-00-00-000Z.jsonl');
+        fs.writeFileSync(old, JSON.stringify(entry('REQ-old')) + '\n');
+        const stale = new Date(Date.now() - 20 * DAY_MS);
+        fs.utimesSync(old, stale, stale);
+
+        new RequestLog({ directory: dir, retentionDays: 14 });
+        expect(fs.existsSync(old)).toBe(false);
+
+        const log = new RequestLog({ directory: dir, maxFileBytes: 600, maxTotalBytes: 1500 });
+        for (let i = 1; i <= 12; i++) {
+            log.append(entry(`REQ-${i}`));
+        }
+        await log.close();
+
+        const files = log.listFiles('requests');
+        const totalBytes = files.reduce((sum, file) => sum + fs.statSync(path.join(dir, file)).size, 0);
+        expect(totalBytes).toBeLessThanOrEqual(1500 + 600);
+        expect(await ids(log, { limit: 1 })).toEqual(['REQ-12']);
+        expect(await ids(log, { limit: 500 })).not.toContain('REQ-1');
+    });
+
+    test('should store response details with bodies truncated', async () => {
+        const log = new RequestLog({ directory: dir, maxBodyBytes: 10 });
+        log.appendResponse('REQ-1', { status: 200, responseData: 'x'.repeat(50), requestBody: '{}' });
+        log.appendResponse('REQ-2', { status: 500, responseData: 'failed' });
+        await log.close();
+
+        const stored = await log.getResponse('REQ-1');
+        expect(stored.status).toBe(200);
+        expect(stored.requestBody).toBe('{}');
+        expect(stored.responseData.startsWith('x'.repeat(10))).toBe(true);
+        expect(stored.responseData).toContain('truncated');
+        expect((await log.getResponse('REQ-2')).responseData).toBe('failed');
+        expect(await log.getResponse('REQ-3')).toBeNull();
+    });
+
+    test('should give up looking for a response after reading maxScanBytes', async () => {
+        const log = new RequestLog({ directory: dir, maxScanBytes: 500 });
+        log.appendResponse('REQ-old', { status: 200, responseData: 'found' });
+        for (let i = 1; i <= 10; i++) {
+            log.appendResponse(`REQ-${i}`, { status: 200, responseData: 'y'.repeat(100) });
+        }
+        await log.close();
+
+        expect((await log.getResponse('REQ-10')).status).toBe(200);
+        expect(await log.getResponse('REQ-old')).toBeNull();
+    });
+
+    test('should do nothing without a directory', async () => {
+        const log = new RequestLog({ directory: null });
+        log.append(entry('REQ-1'));
+
+        expect(log.enabled).toBe(false);
+        expect(await log.query({})).toEqual({ entries: [], nextCursor: null });
+        expect(await log.getResponse('REQ-1')).toBeNull();
+    });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResponseCache = require('../src/responseCache');
+
+describe('ResponseCache', () => {
+    const ok = (data) => ({ statusCode: 200, headers: { 'content-type': 'application/json', 'x-request-id': 'abc' }, data });
+    let cache;
+
+    beforeEach(() => {
+        cache = new ResponseCache({ enabled: true, ttlSeconds: 60 });
+    });
+
+    test('should only cache deterministic requests', () => {
+        expect(cache.isCacheable('POST', '/chat/completions', '{"model":"m","temperature":0}')).toBe(true);
+        expect(cache.isCacheable('POST', '/chat/completions', '{"model":"m","temperature":0.7}')).toBe(false);
+        expect(cache.isCacheable('POST', '/chat/completions', '{"model":"m"}')).toBe(false);
+        expect(cache.isCacheable('POST', '/chat/completions', '{"temperature":0,"stream":true}')).toBe(false);
+        expect(cache.isCacheable('POST', '/models/gemini:generateContent', '{"generationConfig":{"temperature":0}}')).toBe(true);
+        expect(cache.isCacheable('POST', '/models/gemini:streamGenerateContent?alt=sse', '{"generationConfig":{"temperature":0}}')).toBe(false);
+        expect(cache.isCacheable('POST', '/embeddings', '{"input":"hi"}')).toBe(true);
+        expect(cache.isCacheable('GET', '/models', null)).toBe(false);
+    });
+
+    test('should key on provider, path and the body regardless of key order', () => {
+        const a = cache.buildKey('groq', 'POST', '/embeddings', '{"model":"e","input":"hi"}');
+        const b = cache.buildKey('groq', 'POST', '/embeddings', '{ "input": "hi", "model": "e" }');
+
+        expect(a).toBe(b);
+        expect(cache.buildKey('openai', 'POST', '/embeddings', '{"model":"e","input":"hi"}')).not.toBe(a);
+    });
+
+    test('should replay stored responses until they expire', async () => {
+        cache.set('k', ok('{"x":1}'), 'groq');
+
+        const hit = await cache.get('k');
+        expect(hit.response).toEqual({ statusCode: 200, headers: { 'content-type': 'application/json' }, data: '{"x":1}' });
+        expect(hit.providerName).toBe('groq');
+
+        cache.entries.get('k').storedAt -= 61000;
+        expect(await cache.get('k')).toBeNull();
+        expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, entries: 0 });
+    });
+
+    test('should not store errors or streams', () => {
+        cache.set('error', { statusCode: 500, headers: {}, data: 'boom' }, 'groq');
+        cache.set('stream', { statusCode: 200, headers: {}, stream: {} }, 'groq');
+
+        expect(cache.getStats().entries).toBe(0);
+    });
+
+    test('should evict the least recently used entry over the cap', async () => {
+        const small = new ResponseCache({ enabled: true, maxEntries: 2 });
+        small.set('a', ok('1'), 'p');
+        small.set('b', ok('2'), 'p');
+        await small.get('a');
+        small.set('c', ok('3'), 'p');
+
+        expect(await small.get('b')).toBeNull();
+        expect(await small.get('a')).not.toBeNull();
+        expect(small.getStats().evicted).toBe(1);
+    });
+
+    test('should keep entries on disk across instances and trim to the disk cap', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        try {
+            const key = (n) => String(n).repeat(64);
+            const first = new ResponseCache({ enabled: true, directory: dir });
+            first.set(key(1), ok('{"cached":true}'), 'groq');
+            await first.flush();
+
+            const second = new ResponseCache({ enabled: true, directory: dir });
+            expect((await second.get(key(1))).response.data).toBe('{"cached":true}');
+            await second.flush();
+
+            const tiny = new ResponseCache({ enabled: true, directory: dir, maxDiskBytes: 300 });
+            tiny.set(key(2), ok('x'.repeat(150)), 'groq');
+            await tiny.flush();
+            expect(tiny.getStats().disk.entries).toBe(1);
+            expect(fs.existsSync(path.join(dir, `${key(1)}.json`))).toBe(false);
+        } finally {
+            logSpy.mockRestore();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should read and write the disk tier without blocking', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const syncCalls = ['readFileSync', 'writeFileSync', 'utimesSync', 'unlinkSync'].map(name => jest.spyOn(fs, name));
+        try {
+            const key = 'a'.repeat(64);
+            const disk = new ResponseCache({ enabled: true, directory: dir, maxEntries: 1 });
+            disk.set(key, ok('{"n":1}'), 'groq');
+            disk.set('b'.repeat(64), ok('{"n":2}'), 'groq'); // Pushes the first entry out of memory
+
+            expect((await disk.get(key)).response.data).toBe('{"n":1}');
+            disk.delete(key);
+            await disk.flush();
+
+            expect(fs.readdirSync(dir)).toEqual([`${'b'.repeat(64)}.json`]);
+            syncCalls.forEach(spy => expect(spy).not.toHaveBeenCalled());
+        } finally {
+            syncCalls.forEach(spy => spy.mockRestore());
+            logSpy.mockRestore();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const Config = require('../src/config');
+const KeyRotator = require('../src/keyRotator');
+const GeminiClient = require('../src/geminiClient');
+const ProxyServer = require('../src/server');
+
+describe('ProxyServer', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-server-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(process, 'cwd').mockReturnValue(dir);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const createServer = (env, geminiClient = null) => {
+        fs.writeFileSync(path.join(dir, '.env'), ['PORT=0', 'ADMIN_PASSWORD=secret', 'REQUEST_LOG=false', ...env].join('\n'));
+        return new ProxyServer(new Config(), geminiClient);
+    };
+
+    const capture = () => {
+        const res = { writeHead: jest.fn(), end: jest.fn() };
+        res.json = () => JSON.parse(res.end.mock.calls[0][0]);
+        return res;
+    };
+
+    describe('key status', () => {
+        test('should show saved key state without creating clients', () => {
+            const server = createServer(['OPENAI_GROQ_API_KEYS=gsk-first-1111,gsk-second-2222']);
+            const quarantined = { reason: 'HTTP 401', since: 1700000000000 };
+            server.keyStateStore.set('groq', { keys: { [KeyRotator.hashKey('gsk-second-2222')]: { quarantined } } });
+
+            const res = capture();
+            server.handleGetKeyStatus(res);
+
+            expect(server.providerClients.size).toBe(0);
+            expect(res.json().providers.groq.keys.map(key => key.quarantined)).toEqual([null, quarantined]);
+        });
+
+        test('should read a provider that already has a client from its live rotator', async () => {
+            const server = createServer(['OPENAI_GROQ_API_KEYS=gsk-first-1111']);
+            const client = await server.getProviderClient('groq', server.config.getProvider('groq'));
+            client.keyRotator.setCooldown('gsk-first-1111', 30000);
+
+            const res = capture();
+            server.handleGetKeyStatus(res);
+
+            expect(res.json().providers.groq.keys[0].cooldownRemainingMs).toBeGreaterThan(0);
+        });
+    });
+
+    describe('legacy clients', () => {
+        const legacyClient = () => new GeminiClient(new KeyRotator(['AIza-legacy-1111'], 'gemini'), 'https://legacy.example.com');
+
+        test('should show their key state next to the providers', async () => {
+            const server = createServer(['GEMINI_API_KEYS=AIza-legacy-1111'], legacyClient());
+            server.geminiClient.keyRotator.quarantineKey('AIza-legacy-1111', 'HTTP 401');
+
+            const res = capture();
+            server.handleGetKeyStatus(res);
+
+            const { providers } = res.json();
+            expect(providers['legacy:gemini']).toMatchObject({ apiType: 'gemini', legacy: true });
+            expect(providers['legacy:gemini'].keys[0].quarantined.reason).toBe('HTTP 401');
+            expect(providers.gemini.keys[0].quarantined).toBeNull();
+        });
+
+        test('should keep their key state apart from a provider with the same name', async () => {
+            const server = createServer(['GEMINI_API_KEYS=AIza-legacy-1111'], legacyClient());
+            const client = await server.getProviderClient('gemini', server.config.getProvider('gemini'));
+            client.keyRotator.quarantineKey('AIza-legacy-1111', 'HTTP 401');
+
+            expect(server.getKeyRotators().map(([name]) => name)).toEqual(['legacy:gemini', 'gemini']);
+            server.saveKeyState();
+
+            const restarted = createServer(['GEMINI_API_KEYS=AIza-legacy-1111'], legacyClient());
+            const restartedClient = await restarted.getProviderClient('gemini', restarted.config.getProvider('gemini'));
+            expect(restartedClient.keyRotator.quarantined.has('AIza-legacy-1111')).toBe(true);
+            expect(restarted.geminiClient.keyRotator.quarantined.size).toBe(0);
+        });
+    });
+
+    describe('streaming', () => {
+        let upstream;
+        let continueStream;
+
+        beforeEach(async () => {
+            // Sends one event, then the rest once the test has seen the first one arrive
+            upstream = http.createServer((req, res) => {
+                res.writeHead(200, { 'content-type': 'text/event-stream' });
+                res.write('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n');
+                continueStream = () => {
+                    res.write('data: {"choices":[{"delta":{"content":"lo"}}]}\n\n');
+                    setTimeout(() => res.end('data: [DONE]\n\n'), 20);
+                };
+            });
+            upstream.listen(0, '127.0.0.1');
+            await once(upstream, 'listening');
+        });
+
+        afterEach(() => {
+            upstream.closeAllConnections();
+            upstream.close();
+        });
+
+        test('should forward events before the upstream ends and log a capped copy', async () => {
+            const server = createServer([
+                'OPENAI_LOCAL_API_KEYS=sk-local-1111',
+                `OPENAI_LOCAL_BASE_URL=http://127.0.0.1:${upstream.address().port}/v1`
+            ]);
+            server.maxStoredStreamBytes = 64;
+            server.start();
+            await once(server.server, 'listening');
+
+            const chunks = [];
+            await new Promise((resolve, reject) => {
+                const req = http.request({ host: '127.0.0.1', port: server.server.address().port, path: '/local/chat/completions', method: 'POST' }, (res) => {
+                    res.on('data', (chunk) => {
+                        chunks.push(chunk.toString());
+                        if (chunks.length === 1) continueStream();
+                    });
+                    res.on('end', resolve);
+                });
+                req.on('error', reject);
+                req.end(JSON.stringify({ model: 'llama3', stream: true }));
+            });
+            await server.stop();
+
+            expect(chunks[0]).toBe('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n');
+            expect(chunks.join('')).toContain('data: [DONE]');
+            const logged = [...server.responseStorage.values()].pop().responseData;
+            expect(logged).toBe('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices\n... [stream truncated after 64 bytes]');
+        });
+    });
+
+    describe('testApiKey', () => {
+        let upstream;
+        let received;
+
+        beforeEach(async () => {
+            received = [];
+            upstream = http.createServer((req, res) => {
+                received.push(req.url);
+                const key = req.headers.authorization || new URL(req.url, 'http://localhost').searchParams.get('key');
+                const valid = key === 'Bearer sk-good-1111' || key === 'AIza-good-2222';
+                res.writeHead(valid ? 200 : 401, { 'content-type': 'application/json' });
+                res.end(JSON.stringify(valid ? { data: [] } : { error: { message: 'Invalid API key' } }));
+            });
+            upstream.listen(0, '127.0.0.1');
+            await once(upstream, 'listening');
+        });
+
+        afterEach(() => {
+            upstream.close();
+        });
+
+        test('should test OpenAI keys against a plain-HTTP endpoint', async () => {
+            const server = createServer([]);
+            const baseUrl = `http://127.0.0.1:${upstream.address().port}/v1`;
+
+            expect(await server.testApiKey('openai', 'sk-good-1111', baseUrl)).toEqual({ success: true, error: null });
+            expect(await server.testApiKey('openai', 'sk-bad-3333', baseUrl)).toEqual({ success: false, error: 'API test failed: 401 Unauthorized' });
+            expect(received).toEqual(['/v1/models', '/v1/models']);
+        });
+
+        test('should test Gemini keys against a plain-HTTP endpoint', async () => {
+            const server = createServer([]);
+
+            expect(await server.testApiKey('gemini', 'AIza-good-2222', `http://127.0.0.1:${upstream.address().port}`)).toEqual({ success: true, error: null });
+            expect(received).toEqual(['/v1/models?key=AIza-good-2222']);
+        });
+    });
+
+    describe('mapFallbackModel', () => {
+        const modelMap = { 'gpt-4o': 'llama-3.3-70b', '*': 'llama-3.1-8b' };
+
+        test('should rewrite the body model, preferring an exact mapping over *', () => {
+            const server = createServer([]);
+            const map = model => JSON.parse(server.mapFallbackModel('openai', '/chat/completions', JSON.stringify({ model, stream: false }), modelMap).body);
+
+            expect(map('gpt-4o')).toEqual({ model: 'llama-3.3-70b', stream: false });
+            expect(map('gpt-4o-mini').model).toBe('llama-3.1-8b');
+            expect(JSON.parse(server.mapFallbackModel('openai', '/chat/completions', '{"model":"o1"}', { 'gpt-4o': 'x' }).body).model).toBe('o1');
+        });
+
+        test('should rewrite the model in Gemini paths', () => {
+            const server = createServer([]);
+
+            expect(server.mapFallbackModel('gemini', '/models/gemini-1.5-pro:streamGenerateContent?alt=sse', '{}', { '*': 'gemini-2.0-flash' }))
+                .toEqual({ path: '/models/gemini-2.0-flash:streamGenerateContent?alt=sse', body: '{}' });
+        });
+
+        test('should leave requests without a map or a JSON model unchanged', () => {
+            const server = createServer([]);
+
+            expect(server.mapFallbackModel('openai', '/chat/completions', '{"model":"gpt-4o"}', null)).toEqual({ path: '/chat/completions', body: '{"model":"gpt-4o"}' });
+            expect(server.mapFallbackModel('openai', '/audio/speech', 'not json', modelMap)).toEqual({ path: '/audio/speech', body: 'not json' });
+            expect(server.mapFallbackModel('openai', '/embeddings', '{"input":"hi"}', modelMap).body).toBe('{"input":"hi"}');
+        });
+    });
+
+    describe('parseAliasRoute', () => {
+        const aliasEnv = [
+            'OPENAI_GROQ_API_KEYS=gsk-1111',
+            'OPENAI_GROQ_MODEL_ALIASES=fast-chat=llama-3.1-8b-instant',
+            'GEMINI_G_API_KEYS=AIza-2222',
+            'GEMINI_G_MODEL_ALIASES=gem=gemini-2.0-flash'
+        ];
+
+        test('should route the Gemini path form by the model in the path', () => {
+            const server = createServer(aliasEnv);
+            const route = server.parseAliasRoute('/v1beta/models/gem:streamGenerateContent?alt=sse', '{"contents":[]}');
+
+            expect(route).toMatchObject({
+                providerName: 'g',
+                apiType: 'gemini',
+                path: '/models/gemini-2.0-flash:streamGenerateContent?alt=sse',
+                body: '{"contents":[]}',
+                alias: 'gem',
+                model: 'gemini-2.0-flash',
+                facade: null
+            });
+        });
+
+        test('should route the body form by the model in the body', () => {
+            const server = createServer(aliasEnv);
+            const route = server.parseAliasRoute('/v1/chat/completions', JSON.stringify({ model: 'fast-chat', messages: [] }));
+
+            expect(route).toMatchObject({ providerName: 'groq', apiType: 'openai', path: '/chat/completions', model: 'llama-3.1-8b-instant', facade: null });
+            expect(JSON.parse(route.body)).toEqual({ model: 'llama-3.1-8b-instant', messages: [] });
+        });
+
+        test('should send requests in the other API format through a facade', () => {
+            const server = createServer(aliasEnv);
+
+            expect(server.parseAliasRoute('/v1/chat/completions', '{"model":"gem"}')).toMatchObject({ providerName: 'g', facade: 'openai', path: '/chat/completions' });
+            expect(server.parseAliasRoute('/v1beta/models/fast-chat:generateContent', '{}')).toMatchObject({ providerName: 'groq', facade: 'gemini' });
+        });
+
+        test('should reject bodies without a model and unknown aliases', () => {
+            const server = createServer(aliasEnv);
+
+            expect(server.parseAliasRoute('/v1/chat/completions', 'not json').statusCode).toBe(400);
+            expect(server.parseAliasRoute('/v1/chat/completions', '{"messages":[]}').statusCode).toBe(400);
+            expect(server.parseAliasRoute('/v1/chat/completions', '{"model":"gpt-4o"}')).toEqual({ error: "Unknown model alias 'gpt-4o'", statusCode: 404 });
+            expect(server.parseAliasRoute('/v1beta/models/unknown:generateContent', '{}').statusCode).toBe(404);
+        });
+
+        test('should leave other paths and providers named v1 alone', () => {
+            expect(createServer(aliasEnv).parseAliasRoute('/groq/chat/completions', '{"model":"fast-chat"}')).toBeNull();
+            expect(createServer([...aliasEnv, 'OPENAI_V1_API_KEYS=sk-3333']).parseAliasRoute('/v1/chat/completions', '{"model":"fast-chat"}')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,57 @@
+const SingleFlight = require('../src/singleFlight');
+const { buildRequestKey } = require('../src/requestKey');
+
+describe('SingleFlight', () => {
+    let singleFlight;
+
+    beforeEach(() => {
+        singleFlight = new SingleFlight();
+    });
+
+    test('should share one call between concurrent callers with the same key', async () => {
+        let resolve;
+        const fn = jest.fn(() => new Promise(r => { resolve = r; }));
+
+        const leader = singleFlight.run('a', '1', fn);
+        const follower = singleFlight.run('a', '2', fn);
+        const other = singleFlight.run('b', '3', async () => 'other');
+        await Promise.resolve();
+        resolve('shared');
+
+        await expect(leader).resolves.toEqual({ value: 'shared', leaderId: '1', shared: false, followers: 1 });
+        await expect(follower).resolves.toEqual({ value: 'shared', leaderId: '1', shared: true });
+        await expect(other).resolves.toMatchObject({ value: 'other', shared: false, followers: 0 });
+        expect(fn).toHaveBeenCalledTimes(1);
+        expect(singleFlight.getStats()).toEqual({ leaders: 2, coalesced: 1, inFlight: 0 });
+    });
+
+    test('should pass a failure on to every waiting caller', async () => {
+        const fn = jest.fn(async () => { throw new Error('upstream down'); });
+
+        const results = await Promise.allSettled([singleFlight.run('a', '1', fn), singleFlight.run('a', '2', fn)]);
+
+        expect(results.map(result => result.reason.message)).toEqual(['upstream down', 'upstream down']);
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should start a new call once the previous one finished', async () => {
+        const fn = jest.fn(async () => 'done');
+
+        await singleFlight.run('a', '1', fn);
+        const second = await singleFlight.run('a', '2', fn);
+
+        expect(second.shared).toBe(false);
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('buildRequestKey', () => {
+    test('should ignore JSON key order but not values or parts', () => {
+        const key = buildRequestKey(['groq', 'POST', '/chat'], '{"model":"m","temperature":0}');
+
+        expect(buildRequestKey(['groq', 'POST', '/chat'], '{"temperature":0,"model":"m"}')).toBe(key);
+        expect(buildRequestKey(['groq', 'POST', '/chat'], '{"model":"m","temperature":1}')).not.toBe(key);
+        expect(buildRequestKey(['openai', 'POST', '/chat'], '{"model":"m","temperature":0}')).not.toBe(key);
+        expect(buildRequestKey(['groq', 'POST', '/chat'], 'not json')).toMatch(/^[0-9a-f]{64}$/);
+    });
+});
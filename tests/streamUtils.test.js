@@ -0,0 +1,73 @@
+const { PassThrough } = require('stream');
+const { primeEventStream, formatStreamError, StreamUsageCapture } = require('../src/streamUtils');
+const { extractTokenUsage } = require('../src/usageUtils');
+
+describe('primeEventStream', () => {
+    test('should resolve with buffered chunks once the first data line arrives', async () => {
+        const stream = new PassThrough();
+        const primed = primeEventStream(stream, 1000);
+
+        stream.write(': keep-alive\n\n');
+        stream.write('data: {"id":1}\n\n');
+
+        const chunks = await primed;
+        expect(Buffer.concat(chunks).toString()).toBe(': keep-alive\n\ndata: {"id":1}\n\n');
+        expect(stream.isPaused()).toBe(true);
+    });
+
+    test('should reject when the stream ends before any event', async () => {
+        const stream = new PassThrough();
+        const primed = primeEventStream(stream, 1000);
+
+        stream.end(': keep-alive\n\n');
+
+        await expect(primed).rejects.toThrow('before the first event');
+    });
+
+    test('should reject when the stream stalls', async () => {
+        const stream = new PassThrough();
+
+        const primed = primeEventStream(stream, 20);
+
+        await expect(primed).rejects.toThrow('stalled');
+        await expect(primed).rejects.toMatchObject({ statusCode: 504 });
+        expect(stream.destroyed).toBe(true);
+    });
+});
+
+describe('formatStreamError', () => {
+    test('should format errors per API type', () => {
+        const openaiEvent = formatStreamError('openai', 'boom');
+        const geminiEvent = formatStreamError('gemini', 'boom');
+
+        expect(openaiEvent.endsWith('\n\n')).toBe(true);
+        expect(JSON.parse(openaiEvent.slice(6)).error.code).toBe('stream_interrupted');
+        expect(JSON.parse(geminiEvent.slice(6)).error.status).toBe('UNAVAILABLE');
+    });
+});
+
+describe('StreamUsageCapture', () => {
+    const event = (name, data) => `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    test('should keep Anthropic input tokens from message_start in streams longer than the tail', () => {
+        const capture = new StreamUsageCapture(4 * 1024, 16 * 1024);
+        capture.push(Buffer.from(event('message_start', { type: 'message_start', message: { usage: { input_tokens: 1200, output_tokens: 1 } } })));
+        for (let i = 0; i < 500; i++) {
+            capture.push(Buffer.from(event('content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lorem ipsum dolor sit amet' } })));
+        }
+        capture.push(Buffer.from(event('message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 900 } })));
+        capture.push(Buffer.from(event('message_stop', { type: 'message_stop' })));
+
+        expect(capture.totalBytes).toBeGreaterThan(40 * 1024);
+        expect(capture.getText().length).toBeLessThanOrEqual(20 * 1024 + 1);
+        expect(extractTokenUsage(capture.getText())).toEqual({ promptTokens: 1200, completionTokens: 900, totalTokens: 2100, cachedTokens: 0 });
+    });
+
+    test('should return a short stream once', () => {
+        const capture = new StreamUsageCapture(8, 64);
+        capture.push(Buffer.from('data: {"a":1}\n\n'));
+        capture.push(Buffer.from('data: {"b":2}\n\n'));
+
+        expect(capture.getText()).toBe('data: {"a":1}\n\ndata: {"b":2}\n\n');
+    });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UsageStore = require('../src/usageStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('UsageStore', () => {
+    let dir;
+    let filePath;
+    let logSpy;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2024-01-10T12:30:00Z'));
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-'));
+        filePath = path.join(dir, 'usage.json');
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        logSpy.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const usage = (promptTokens, completionTokens) => ({ promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, cachedTokens: 0 });
+    const totals = (requests, promptTokens, completionTokens, cost = 0) => ({
+        requests, promptTokens, completionTokens, cachedTokens: 0, totalTokens: promptTokens + completionTokens, cost
+    });
+
+    test('should aggregate usage per key, provider, model and client', () => {
+        const store = new UsageStore(filePath);
+        store.record({ key: 'sk-a...1111', provider: 'openai', model: 'gpt-4o', client: 'search', usage: usage(10, 5), cost: 0.25 });
+        store.record({ key: 'sk-b...2222', provider: 'openai', model: 'gpt-4o-mini', client: 'search', usage: usage(20, 10), cost: 0.5 });
+        store.record({ key: 'sk-a...1111', provider: 'openai', model: 'gpt-4o', client: null, usage: null, cost: null });
+
+        const summary = store.getSummary();
+        expect(summary.buckets).toHaveLength(1);
+        expect(summary.buckets[0].start).toBe('2024-01-10T12:00:00.000Z');
+        expect(summary.totals.total).toEqual(totals(3, 30, 15, 0.75));
+        expect(summary.totals.byKey['sk-a...1111']).toEqual(totals(2, 10, 5, 0.25));
+        expect(summary.totals.byModel['gpt-4o-mini'].totalTokens).toBe(30);
+        expect(summary.totals.byProvider.openai.requests).toBe(3);
+        expect(summary.totals.byClient).toEqual({
+            search: totals(2, 30, 15, 0.75),
+            unknown: totals(1, 0, 0)
+        });
+    });
+
+    test('should split usage into hourly and daily buckets and filter by range', () => {
+        const store = new UsageStore(filePath);
+        store.record({ provider: 'groq', usage: usage(1, 1) });
+        jest.advanceTimersByTime(HOUR_MS);
+        store.record({ provider: 'groq', usage: usage(2, 2) });
+        jest.advanceTimersByTime(DAY_MS);
+        store.record({ provider: 'groq', usage: usage(3, 3) });
+
+        const hourly = store.getSummary({ granularity: 'hourly', since: Date.now() - 3 * DAY_MS });
+        expect(hourly.buckets.map(bucket => bucket.total.totalTokens)).toEqual([2, 4, 6]);
+
+        const daily = store.getSummary({ granularity: 'daily', since: Date.now() - 3 * DAY_MS });
+        expect(daily.buckets.map(bucket => bucket.start)).toEqual(['2024-01-10T00:00:00.000Z', '2024-01-11T00:00:00.000Z']);
+        expect(daily.buckets.map(bucket => bucket.total.totalTokens)).toEqual([6, 6]);
+
+        const recent = store.getSummary({ granularity: 'hourly', since: Date.now() - HOUR_MS });
+        expect(recent.totals.total.totalTokens).toBe(6);
+    });
+
+    test('should save usage and load it back', () => {
+        const store = new UsageStore(filePath);
+        store.save();
+        expect(fs.existsSync(filePath)).toBe(false);
+
+        store.record({ key: 'sk-a...1111', provider: 'openai', model: 'gpt-4o', usage: usage(10, 5) });
+        store.save();
+
+        const reloaded = new UsageStore(filePath);
+        expect(reloaded.getSummary().totals.byModel['gpt-4o'].totalTokens).toBe(15);
+    });
+
+    test('should drop hourly buckets after a week and daily buckets after 90 days', () => {
+        const store = new UsageStore(filePath);
+        store.record({ provider: 'openai', usage: usage(10, 5) });
+
+        jest.advanceTimersByTime(8 * DAY_MS);
+        store.prune();
+        expect(store.getSummary({ granularity: 'hourly', since: 1 }).buckets).toHaveLength(0);
+        expect(store.getSummary({ granularity: 'daily', since: 1 }).buckets).toHaveLength(1);
+
+        jest.advanceTimersByTime(90 * DAY_MS);
+        store.prune();
+        expect(store.getSummary({ granularity: 'daily', since: 1 }).buckets).toHaveLength(0);
+    });
+
+    test('should read buckets saved without cached tokens or cost', () => {
+        const start = Date.parse('2024-01-10T12:00:00Z');
+        const old = { requests: 1, promptTokens: 4, completionTokens: 6, totalTokens: 10 };
+        fs.writeFileSync(filePath, JSON.stringify({
+            hourly: { [start]: { total: old, byKey: {}, byProvider: { groq: old }, byModel: {}, byClient: {} } },
+            daily: {}
+        }));
+
+        const store = new UsageStore(filePath);
+        store.record({ provider: 'groq', usage: usage(1, 1), cost: 0.5 });
+        expect(store.getSummary().totals.byProvider.groq).toEqual(totals(2, 5, 7, 0.5));
+    });
+
+    test('should ignore an unreadable usage file', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        fs.writeFileSync(filePath, '{not json');
+
+        const store = new UsageStore(filePath);
+        expect(store.getSummary().buckets).toEqual([]);
+        expect(warnSpy).toHaveBeenCalled();
+        warnSpy.mockRestore();
+    });
+});
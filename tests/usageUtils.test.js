@@ -0,0 +1,57 @@
+const { extractTokenUsage } = require('../src/usageUtils');
+
+describe('extractTokenUsage', () => {
+    test('should read OpenAI usage from a JSON body', () => {
+        const body = JSON.stringify({ usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } });
+
+        expect(extractTokenUsage(body)).toEqual({ promptTokens: 10, completionTokens: 5, totalTokens: 15, cachedTokens: 0 });
+    });
+
+    test('should read cached prompt tokens', () => {
+        const openai = JSON.stringify({ usage: { prompt_tokens: 100, completion_tokens: 5, total_tokens: 105, prompt_tokens_details: { cached_tokens: 80 } } });
+        const gemini = JSON.stringify({ usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 5, totalTokenCount: 105, cachedContentTokenCount: 60 } });
+        const anthropic = JSON.stringify({ usage: { input_tokens: 10, cache_read_input_tokens: 80, cache_creation_input_tokens: 10, output_tokens: 5 } });
+
+        expect(extractTokenUsage(openai).cachedTokens).toBe(80);
+        expect(extractTokenUsage(gemini).cachedTokens).toBe(60);
+        expect(extractTokenUsage(anthropic)).toEqual({ promptTokens: 100, completionTokens: 5, totalTokens: 105, cachedTokens: 80 });
+    });
+
+    test('should read Gemini usageMetadata from a JSON body', () => {
+        const body = JSON.stringify({ usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 3, totalTokenCount: 10 } });
+
+        expect(extractTokenUsage(body).totalTokens).toBe(10);
+    });
+
+    test('should take the last usage reported in an event stream', () => {
+        const body = [
+            'data: {"usageMetadata":{"totalTokenCount":4}}',
+            '',
+            'data: {"usageMetadata":{"totalTokenCount":9}}',
+            '',
+            'data: [DONE]',
+            ''
+        ].join('\n');
+
+        expect(extractTokenUsage(body).totalTokens).toBe(9);
+    });
+
+    test('should combine Anthropic input and output tokens from separate stream events', () => {
+        const body = [
+            'event: message_start',
+            'data: {"type":"message_start","message":{"usage":{"input_tokens":25,"output_tokens":1}}}',
+            '',
+            'event: message_delta',
+            'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":15}}',
+            ''
+        ].join('\n');
+
+        expect(extractTokenUsage(body)).toEqual({ promptTokens: 25, completionTokens: 15, totalTokens: 40, cachedTokens: 0 });
+    });
+
+    test('should return null without usage', () => {
+        expect(extractTokenUsage('{"id":1}')).toBeNull();
+        expect(extractTokenUsage('')).toBeNull();
+        expect(extractTokenUsage('data: {"partial\n\n')).toBeNull();
+    });
+});